@@ -8,13 +8,59 @@
  *   node cli.js status                    - Show guardian status
  *   node cli.js bounties                  - List all bounties
  *   node cli.js bounty <id>               - Show bounty details
- *   node cli.js sign-refund <id>          - Manually sign refund (ignores deadline)
+ *   node cli.js sign-refund <id> <tx>     - Manually sign refund (ignores deadline)
+ *                                           tx is hex or @file; --out <file>, --yes, --force,
+ *                                           --balance <atomic> if the escrow was never scanned
  *   node cli.js export-seed               - Export guardian master seed
- *   node cli.js export-bounty-seed <id>   - Export bounty wallet seed
+ *   node cli.js export-bounty-seed <id>   - Export bounty wallet seed (derived from the
+ *                                           master seed if the bounty is gone), --index n
+ *   node cli.js migrate-keystore          - Encrypt plaintext secrets in bounties.json
+ *   node cli.js backup <file>             - Write an encrypted backup of DATA_DIR
+ *   node cli.js restore <file>            - Restore a backup (server stopped), --dry-run, --yes
+ *   node cli.js disputes                  - List disputes (pending first)
+ *   node cli.js dispute <id>              - Show dispute details and evidence
+ *   node cli.js approve <id> [note]       - Approve a payout dispute
+ *   node cli.js reject <id> [note]        - Reject a payout dispute
+ *   node cli.js audit verify              - Verify the audit log hash chain
+ *   node cli.js audit show <bounty>       - Show a bounty's audit history
+ *   node cli.js offline keygen            - Create the offline signer key (offline host)
+ *   node cli.js offline pubkey            - Print the offline signer public key
+ *   node cli.js offline requests          - List queued signing requests (server)
+ *   node cli.js offline export <file>     - Write open requests to a bundle (server)
+ *   node cli.js offline sign <in> <out>   - Sign a request bundle (offline host), --yes,
+ *                                           --height <n> and --balance <bounty>=<atomic>[,...]
+ *                                           for refunds, --approve <dispute>[,...] for payouts
+ *   node cli.js offline import <file>     - Import a response bundle (server)
+ *   node cli.js webhooks                  - List queued and failed webhook deliveries
+ *   node cli.js webhooks retry <id>       - Retry a failed webhook delivery
+ *   node cli.js handover                  - Show handover progress per open bounty
+ *   node cli.js handover start <url>      - Retire this Guardian in favour of a successor, --note
+ *   node cli.js handover cancel           - Stop retiring
+ *   node cli.js policy test <id> <tx>     - Dry-run the signing policy (POLICY_FILE) on a tx,
+ *                                           --type refund|payout|handover, --approved
+ *
+ * Bounty secrets are sealed with WALLET_PASSWORD, which must be set in the
+ * environment (it is when run through `docker exec` in the container).
  */
 
 const fs = require('fs');
-const path = require('path');
+const readline = require('readline');
+const { openKeystore } = require('./lib/keystore');
+const bountyStore = require('./lib/bounty-store');
+const store = require('./lib/store');
+const disputes = require('./lib/disputes');
+const { STATUS, statusOf } = require('./lib/lifecycle');
+const audit = require('./lib/audit');
+const { canRestore, restoreMultisigWallet } = require('./lib/wallets');
+const guardianState = require('./lib/guardian-state');
+const { describeTx, checkRefund } = require('./lib/tx-verify');
+const policy = require('./lib/policy');
+const { refundUnlockBlock } = require('./lib/deadline');
+const { fundingView } = require('./lib/funding');
+const offline = require('./lib/offline');
+const webhooks = require('./lib/webhooks');
+const backup = require('./lib/backup');
+const handover = require('./lib/handover');
 
 const DATA_DIR = process.env.DATA_DIR || '/data';
 
@@ -23,34 +69,52 @@ async function loadWasm() {
   return await SalviumWallet();
 }
 
+let keystore = null;
+
+function loadKeystore() {
+  if (!keystore) {
+    keystore = openKeystore(DATA_DIR, process.env.WALLET_PASSWORD);
+  }
+  return keystore;
+}
+
 function loadGuardianState() {
-  const file = path.join(DATA_DIR, 'guardian-state.json');
-  if (!fs.existsSync(file)) {
-    console.error('Guardian not initialized. Run the server first.');
+  const state = guardianState.loadGuardianState(DATA_DIR, loadKeystore());
+  if (!state) {
+    console.error('No master seed. Run the server first (offline signing mode keeps none).');
     process.exit(1);
   }
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return state;
 }
 
 function loadBounties() {
-  const file = path.join(DATA_DIR, 'bounties.json');
-  if (!fs.existsSync(file)) return {};
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return bountyStore.loadBounties(DATA_DIR, loadKeystore());
 }
 
 function saveBounties(bounties) {
-  const file = path.join(DATA_DIR, 'bounties.json');
-  fs.writeFileSync(file, JSON.stringify(bounties, null, 2));
+  // The server writes its in-memory records back over these
+  store.withDataDir(DATA_DIR, 'change bounty records', () => {
+    bountyStore.saveBounties(DATA_DIR, bounties, loadKeystore());
+  });
 }
 
 async function cmdStatus() {
-  const state = loadGuardianState();
+  const state = guardianState.loadGuardianState(DATA_DIR, loadKeystore());
   const bounties = loadBounties();
 
   console.log('=== Guardian Status ===');
-  console.log('Created:', state.createdAt);
-  console.log('Public Info:', state.publicInfo.substring(0, 50) + '...');
+  if (state) {
+    console.log('Created:', state.created_at);
+    console.log('Network:', state.network);
+    console.log('Master Address:', state.address);
+  } else {
+    console.log('Master Seed: none (server not run yet, or offline signing mode)');
+  }
   console.log('Bounties:', Object.keys(bounties).length);
+  const retiring = handover.loadHandover(DATA_DIR);
+  if (retiring) {
+    console.log('Handover: retiring in favour of', retiring.successor_url);
+  }
 }
 
 async function cmdBounties() {
@@ -64,7 +128,8 @@ async function cmdBounties() {
   console.log('=== Bounties ===\n');
   for (const [id, info] of Object.entries(bounties)) {
     console.log(`ID: ${id}`);
-    console.log(`  Deadline Block: ${info.deadline_block}`);
+    console.log(`  Status: ${statusOf(info)}`);
+    console.log(`  Deadline Block: ${info.deadline_block} (refunds from ${refundUnlockBlock(info)})`);
     console.log(`  Address: ${info.multisig_address || 'pending'}`);
     console.log(`  Ready: ${info.is_ready || false}`);
     console.log(`  Created: ${info.created_at}`);
@@ -85,9 +150,104 @@ async function cmdBounty(id) {
   console.log(JSON.stringify(info, null, 2));
 }
 
-async function cmdSignRefund(id) {
-  const bounties = loadBounties();
-  const info = bounties[id];
+/**
+ * Signing policy from POLICY_FILE (no rules if unset)
+ */
+function loadSigningPolicy() {
+  return process.env.POLICY_FILE ? policy.loadPolicy(process.env.POLICY_FILE) : policy.EMPTY_POLICY;
+}
+
+function evaluatePolicy(signingPolicy, type, description, options) {
+  const usage = signingPolicy.daily_cap ? policy.dailyUsage(audit.readEntries(DATA_DIR)) : null;
+  return policy.evaluate(signingPolicy, { type, description, usage, ...options });
+}
+
+function printPolicyResults(log, results) {
+  for (const r of results) {
+    if (r.allowed) {
+      log(`  ${r.rule}: ok${r.note ? ` (${r.note})` : ''}`);
+    } else {
+      log(`  ${r.rule}: DENIED (${r.reason}) ${r.message}`);
+    }
+  }
+}
+
+/**
+ * Parse `--flag value` and `--switch` options after the positional args
+ */
+function parseOptions(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+        options[key] = args[++i];
+      } else {
+        options[key] = true;
+      }
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Escrow balance from a --balance option; exits if it is not an amount
+ */
+function parseBalance(value) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    console.error('--balance must be an amount in atomic units.');
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Balance the Guardian last scanned for a bounty, or null
+ */
+function storedBalance(info) {
+  const funding = fundingView(info);
+  return funding.scanned ? funding.balance : null;
+}
+
+/**
+ * Read tx hex from an argument, or from a file when given as @path
+ */
+function readTxArg(arg) {
+  const hex = arg.startsWith('@') ? fs.readFileSync(arg.slice(1), 'utf8') : arg;
+  return hex.trim();
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function printTransaction(log, title, description) {
+  log(`=== ${title} ===`);
+  for (const dest of description.destinations) {
+    log(`  To: ${dest.address}`);
+    log(`  Amount: ${dest.amount}`);
+  }
+  log(`  Fee: ${description.fee}`);
+  if (description.change_amount !== '0') {
+    log(`  Change: ${description.change_amount} → ${description.change_address}`);
+  }
+  log('');
+}
+
+/**
+ * Load a bounty whose multisig wallet can be rebuilt here; exits if not
+ */
+function loadSignableBounty(id) {
+  const info = loadBounties()[id];
 
   if (!info) {
     console.error(`Bounty ${id} not found.`);
@@ -99,25 +259,121 @@ async function cmdSignRefund(id) {
     process.exit(1);
   }
 
-  console.log('Loading WASM...');
+  if (!canRestore(info)) {
+    console.error('Bounty has no persisted multisig state (created by an older version).');
+    console.error('Use export-bounty-seed and a full wallet to sign manually.');
+    process.exit(1);
+  }
+
+  return info;
+}
+
+/**
+ * Rebuild a bounty's multisig wallet with its stored peer multisig info
+ */
+async function openBountyWallet(info, log) {
+  log('Loading WASM...');
   const wasm = await loadWasm();
 
-  console.log('Restoring bounty wallet...');
-  const wallet = new wasm.WasmWallet();
-  wallet.restore_from_seed(info.wallet_mnemonic, 'English', 0);
-  wallet.enable_multisig_experimental();
+  log('Restoring bounty multisig wallet...');
+  const wallet = restoreMultisigWallet(wasm, info);
+  log('Wallet restored.');
+  if (info.multisig_peer_infos) {
+    const importResult = JSON.parse(wallet.import_multisig_info(JSON.stringify(info.multisig_peer_infos)));
+    log(importResult.success
+      ? `Imported stored peer multisig info (${importResult.n_outputs} outputs).`
+      : `WARNING: could not import stored peer multisig info: ${importResult.error}`);
+  }
+  log('Address:', info.multisig_address);
+  log('');
+  return wallet;
+}
 
-  console.log('Wallet restored.');
-  console.log('Address:', info.multisig_address);
-  console.log('');
-  console.log('To complete manual signing:');
-  console.log('1. Get the unsigned transaction from the bounty server');
-  console.log('2. Use the sign_multisig method with the tx data');
-  console.log('');
-  console.log('Bounty wallet seed (for CLI wallet if needed):');
-  console.log(info.wallet_mnemonic);
+async function cmdSignRefund(id, txArg, options) {
+  // With no --out, stdout carries only the signed hex
+  const log = options.out ? console.log : console.error;
+
+  const info = loadSignableBounty(id);
+  const tx_data_hex = readTxArg(txArg);
+  const signingPolicy = loadSigningPolicy();
+
+  const wallet = await openBountyWallet(info, log);
+
+  try {
+    const description = describeTx(wallet, tx_data_hex);
+    if (!description.success) {
+      console.error('Cannot describe transaction:', description.error);
+      process.exit(1);
+    }
 
-  wallet.delete();
+    printTransaction(log, 'Refund Transaction', description);
+
+    // The deadline is not checked here, but the refund rules still are,
+    // against the scanned balance or one the operator checked
+    const escrowBalance = options.balance !== undefined ? parseBalance(options.balance) : storedBalance(info);
+    const check = checkRefund(description, { refundAddress: info.refund_address, escrowBalance });
+    if (!check.ok) {
+      log(`WARNING: transaction fails refund check (${check.reason}): ${check.message}`);
+      if (Object.keys(check.details).length > 0) {
+        log(JSON.stringify(check.details, null, 2));
+      }
+      if (!options.force) {
+        console.error('Refusing to sign. Re-run with --force to sign anyway.');
+        process.exit(1);
+      }
+      log('');
+    }
+
+    // Signing by hand counts as operator approval
+    const tx_hash = audit.txHash(tx_data_hex);
+    const verdict = evaluatePolicy(signingPolicy, 'refund', description, { approved: true, tx_hash });
+    if (!verdict.allowed) {
+      log('WARNING: transaction violates the signing policy:');
+      printPolicyResults(log, verdict.violations);
+      if (!options.force) {
+        console.error('Refusing to sign. Re-run with --force to sign anyway.');
+        process.exit(1);
+      }
+      log('');
+    }
+
+    if (!options.yes && !(await confirm('Sign this transaction? [y/N] '))) {
+      console.error('Aborted.');
+      process.exit(1);
+    }
+
+    if (typeof wallet.sign_multisig_tx_hex !== 'function') {
+      console.error('sign_multisig_tx_hex not available in WASM.');
+      process.exit(1);
+    }
+
+    const signResult = JSON.parse(wallet.sign_multisig_tx_hex(tx_data_hex));
+    if (!signResult.success) {
+      throw new Error('Failed to sign refund: ' + signResult.error);
+    }
+
+    audit.record(DATA_DIR, 'refund.signed', id, {
+      source: 'cli',
+      forced: !check.ok || !verdict.allowed,
+      policy_violations: verdict.violations.length > 0 ? verdict.violations : undefined,
+      tx_hash,
+      description,
+      signed_tx_hash: audit.txHash(signResult.tx_data_hex),
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    log(`Signed (signers: ${signResult.signers}, ready: ${signResult.ready}).`);
+
+    if (options.out) {
+      fs.writeFileSync(options.out, signResult.tx_data_hex + '\n', { mode: 0o600 });
+      log(`Partially signed transaction written to ${options.out}`);
+    } else {
+      process.stdout.write(signResult.tx_data_hex + '\n');
+    }
+  } finally {
+    wallet.delete();
+  }
 }
 
 async function cmdExportSeed() {
@@ -131,12 +387,17 @@ async function cmdExportSeed() {
   console.log(state.mnemonic);
 }
 
-async function cmdExportBountySeed(id) {
+async function cmdExportBountySeed(id, options) {
   const bounties = loadBounties();
   const info = bounties[id];
 
-  if (!info) {
-    console.error(`Bounty ${id} not found.`);
+  if (!info || options.index !== undefined) {
+    await exportDerivedSeed(id, info, options);
+    return;
+  }
+
+  if (info.offline_secrets) {
+    console.error('Bounty secrets are sealed for the offline signer and cannot be read here.');
     process.exit(1);
   }
 
@@ -147,6 +408,699 @@ async function cmdExportBountySeed(id) {
   console.log(info.wallet_mnemonic);
 }
 
+/**
+ * Derive a bounty seed from the master seed, for bounties whose record is
+ * lost (the last seed index handed out unless --index says otherwise)
+ */
+async function exportDerivedSeed(id, info, options) {
+  const state = loadGuardianState();
+  let seedIndex = info && Number.isInteger(info.seed_index)
+    ? info.seed_index
+    : (guardianState.lastSeedIndex(state, id) || 0);
+  if (options.index !== undefined) {
+    seedIndex = parseInt(options.index, 10);
+  }
+  if (!Number.isInteger(seedIndex) || seedIndex < 0) {
+    console.error('--index must be a non-negative integer.');
+    process.exit(1);
+  }
+  if (info && !Number.isInteger(info.seed_index)) {
+    console.error(`Bounty ${id} has a random seed (offline signing mode, or created before master seeds).`);
+    process.exit(1);
+  }
+
+  const wasm = await loadWasm();
+  const master = guardianState.openMasterWallet(wasm, state.mnemonic);
+  let seed;
+  try {
+    seed = guardianState.deriveBountySeed(master, state.mnemonic, id, seedIndex);
+  } finally {
+    master.delete();
+  }
+
+  console.log(`=== Bounty ${id} Seed (derived, index ${seedIndex}) ===`);
+  console.log('');
+  console.log('WARNING: Keep this secret!');
+  console.log('');
+  console.log(seed);
+}
+
+async function cmdBackup(file) {
+  if (fs.existsSync(file)) {
+    console.error(`${file} already exists.`);
+    process.exit(1);
+  }
+
+  const { archive, summary } = backup.createBackup(DATA_DIR, process.env.WALLET_PASSWORD);
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(archive), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+
+  console.log(`Backup written to ${file} (version ${archive.version}).`);
+  printBackupSummary(summary);
+  console.log('Restoring it needs the same WALLET_PASSWORD.');
+}
+
+function printBackupSummary(summary) {
+  console.log(`  Master Address: ${summary.master_address || 'none'}`);
+  console.log(`  Bounties: ${summary.bounties}, pending escrows: ${summary.pending}, disputes: ${summary.disputes}`);
+  console.log(`  Signing requests: ${summary.signing_requests}, webhook deliveries: ${summary.webhooks}`);
+  console.log(`  Audit entries: ${summary.audit_entries}`);
+}
+
+async function cmdRestore(file, options) {
+  const owner = store.dataDirOwner(DATA_DIR);
+  if (owner !== null && !options['dry-run']) {
+    console.error(`The Guardian server (pid ${owner}) is running on ${DATA_DIR}. Stop it before restoring.`);
+    process.exit(1);
+  }
+
+  const plan = backup.planRestore(DATA_DIR, file, process.env.WALLET_PASSWORD);
+  const { changes } = plan;
+
+  console.log(`=== Backup ${file} ===`);
+  console.log(`Created: ${plan.archive.created_at} (version ${plan.archive.version})`);
+  printBackupSummary(plan.archive.summary);
+  console.log('');
+  console.log(`=== Changes to ${DATA_DIR} ===`);
+  for (const [name, diff] of Object.entries(changes.records)) {
+    console.log(`${name}: ${diff.added.length} new, ${diff.updated.length} newer in backup, ` +
+      `${diff.unchanged.length} unchanged, ${diff.conflicts.length} conflicts`);
+    for (const conflict of diff.conflicts) {
+      console.log(`  CONFLICT ${conflict.id}: ${conflict.reason}`);
+    }
+  }
+  const log = changes.audit;
+  console.log(`audit log: ${log.status}` +
+    (log.added ? ` (+${log.added} entries)` : '') +
+    (log.missing ? ` (backup lacks ${log.missing} entries)` : '') +
+    (log.seq ? ` (at entry ${log.seq})` : '') +
+    (log.conflict ? ' CONFLICT' : ''));
+  console.log(`master seed: ${changes.master.current === changes.master.backup ? 'unchanged' : `${changes.master.current || 'none'} -> ${changes.master.backup || 'none'}`}` +
+    (changes.master.conflict ? ' CONFLICT (current bounties are derived from it)' : ''));
+  if (changes.signer_key.conflict) {
+    console.log('offline signer key: differs CONFLICT');
+  }
+  console.log('');
+
+  if (plan.conflicts > 0) {
+    backup.discard(plan.staged);
+    console.error(`Refusing to restore: ${plan.conflicts} conflicts. The backup would overwrite or drop newer data.`);
+    process.exit(1);
+  }
+  if (options['dry-run']) {
+    backup.discard(plan.staged);
+    console.log('Dry run: nothing changed.');
+    return;
+  }
+  if (!options.yes && !(await confirm(`Replace the state in ${DATA_DIR}? [y/N] `))) {
+    backup.discard(plan.staged);
+    console.log('Aborted.');
+    return;
+  }
+
+  let previous;
+  try {
+    previous = backup.applyRestore(plan, DATA_DIR);
+  } catch (err) {
+    backup.discard(plan.staged);
+    throw err;
+  }
+  console.log(`Restored. The previous files are in ${previous}.`);
+}
+
+async function cmdMigrateKeystore() {
+  const migrated = store.withDataDir(DATA_DIR, 'migrate the keystore', () =>
+    bountyStore.migratePlaintext(DATA_DIR, loadKeystore()));
+
+  if (migrated.length === 0) {
+    console.log('No plaintext secrets found. Nothing to migrate.');
+    return;
+  }
+
+  console.log(`Encrypted secrets for ${migrated.length} bounties:`);
+  for (const id of migrated) {
+    console.log(`  ${id}`);
+  }
+}
+
+async function cmdDisputes() {
+  const all = Object.values(disputes.loadDisputes(DATA_DIR));
+
+  if (all.length === 0) {
+    console.log('No disputes.');
+    return;
+  }
+
+  // Pending first, then newest first
+  all.sort((a, b) =>
+    (a.status === disputes.STATUS.PENDING ? 0 : 1) - (b.status === disputes.STATUS.PENDING ? 0 : 1) ||
+    b.created_at.localeCompare(a.created_at)
+  );
+
+  console.log('=== Disputes ===\n');
+  for (const d of all) {
+    console.log(`ID: ${d.dispute_id}`);
+    console.log(`  Bounty: ${d.bounty_id}`);
+    console.log(`  Status: ${d.status}${d.signed ? ' (signed)' : ''}`);
+    console.log(`  Opened by: ${d.opened_by}`);
+    console.log(`  Reason: ${d.reason || 'none provided'}`);
+    console.log(`  Evidence: ${d.evidence.length} item(s)`);
+    console.log(`  Created: ${d.created_at}`);
+    console.log('');
+  }
+}
+
+function loadDispute(id) {
+  const dispute = disputes.loadDisputes(DATA_DIR)[id];
+  if (!dispute) {
+    console.error(`Dispute ${id} not found.`);
+    process.exit(1);
+  }
+  return dispute;
+}
+
+async function cmdDispute(id) {
+  const d = loadDispute(id);
+
+  console.log('=== Dispute Details ===\n');
+  console.log(`ID: ${d.dispute_id}`);
+  console.log(`Bounty: ${d.bounty_id}`);
+  console.log(`Status: ${d.status}`);
+  console.log(`Opened by: ${d.opened_by}`);
+  console.log(`Reason: ${d.reason || 'none provided'}`);
+  console.log(`Created: ${d.created_at}`);
+  if (d.decision) {
+    console.log(`Decided: ${d.decision.decided_at}${d.decision.note ? ' - ' + d.decision.note : ''}`);
+  }
+  console.log('');
+  console.log('Transaction:');
+  console.log(JSON.stringify(d.description, null, 2));
+  console.log('');
+  console.log('Evidence:');
+  if (d.evidence.length === 0) {
+    console.log('  (none)');
+  }
+  for (const e of d.evidence) {
+    console.log(`  [${e.submitted_at}] ${e.party}:`);
+    const content = typeof e.content === 'string' ? e.content : JSON.stringify(e.content, null, 2);
+    console.log('    ' + content.split('\n').join('\n    '));
+  }
+}
+
+async function cmdDecideDispute(id, status, note) {
+  loadDispute(id);
+  const d = disputes.decideDispute(DATA_DIR, id, status, note);
+  audit.record(DATA_DIR, `dispute.${d.status}`, d.bounty_id, {
+    dispute_id: d.dispute_id,
+    note: d.decision.note
+  });
+
+  console.log(`Dispute ${d.dispute_id} ${d.status}.`);
+  if (d.status === disputes.STATUS.APPROVED) {
+    console.log('The bounty server gets the payout signature with POST /dispute/' + d.dispute_id + '/sign');
+  }
+}
+
+async function cmdAuditVerify() {
+  const result = audit.verify(DATA_DIR);
+
+  if (!result.ok) {
+    console.error(`Audit log INVALID at entry ${result.seq}: ${result.error}`);
+    console.error(`(${result.entries} entries in log)`);
+    process.exit(1);
+  }
+
+  console.log(`Audit log OK: ${result.entries} entries, hash chain intact.`);
+  if (result.anchored === 0 && result.entries > 0) {
+    console.log(`WARNING: no head recorded in ${audit.HEAD_FILE}; entries cut off the end would not show.`);
+  } else if (result.anchored < result.entries) {
+    console.log(`Note: ${result.entries - result.anchored} entries after the recorded head (entry ${result.anchored}).`);
+  }
+}
+
+async function cmdAuditShow(bountyId) {
+  const entries = audit.entriesFor(DATA_DIR, bountyId);
+
+  if (entries.length === 0) {
+    console.log(`No audit entries for bounty ${bountyId}.`);
+    return;
+  }
+
+  console.log(`=== Audit: ${bountyId} ===\n`);
+  for (const e of entries) {
+    console.log(`#${e.seq} ${e.at} ${e.event}`);
+    for (const [key, value] of Object.entries(e.data)) {
+      const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+      console.log(`  ${key}: ${text}`);
+    }
+    console.log('');
+  }
+}
+
+async function cmdOfflineKeygen() {
+  const publicKey = offline.createSignerKey(DATA_DIR, loadKeystore());
+
+  console.log('Offline signer key created (private key sealed with WALLET_PASSWORD).');
+  console.log('Set this on the online server together with SIGNING_MODE=offline:');
+  console.log('');
+  console.log(`OFFLINE_SIGNER_PUBLIC_KEY=${publicKey}`);
+}
+
+async function cmdOfflinePubkey() {
+  const { publicKey } = offline.loadSignerKey(DATA_DIR, loadKeystore());
+  console.log(`OFFLINE_SIGNER_PUBLIC_KEY=${publicKey}`);
+}
+
+async function cmdOfflineRequests() {
+  const all = Object.values(offline.loadRequests(DATA_DIR));
+
+  if (all.length === 0) {
+    console.log('No signing requests.');
+    return;
+  }
+
+  all.sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  console.log('=== Signing Requests ===\n');
+  for (const r of all) {
+    console.log(`ID: ${r.request_id}`);
+    console.log(`  Type: ${r.type}`);
+    console.log(`  Bounty: ${r.bounty_id}`);
+    console.log(`  Status: ${r.status}${r.response && r.response.message ? ' - ' + r.response.message : ''}`);
+    console.log(`  Created: ${r.created_at}`);
+    console.log('');
+  }
+}
+
+async function cmdOfflineExport(file) {
+  const items = offline.exportRequests(DATA_DIR, loadBounties());
+
+  if (items.length === 0) {
+    console.log('No open signing requests. Nothing exported.');
+    return;
+  }
+
+  offline.writeBundle(file, 'request', items);
+  for (const item of items) {
+    audit.record(DATA_DIR, 'offline.exported', item.bounty_id, {
+      request_id: item.request_id,
+      type: item.type,
+      tx_hash: item.tx_hash
+    });
+  }
+
+  console.log(`Exported ${items.length} signing request(s) to ${file}`);
+  console.log('Sign it on the offline host with: node cli.js offline sign <in> <out>');
+}
+
+/**
+ * Check and sign one request from a bundle on the offline host
+ *
+ * The chain height for refunds and the approval of payouts come from the
+ * operator (`operator.height`, `operator.approved`), not from the bundle.
+ * Returns the response item, or null if the request was skipped.
+ */
+async function signOfflineRequest(wasm, privateKey, signingPolicy, item, balances, operator, options) {
+  // Sent back with rejections too once the transaction has been described
+  let description = null;
+  const reject = (reason, message) => {
+    console.log(`  REJECTED (${reason}): ${message}`);
+    console.log('');
+    audit.record(DATA_DIR, 'offline.rejected', item.bounty_id, {
+      request_id: item.request_id,
+      type: item.type,
+      tx_hash: item.tx_hash,
+      description,
+      reason,
+      message
+    });
+    return {
+      request_id: item.request_id,
+      tx_hash: item.tx_hash,
+      status: offline.STATUS.REJECTED,
+      description,
+      reason,
+      message
+    };
+  };
+  const skip = message => {
+    console.log(`  Skipped: ${message}`);
+    console.log('  (stays queued on the server)');
+    console.log('');
+    return null;
+  };
+
+  console.log(`Request ${item.request_id}: ${item.type} for bounty ${item.bounty_id}`);
+
+  if (audit.txHash(item.tx_data_hex) !== item.tx_hash) {
+    return reject('tx_hash_mismatch', 'Transaction does not match its hash');
+  }
+
+  let secrets;
+  try {
+    secrets = offline.openAsSigner(privateKey, item.bounty.offline_secrets);
+  } catch (err) {
+    return reject('sealed_secrets', err.message);
+  }
+  if (secrets.bounty_id !== item.bounty_id) {
+    return reject('bounty_mismatch', `Sealed secrets belong to bounty ${secrets.bounty_id}`);
+  }
+
+  // Terms come from the sealed secrets, the height from the operator
+  if (item.type === offline.TYPES.REFUND) {
+    if (operator.height === null) {
+      return skip('refunds need the chain height, re-run with --height <n> read from a node you trust');
+    }
+    // An extended deadline comes from the server and can only move it later
+    const { refund_unlock_block } = item.policy;
+    const extended = Number.isInteger(refund_unlock_block) ? refund_unlock_block : 0;
+    const unlock = Math.max(refundUnlockBlock(secrets), extended);
+    if (operator.height < unlock) {
+      return reject('deadline_not_reached', `Height ${operator.height} is before refund unlock ${unlock}`);
+    }
+  } else if (item.type === offline.TYPES.PAYOUT) {
+    const { dispute_id, decision } = item.policy;
+    if (typeof dispute_id !== 'string' || dispute_id === '') {
+      return reject('not_approved', 'Payout names no dispute');
+    }
+    if (!decision || decision.status !== disputes.STATUS.APPROVED) {
+      return reject('not_approved', `Dispute ${dispute_id} is ${decision && decision.status ? decision.status : 'undecided'}, not approved`);
+    }
+  } else {
+    return reject('unknown_type', `Unknown request type ${item.type}`);
+  }
+
+  let wallet;
+  try {
+    wallet = restoreMultisigWallet(wasm, secrets);
+  } catch (err) {
+    return reject('restore_failed', err.message);
+  }
+
+  try {
+    if (item.bounty.peer_infos.length > 0) {
+      const importResult = JSON.parse(wallet.import_multisig_info(JSON.stringify(item.bounty.peer_infos)));
+      if (!importResult.success) {
+        return reject('sync_failed', 'Failed to import peer multisig info: ' + importResult.error);
+      }
+    }
+
+    const described = describeTx(wallet, item.tx_data_hex);
+    if (!described.success) {
+      return reject('describe_failed', described.error);
+    }
+    description = described;
+    printTransaction(console.log, item.type === offline.TYPES.REFUND ? 'Refund Transaction' : 'Payout Transaction', description);
+
+    if (item.type === offline.TYPES.REFUND) {
+      // The operator's --balance, else what the server scanned
+      const escrowBalance = balances[item.bounty_id] || item.policy.escrow_balance || null;
+      const check = checkRefund(description, { refundAddress: secrets.refund_address, escrowBalance });
+      if (!check.ok) {
+        return reject(check.reason, check.message);
+      }
+    } else {
+      console.log(`  Dispute: ${item.policy.dispute_id}${item.policy.decision.note ? ' - ' + item.policy.decision.note : ''}`);
+      console.log('');
+      // The server's decision is not enough; the operator approves here too
+      if (!operator.approved.has(item.policy.dispute_id)) {
+        return skip(`not approved on this host, re-run with --approve ${item.policy.dispute_id} after checking the payout above`);
+      }
+    }
+
+    // This host's POLICY_FILE; an approved dispute counts as operator approval
+    const verdict = evaluatePolicy(signingPolicy, item.type, description, {
+      approved: item.type === offline.TYPES.PAYOUT,
+      tx_hash: item.tx_hash
+    });
+    if (!verdict.allowed) {
+      return reject('policy_denied', verdict.violations.map(v => v.message).join('; '));
+    }
+
+    if (!options.yes && !(await confirm('Sign this transaction? [y/N] '))) {
+      console.log('  Skipped (stays queued on the server).');
+      console.log('');
+      return null;
+    }
+
+    if (typeof wallet.sign_multisig_tx_hex !== 'function') {
+      throw new Error('sign_multisig_tx_hex not available in WASM.');
+    }
+
+    const signResult = JSON.parse(wallet.sign_multisig_tx_hex(item.tx_data_hex));
+    if (!signResult.success) {
+      return reject('sign_failed', signResult.error);
+    }
+
+    audit.record(DATA_DIR, 'offline.signed', item.bounty_id, {
+      request_id: item.request_id,
+      type: item.type,
+      tx_hash: item.tx_hash,
+      description,
+      signed_tx_hash: audit.txHash(signResult.tx_data_hex),
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    console.log(`  Signed (signers: ${signResult.signers}, ready: ${signResult.ready}).`);
+    console.log('');
+
+    return {
+      request_id: item.request_id,
+      tx_hash: item.tx_hash,
+      status: offline.STATUS.SIGNED,
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready,
+      description,
+      signed_at: new Date().toISOString()
+    };
+  } finally {
+    wallet.delete();
+  }
+}
+
+async function cmdOfflineSign(inFile, outFile, options) {
+  const bundle = offline.readBundle(inFile, 'request');
+  const { privateKey } = offline.loadSignerKey(DATA_DIR, loadKeystore());
+  const signingPolicy = loadSigningPolicy();
+  const balances = {};
+  if (options.balance !== undefined) {
+    for (const part of String(options.balance).split(',').filter(Boolean)) {
+      const [id, amount] = part.split('=');
+      balances[id] = parseBalance(amount);
+    }
+  }
+  const operator = { height: null, approved: new Set() };
+  if (options.height !== undefined) {
+    operator.height = typeof options.height === 'string' && /^\d+$/.test(options.height) ? Number(options.height) : NaN;
+    if (!Number.isSafeInteger(operator.height)) {
+      console.error('--height must be a block height.');
+      process.exit(1);
+    }
+  }
+  if (options.approve !== undefined) {
+    if (typeof options.approve !== 'string') {
+      console.error('--approve takes a comma-separated list of dispute ids.');
+      process.exit(1);
+    }
+    operator.approved = new Set(options.approve.split(',').filter(Boolean));
+  }
+
+  if (bundle.items.length === 0) {
+    console.log('Bundle contains no requests.');
+    return;
+  }
+
+  console.log(`Bundle created ${bundle.created_at}, ${bundle.items.length} request(s).`);
+  console.log('Loading WASM...');
+  const wasm = await loadWasm();
+  console.log('');
+
+  const responses = [];
+  for (const item of bundle.items) {
+    const response = await signOfflineRequest(wasm, privateKey, signingPolicy, item, balances, operator, options);
+    if (response) responses.push(response);
+  }
+
+  offline.writeBundle(outFile, 'response', responses);
+  const signed = responses.filter(r => r.status === offline.STATUS.SIGNED).length;
+  console.log(`Signed ${signed}, rejected ${responses.length - signed}, skipped ${bundle.items.length - responses.length}.`);
+  console.log(`Response bundle written to ${outFile}`);
+}
+
+async function cmdOfflineImport(file) {
+  const bundle = offline.readBundle(file, 'response');
+  const { imported, skipped } = offline.importResponses(DATA_DIR, bundle.items);
+  const requests = offline.loadRequests(DATA_DIR);
+
+  for (const { request_id, status } of imported) {
+    audit.record(DATA_DIR, 'offline.imported', requests[request_id].bounty_id, { request_id, status });
+    console.log(`  ${request_id}: ${status}`);
+  }
+  for (const { request_id, reason } of skipped) {
+    console.log(`  ${request_id}: skipped (${reason})`);
+  }
+
+  console.log(`Imported ${imported.length} response(s), skipped ${skipped.length}.`);
+  if (imported.length > 0) {
+    console.log('The server applies them on the next poll of the request or dispute.');
+  }
+}
+
+async function cmdWebhooks() {
+  const all = Object.values(webhooks.loadDeliveries(DATA_DIR));
+
+  if (all.length === 0) {
+    console.log('No queued or failed webhook deliveries.');
+    return;
+  }
+
+  all.sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  console.log('=== Webhook Deliveries ===\n');
+  for (const d of all) {
+    console.log(`ID: ${d.delivery_id}`);
+    console.log(`  Event: ${d.event}`);
+    console.log(`  URL: ${d.url}`);
+    console.log(`  Status: ${d.status} (${d.attempts} attempt(s))`);
+    if (d.last_error) {
+      console.log(`  Last error: ${d.last_error.message} at ${d.last_error.at}`);
+    }
+    if (d.status === webhooks.STATUS.PENDING) {
+      console.log(`  Next attempt: ${new Date(d.next_attempt_at).toISOString()}`);
+    }
+    console.log(`  Created: ${d.created_at}`);
+    console.log('');
+  }
+}
+
+async function cmdWebhookRetry(id) {
+  const delivery = webhooks.retryDelivery(DATA_DIR, id);
+  if (!delivery) {
+    console.error(`Delivery ${id} not found.`);
+    process.exit(1);
+  }
+  console.log(`Delivery ${id} (${delivery.event}) queued for retry.`);
+}
+
+async function cmdHandover() {
+  const retiring = handover.loadHandover(DATA_DIR);
+  const progress = handover.handoverProgress(loadBounties());
+
+  console.log('=== Handover ===\n');
+  if (retiring) {
+    console.log(`Successor: ${retiring.successor_url}`);
+    console.log(`Started: ${retiring.started_at}${retiring.note ? ' - ' + retiring.note : ''}`);
+  } else {
+    console.log('No handover in progress (start one with: node cli.js handover start <successor_url>)');
+  }
+  console.log('');
+
+  for (const row of progress.bounties) {
+    const h = row.handover;
+    console.log(`ID: ${row.bounty_id}`);
+    console.log(`  Status: ${row.status}`);
+    if (!h) {
+      console.log('  Handover: not requested');
+    } else {
+      console.log(`  Handover: ${h.status}`);
+      console.log(`  New Escrow: ${h.new_multisig_address}`);
+      if (h.group_fingerprint) {
+        console.log(`  Group Fingerprint: ${h.group_fingerprint}`);
+      }
+      console.log(`  Requested: ${h.requested_at}`);
+      if (h.confirmed_at) console.log(`  Confirmed: ${h.confirmed_at}`);
+      if (h.signed_at) console.log(`  Signed: ${h.signed_at} (tx ${h.tx_hash})`);
+    }
+    if (row.sweep_pending) {
+      console.log('  Sweep: signed, waiting to be seen on chain');
+    }
+    if (row.blocked) {
+      console.log(`  Blocked: dispute ${row.dispute_id} awaits your decision (node cli.js dispute ${row.dispute_id})`);
+    }
+    console.log('');
+  }
+
+  console.log(`${progress.handed_over} of ${progress.total} open bounties handed over.`);
+  if (progress.sweeps_pending > 0) {
+    console.log(`${progress.sweeps_pending} signed sweeps are not yet seen on chain.`);
+  }
+  if (progress.blocked > 0) {
+    console.log(`${progress.blocked} disputed bounties must be decided before they can be handed over.`);
+  }
+}
+
+async function cmdHandoverStart(url, options) {
+  const record = handover.startHandover(DATA_DIR, url, typeof options.note === 'string' ? options.note : null);
+  audit.record(DATA_DIR, 'handover.started', null, {
+    successor_url: record.successor_url,
+    note: record.note
+  });
+
+  console.log(`Retiring in favour of ${record.successor_url}.`);
+  console.log('New escrows are refused from now on. Move each open bounty with the');
+  console.log('bounty server and the worker, and follow progress with: node cli.js handover');
+}
+
+async function cmdHandoverCancel() {
+  const cancelled = handover.cancelHandover(DATA_DIR);
+  if (!cancelled) {
+    console.error('No handover in progress.');
+    process.exit(1);
+  }
+  audit.record(DATA_DIR, 'handover.cancelled', null, { successor_url: cancelled.successor_url });
+
+  console.log(`Handover to ${cancelled.successor_url} cancelled. New escrows are accepted again.`);
+}
+
+async function cmdPolicyTest(id, txArg, options) {
+  if (!process.env.POLICY_FILE) {
+    console.error('POLICY_FILE is not set.');
+    process.exit(1);
+  }
+  const type = typeof options.type === 'string' ? options.type : 'refund';
+  if (!policy.TYPES.includes(type)) {
+    console.error(`--type must be one of: ${policy.TYPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const signingPolicy = loadSigningPolicy();
+  const info = loadSignableBounty(id);
+  const tx_data_hex = readTxArg(txArg);
+
+  const wallet = await openBountyWallet(info, console.log);
+  try {
+    const description = describeTx(wallet, tx_data_hex);
+    if (!description.success) {
+      console.error('Cannot describe transaction:', description.error);
+      process.exit(1);
+    }
+    printTransaction(console.log, 'Transaction', description);
+
+    const verdict = evaluatePolicy(signingPolicy, type, description, {
+      approved: !!options.approved,
+      tx_hash: audit.txHash(tx_data_hex)
+    });
+
+    console.log(`Policy ${process.env.POLICY_FILE} (${type}${options.approved ? ', approved' : ''}):`);
+    if (verdict.results.length === 0) {
+      console.log('  (no rules)');
+    }
+    printPolicyResults(console.log, verdict.results);
+    console.log('');
+    console.log(verdict.allowed ? 'ALLOWED' : `DENIED: ${verdict.violations.map(v => v.reason).join(', ')}`);
+    console.log('Dry run: nothing was signed.');
+
+    if (!verdict.allowed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    wallet.delete();
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const cmd = args[0];
@@ -165,22 +1119,134 @@ async function main() {
       }
       await cmdBounty(args[1]);
       break;
-    case 'sign-refund':
-      if (!args[1]) {
-        console.error('Usage: node cli.js sign-refund <id>');
+    case 'sign-refund': {
+      const { positional, options } = parseOptions(args.slice(1));
+      if (positional.length < 2) {
+        console.error('Usage: node cli.js sign-refund <id> <tx_data_hex|@file> [--out <file>] [--yes] [--force] [--balance <atomic>]');
         process.exit(1);
       }
-      await cmdSignRefund(args[1]);
+      await cmdSignRefund(positional[0], positional[1], options);
       break;
+    }
     case 'export-seed':
       await cmdExportSeed();
       break;
-    case 'export-bounty-seed':
+    case 'export-bounty-seed': {
+      const { positional, options } = parseOptions(args.slice(1));
+      if (!positional[0]) {
+        console.error('Usage: node cli.js export-bounty-seed <id> [--index <n>]');
+        process.exit(1);
+      }
+      await cmdExportBountySeed(positional[0], options);
+      break;
+    }
+    case 'migrate-keystore':
+      await cmdMigrateKeystore();
+      break;
+    case 'backup':
+      if (!args[1]) {
+        console.error('Usage: node cli.js backup <file>');
+        process.exit(1);
+      }
+      await cmdBackup(args[1]);
+      break;
+    case 'restore': {
+      const { positional, options } = parseOptions(args.slice(1));
+      if (!positional[0]) {
+        console.error('Usage: node cli.js restore <file> [--dry-run] [--yes]');
+        process.exit(1);
+      }
+      await cmdRestore(positional[0], options);
+      break;
+    }
+    case 'disputes':
+      await cmdDisputes();
+      break;
+    case 'dispute':
+      if (!args[1]) {
+        console.error('Usage: node cli.js dispute <id>');
+        process.exit(1);
+      }
+      await cmdDispute(args[1]);
+      break;
+    case 'audit':
+      if (args[1] === 'verify') {
+        await cmdAuditVerify();
+      } else if (args[1] === 'show' && args[2]) {
+        await cmdAuditShow(args[2]);
+      } else {
+        console.error('Usage: node cli.js audit verify | audit show <bounty>');
+        process.exit(1);
+      }
+      break;
+    case 'offline': {
+      const { positional, options } = parseOptions(args.slice(1));
+      const [sub, a, b] = positional;
+      if (sub === 'keygen') {
+        await cmdOfflineKeygen();
+      } else if (sub === 'pubkey') {
+        await cmdOfflinePubkey();
+      } else if (sub === 'requests') {
+        await cmdOfflineRequests();
+      } else if (sub === 'export' && a) {
+        await cmdOfflineExport(a);
+      } else if (sub === 'sign' && a && b) {
+        await cmdOfflineSign(a, b, options);
+      } else if (sub === 'import' && a) {
+        await cmdOfflineImport(a);
+      } else {
+        console.error('Usage: node cli.js offline keygen | pubkey | requests | export <file> | sign <in> <out> [--yes] [--height <n>] [--balance <bounty>=<atomic>,...] [--approve <dispute>,...] | import <file>');
+        process.exit(1);
+      }
+      break;
+    }
+    case 'webhooks':
+      if (args[1] === 'retry' && args[2]) {
+        await cmdWebhookRetry(args[2]);
+      } else if (!args[1]) {
+        await cmdWebhooks();
+      } else {
+        console.error('Usage: node cli.js webhooks | webhooks retry <id>');
+        process.exit(1);
+      }
+      break;
+    case 'handover': {
+      const { positional, options } = parseOptions(args.slice(1));
+      const [sub, url] = positional;
+      if (!sub) {
+        await cmdHandover();
+      } else if (sub === 'start' && url) {
+        await cmdHandoverStart(url, options);
+      } else if (sub === 'cancel') {
+        await cmdHandoverCancel();
+      } else {
+        console.error('Usage: node cli.js handover | handover start <successor_url> [--note <text>] | handover cancel');
+        process.exit(1);
+      }
+      break;
+    }
+    case 'policy': {
+      const { positional, options } = parseOptions(args.slice(1));
+      const [sub, id, tx] = positional;
+      if (sub === 'test' && id && tx) {
+        await cmdPolicyTest(id, tx, options);
+      } else {
+        console.error('Usage: node cli.js policy test <bounty> <tx_data_hex|@file> [--type refund|payout|handover] [--approved]');
+        process.exit(1);
+      }
+      break;
+    }
+    case 'approve':
+    case 'reject':
       if (!args[1]) {
-        console.error('Usage: node cli.js export-bounty-seed <id>');
+        console.error(`Usage: node cli.js ${cmd} <id> [note]`);
         process.exit(1);
       }
-      await cmdExportBountySeed(args[1]);
+      await cmdDecideDispute(
+        args[1],
+        cmd === 'approve' ? disputes.STATUS.APPROVED : disputes.STATUS.REJECTED,
+        args.slice(2).join(' ')
+      );
       break;
     default:
       console.log('Salvium Guardian CLI');
@@ -189,9 +1255,29 @@ async function main() {
       console.log('  status                    - Show guardian status');
       console.log('  bounties                  - List all bounties');
       console.log('  bounty <id>               - Show bounty details');
-      console.log('  sign-refund <id>          - Manual refund signing');
+      console.log('  sign-refund <id> <tx>     - Manual refund signing (tx hex or @file)');
       console.log('  export-seed               - Export guardian master seed');
-      console.log('  export-bounty-seed <id>   - Export bounty wallet seed');
+      console.log('  export-bounty-seed <id>   - Export bounty wallet seed (--index n to derive)');
+      console.log('  migrate-keystore          - Encrypt plaintext secrets in bounties.json');
+      console.log('  backup <file>             - Write an encrypted backup of the data directory');
+      console.log('  restore <file>            - Restore a backup (--dry-run to compare only)');
+      console.log('  disputes                  - List disputes');
+      console.log('  dispute <id>              - Show dispute details and evidence');
+      console.log('  approve <id> [note]       - Approve a payout dispute');
+      console.log('  reject <id> [note]        - Reject a payout dispute');
+      console.log('  audit verify              - Verify the audit log hash chain');
+      console.log('  audit show <bounty>       - Show a bounty\'s audit history');
+      console.log('  offline keygen | pubkey   - Offline signer key (offline host)');
+      console.log('  offline requests          - List signing requests queued for the offline signer');
+      console.log('  offline export <file>     - Write open signing requests to a bundle');
+      console.log('  offline sign <in> <out>   - Sign a request bundle (offline host)');
+      console.log('  offline import <file>     - Import a signed response bundle');
+      console.log('  webhooks                  - List queued and failed webhook deliveries');
+      console.log('  webhooks retry <id>       - Retry a failed webhook delivery');
+      console.log('  handover                  - Show handover progress per open bounty');
+      console.log('  handover start <url>      - Retire this Guardian in favour of a successor');
+      console.log('  handover cancel           - Stop retiring');
+      console.log('  policy test <id> <tx>     - Dry-run the signing policy on a transaction');
       break;
   }
 }
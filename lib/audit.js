@@ -0,0 +1,210 @@
+/**
+ * Tamper-evident audit log
+ *
+ * Every escrow and signing decision is appended to DATA_DIR/audit.jsonl,
+ * one JSON entry per line:
+ *
+ *   { seq, at, event, bounty_id, data, prev_hash, hash }
+ *
+ * hash = SHA-256(prev_hash + JSON of { seq, at, event, bounty_id, data }),
+ * so editing, removing or reordering any entry breaks every hash after it.
+ * The chain alone cannot show entries cut off the end, or a log rewritten
+ * from scratch, so every append also records the newest entry's seq and
+ * hash in DATA_DIR/audit-head.json (a checksummed store file). Verifying
+ * checks the log still holds that entry. `node cli.js audit verify` walks
+ * the chain.
+ *
+ * Transactions are referenced by the SHA-256 of their hex, never stored in
+ * full, and no secret ever goes into the log.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const AUDIT_FILE = 'audit.jsonl';
+const HEAD_FILE = 'audit-head.json';
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_CHUNK = 64 * 1024;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function entryHash(prevHash, { seq, at, event, bounty_id, data }) {
+  return sha256Hex(prevHash + JSON.stringify({ seq, at, event, bounty_id, data }));
+}
+
+/**
+ * Hash a transaction hex for referencing it in the log
+ */
+function txHash(txDataHex) {
+  return txDataHex ? sha256Hex(String(txDataHex)) : null;
+}
+
+/**
+ * Read the last entry of the log without loading the whole file
+ */
+function readLastEntry(file) {
+  if (!fs.existsSync(file)) return null;
+  const { size } = fs.statSync(file);
+  if (size === 0) return null;
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    let length = Math.min(size, TAIL_CHUNK);
+    for (;;) {
+      const buf = Buffer.alloc(length);
+      fs.readSync(fd, buf, 0, length, size - length);
+      const lines = buf.toString('utf8').split('\n').filter(Boolean);
+      // The first line may be cut off unless we read from the start
+      if (lines.length > 1 || length === size) {
+        return JSON.parse(lines[lines.length - 1]);
+      }
+      length = Math.min(size, length * 2);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read every entry in the log
+ */
+function readEntries(dataDir) {
+  const file = path.join(dataDir, AUDIT_FILE);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return { invalid: true, line: i + 1 };
+      }
+    });
+}
+
+/**
+ * Append an entry to the log
+ *
+ * Runs under the file lock so the server and CLI never fork the chain.
+ * Throws if the entry cannot be written; callers must not release a
+ * signature they could not record.
+ */
+function record(dataDir, event, bountyId, data = {}) {
+  const file = path.join(dataDir, AUDIT_FILE);
+  return store.withLock(file, () => {
+    const last = readLastEntry(file);
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      at: new Date().toISOString(),
+      event,
+      bounty_id: bountyId || null,
+      data
+    };
+    entry.prev_hash = last ? last.hash : GENESIS_HASH;
+    entry.hash = entryHash(entry.prev_hash, entry);
+
+    const fd = fs.openSync(file, 'a', 0o600);
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    writeHead(dataDir, entry);
+    return entry;
+  });
+}
+
+function writeHead(dataDir, entry) {
+  store.replace(path.join(dataDir, HEAD_FILE), { seq: entry.seq, hash: entry.hash });
+}
+
+/**
+ * Record the last entry as the head of a log that has none (written before
+ * heads were kept, or restored from such a backup)
+ *
+ * Returns the head, or null for an empty log.
+ */
+function anchor(dataDir) {
+  const file = path.join(dataDir, AUDIT_FILE);
+  return store.withLock(file, () => {
+    const last = readLastEntry(file);
+    if (!last) return null;
+    writeHead(dataDir, last);
+    return { seq: last.seq, hash: last.hash };
+  });
+}
+
+/**
+ * Verify the whole chain and its recorded head
+ *
+ * Returns { ok: true, entries, anchored } or { ok: false, entries, seq,
+ * error } for the first entry that does not check out. anchored is the seq
+ * of the recorded head (0 if there is none); entries after it were appended
+ * by a writer that stopped before it could record the head.
+ */
+function verify(dataDir) {
+  const entries = readEntries(dataDir);
+  const fail = (seq, error) => ({ ok: false, entries: entries.length, seq, error });
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.invalid) {
+      return fail(null, `Unparseable line ${entry.line}`);
+    }
+    if (entry.seq !== i + 1) {
+      return fail(entry.seq, `Expected seq ${i + 1}`);
+    }
+    if (entry.prev_hash !== prevHash) {
+      return fail(entry.seq, 'prev_hash does not match previous entry');
+    }
+    if (entry.hash !== entryHash(prevHash, entry)) {
+      return fail(entry.seq, 'Entry hash mismatch (entry modified)');
+    }
+    prevHash = entry.hash;
+  }
+
+  let head;
+  try {
+    head = store.read(path.join(dataDir, HEAD_FILE), null);
+  } catch (err) {
+    return fail(null, err.message);
+  }
+  if (head) {
+    if (!Number.isInteger(head.seq) || head.seq < 1) {
+      return fail(null, `Malformed head in ${HEAD_FILE}`);
+    }
+    if (head.seq > entries.length) {
+      return fail(head.seq, `Log ends at entry ${entries.length} but its head is entry ${head.seq} (entries removed)`);
+    }
+    if (entries[head.seq - 1].hash !== head.hash) {
+      return fail(head.seq, 'Entry does not match the recorded head (log rewritten)');
+    }
+  }
+
+  return { ok: true, entries: entries.length, anchored: head ? head.seq : 0 };
+}
+
+/**
+ * All entries for one bounty, in order
+ */
+function entriesFor(dataDir, bountyId) {
+  return readEntries(dataDir).filter(e => e.bounty_id === bountyId);
+}
+
+module.exports = {
+  AUDIT_FILE,
+  HEAD_FILE,
+  txHash,
+  record,
+  verify,
+  anchor,
+  readEntries,
+  entriesFor
+};
@@ -0,0 +1,170 @@
+/**
+ * HMAC request authentication
+ *
+ * Every API call (except /health) must carry these headers:
+ *
+ *   X-Guardian-Key        key id: "server" or "worker"
+ *   X-Guardian-Timestamp  unix time in seconds
+ *   X-Guardian-Nonce      random string, unique per request
+ *   X-Guardian-Signature  hex HMAC-SHA256 of the canonical string below
+ *
+ * Canonical string (newline separated):
+ *
+ *   METHOD
+ *   path including query string
+ *   timestamp
+ *   nonce
+ *   hex SHA-256 of the raw request body ("" for no body)
+ *
+ * Requests outside the replay window, or reusing a nonce seen inside it,
+ * are rejected. Each key id maps to a role; routes declare which roles may
+ * call them.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = {
+  SERVER: 'server',
+  WORKER: 'worker'
+};
+
+const HEADERS = {
+  key: 'x-guardian-key',
+  timestamp: 'x-guardian-timestamp',
+  nonce: 'x-guardian-nonce',
+  signature: 'x-guardian-signature'
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function canonicalString(method, url, timestamp, nonce, body) {
+  return [method.toUpperCase(), url, timestamp, nonce, sha256Hex(body)].join('\n');
+}
+
+function computeSignature(secret, method, url, timestamp, nonce, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(canonicalString(method, url, timestamp, nonce, body))
+    .digest('hex');
+}
+
+/**
+ * Build the auth headers for a request (used by clients and tests)
+ */
+function signRequest(keyId, secret, method, url, body = '') {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Guardian-Key': keyId,
+    'X-Guardian-Timestamp': timestamp,
+    'X-Guardian-Nonce': nonce,
+    'X-Guardian-Signature': computeSignature(secret, method, url, timestamp, nonce, body)
+  };
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(String(a), 'hex');
+  const bufB = Buffer.from(String(b), 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Create the authentication layer
+ *
+ * keys: { [keyId]: secret } - key ids double as role names
+ * windowSeconds: accepted clock skew / replay window
+ * disabled: accept all requests as the server role (local development only)
+ */
+function createAuth({ keys, windowSeconds = 300, disabled = false }) {
+  const seenNonces = new Map();
+
+  function purgeNonces(now) {
+    for (const [nonce, expiresAt] of seenNonces) {
+      if (expiresAt < now) seenNonces.delete(nonce);
+    }
+  }
+
+  /**
+   * Verify a request; returns { role } or { error }
+   */
+  function verify(req) {
+    const keyId = req.get(HEADERS.key);
+    const timestamp = req.get(HEADERS.timestamp);
+    const nonce = req.get(HEADERS.nonce);
+    const signature = req.get(HEADERS.signature);
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+      return { error: 'Missing authentication headers' };
+    }
+
+    const secret = keys[keyId];
+    if (!secret) {
+      return { error: 'Unknown key' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const ts = parseInt(timestamp, 10);
+    if (!Number.isFinite(ts) || Math.abs(now - ts) > windowSeconds) {
+      return { error: 'Timestamp outside allowed window' };
+    }
+
+    const expected = computeSignature(secret, req.method, req.originalUrl, timestamp, nonce, req.rawBody);
+    if (!safeEqualHex(signature, expected)) {
+      return { error: 'Invalid signature' };
+    }
+
+    purgeNonces(now);
+    const nonceKey = `${keyId}:${nonce}`;
+    if (seenNonces.has(nonceKey)) {
+      return { error: 'Nonce already used' };
+    }
+    seenNonces.set(nonceKey, now + windowSeconds);
+
+    return { role: keyId };
+  }
+
+  /**
+   * Express middleware allowing only the given roles
+   */
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (disabled) {
+        req.role = ROLES.SERVER;
+        return next();
+      }
+
+      const result = verify(req);
+      if (result.error) {
+        return res.status(401).json({ error: 'Unauthorized', reason: result.error });
+      }
+      if (!roles.includes(result.role)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          reason: `Role '${result.role}' may not call this endpoint`
+        });
+      }
+
+      req.role = result.role;
+      next();
+    };
+  }
+
+  return { verify, requireRole };
+}
+
+/**
+ * express.json() verify hook that keeps the raw body for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  signRequest,
+  computeSignature,
+  captureRawBody
+};
@@ -0,0 +1,374 @@
+/**
+ * Guardian backups
+ *
+ * `cli.js backup <file>` packs every state file in DATA_DIR into one
+ * archive:
+ *
+ *   { format, version, created_at, keystore, payload }
+ *
+ * keystore is the source's keystore.json (KDF salt and check value, no
+ * secrets) and payload the gzipped files sealed with that keystore, so a
+ * restore needs the same WALLET_PASSWORD and nothing else. Each file carries
+ * a SHA-256 checked on restore.
+ *
+ * `cli.js restore <file>` unpacks into a staging directory, runs the startup
+ * checks on it (store checksums, audit chain, every secret opens) and
+ * compares it record by record with the current DATA_DIR. A restore that
+ * would replace a record with an older copy, drop a record, cut the audit
+ * log short or swap the master seed under existing bounties is refused.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { KEYSTORE_FILE, openKeystore, unlockKeystore } = require('./keystore');
+const store = require('./store');
+const audit = require('./audit');
+const bountyStore = require('./bounty-store');
+const { GUARDIAN_STATE_FILE, loadGuardianState } = require('./guardian-state');
+const disputes = require('./disputes');
+const offline = require('./offline');
+const webhooks = require('./webhooks');
+const { HANDOVER_FILE } = require('./handover');
+
+const ARCHIVE_FORMAT = 'salvium-guardian-backup';
+const ARCHIVE_VERSION = 1;
+
+// Files written through store.js (checksummed); the audit log is not. The
+// audit head is read before the log, so a backup taken during an append
+// never has a head past the end of its log.
+const STORE_FILES = [
+  KEYSTORE_FILE,
+  GUARDIAN_STATE_FILE,
+  bountyStore.BOUNTIES_FILE,
+  bountyStore.PENDING_FILE,
+  disputes.DISPUTES_FILE,
+  offline.SIGNING_REQUESTS_FILE,
+  offline.SIGNER_KEY_FILE,
+  webhooks.WEBHOOKS_FILE,
+  HANDOVER_FILE,
+  audit.HEAD_FILE
+];
+const STATE_FILES = [...STORE_FILES, audit.AUDIT_FILE];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Latest timestamp anywhere in a record (`at` and `*_at` fields)
+ */
+function recordTime(value) {
+  let latest = 0;
+  if (Array.isArray(value)) {
+    for (const item of value) latest = Math.max(latest, recordTime(item));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if ((key === 'at' || key.endsWith('_at')) && (typeof item === 'string' || typeof item === 'number')) {
+        const time = typeof item === 'number' ? item : Date.parse(item);
+        if (Number.isFinite(time)) latest = Math.max(latest, time);
+      } else {
+        latest = Math.max(latest, recordTime(item));
+      }
+    }
+  }
+  return latest;
+}
+
+/**
+ * Write files into a new temporary directory
+ */
+function stage(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-stage-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content, { mode: 0o600 });
+  }
+  return dir;
+}
+
+function discard(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Check a data directory the way startup does and load everything in it
+ *
+ * Returns { records, audit, master, signer_key }; records maps each
+ * collection to its records with secrets opened.
+ */
+function loadSnapshot(dir, password) {
+  store.checkIntegrity(STORE_FILES.map(name => path.join(dir, name)));
+  const chain = audit.verify(dir);
+  if (!chain.ok) {
+    throw new Error(`Audit log broken at entry ${chain.seq}: ${chain.error}`);
+  }
+
+  const keystore = openKeystore(dir, password);
+  const master = loadGuardianState(dir, keystore);
+  const signerKey = store.read(path.join(dir, offline.SIGNER_KEY_FILE), null);
+  return {
+    records: {
+      bounties: bountyStore.loadBounties(dir, keystore),
+      pending: bountyStore.loadPendingEscrows(dir, keystore),
+      disputes: disputes.loadDisputes(dir),
+      signing_requests: offline.loadRequests(dir),
+      webhooks: webhooks.loadDeliveries(dir)
+    },
+    audit: audit.readEntries(dir),
+    master: master ? master.address : null,
+    signer_key: signerKey ? signerKey.public_key : null
+  };
+}
+
+function emptySnapshot() {
+  const records = { bounties: {}, pending: {}, disputes: {}, signing_requests: {}, webhooks: {} };
+  return { records, audit: [], master: null, signer_key: null };
+}
+
+function summarize(snapshot) {
+  const summary = {};
+  for (const [name, records] of Object.entries(snapshot.records)) {
+    summary[name] = Object.keys(records).length;
+  }
+  summary.audit_entries = snapshot.audit.length;
+  summary.master_address = snapshot.master;
+  return summary;
+}
+
+/**
+ * Build a backup archive of dataDir; returns { archive, summary }
+ *
+ * The files are checked from the copy that goes into the archive, so a
+ * state file rewritten while the backup runs cannot slip in unchecked.
+ */
+function createBackup(dataDir, password) {
+  if (!fs.existsSync(path.join(dataDir, KEYSTORE_FILE))) {
+    throw new Error(`No ${KEYSTORE_FILE} in ${dataDir}; nothing to back up`);
+  }
+
+  const contents = {};
+  for (const name of STATE_FILES) {
+    const file = path.join(dataDir, name);
+    if (fs.existsSync(file)) {
+      contents[name] = fs.readFileSync(file);
+    }
+  }
+
+  const dir = stage(contents);
+  let summary;
+  try {
+    summary = summarize(loadSnapshot(dir, password));
+  } finally {
+    discard(dir);
+  }
+
+  const keystoreMeta = store.read(path.join(dataDir, KEYSTORE_FILE));
+  const keystore = unlockKeystore(keystoreMeta, password, KEYSTORE_FILE);
+  const created_at = new Date().toISOString();
+  const files = {};
+  for (const [name, content] of Object.entries(contents)) {
+    files[name] = { sha256: sha256Hex(content), size: content.length, content: content.toString('base64') };
+  }
+  const payload = { version: ARCHIVE_VERSION, created_at, summary, files };
+
+  return {
+    archive: {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      created_at,
+      keystore: keystoreMeta,
+      payload: keystore.seal(zlib.gzipSync(JSON.stringify(payload)).toString('base64'))
+    },
+    summary
+  };
+}
+
+/**
+ * Read and decrypt an archive, checking its version and file checksums
+ *
+ * Returns { version, created_at, summary, files } with file contents as
+ * Buffers.
+ */
+function readArchive(file, password) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Backup file not found: ${file}`);
+  }
+  let archive;
+  try {
+    archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file} is not a Guardian backup (${err.message})`);
+  }
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${file} is not a Guardian backup`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Backup version ${archive.version} is not supported (this Guardian reads up to ${ARCHIVE_VERSION})`);
+  }
+
+  const keystore = unlockKeystore(archive.keystore, password, file);
+  let payload;
+  try {
+    payload = JSON.parse(zlib.gunzipSync(Buffer.from(keystore.open(archive.payload), 'base64')).toString('utf8'));
+  } catch (err) {
+    throw new Error(`${file} is corrupted (${err.message})`);
+  }
+  if (payload.version !== archive.version || payload.created_at !== archive.created_at) {
+    throw new Error(`${file} header does not match its contents`);
+  }
+
+  const files = {};
+  for (const [name, entry] of Object.entries(payload.files || {})) {
+    if (!STATE_FILES.includes(name)) {
+      throw new Error(`Backup contains an unexpected file: ${name}`);
+    }
+    const content = Buffer.from(entry.content, 'base64');
+    if (content.length !== entry.size || sha256Hex(content) !== entry.sha256) {
+      throw new Error(`Checksum mismatch for ${name} in ${file}`);
+    }
+    files[name] = content;
+  }
+  if (!files[KEYSTORE_FILE]) {
+    throw new Error(`Backup has no ${KEYSTORE_FILE}`);
+  }
+
+  return { version: archive.version, created_at: archive.created_at, summary: payload.summary, files };
+}
+
+/**
+ * Compare one collection; records only in `current` count as conflicts
+ * unless they have expired
+ */
+function compareRecords(current, backup, now) {
+  const result = { added: [], unchanged: [], updated: [], conflicts: [] };
+  for (const id of new Set([...Object.keys(current), ...Object.keys(backup)])) {
+    const mine = current[id];
+    const theirs = backup[id];
+    if (!theirs) {
+      if (!(typeof mine.expires_at === 'number' && mine.expires_at < now)) {
+        result.conflicts.push({ id, reason: 'only_in_current' });
+      }
+    } else if (!mine) {
+      result.added.push(id);
+    } else if (JSON.stringify(mine) === JSON.stringify(theirs)) {
+      result.unchanged.push(id);
+    } else if (recordTime(theirs) > recordTime(mine)) {
+      result.updated.push(id);
+    } else {
+      // Same time but different content cannot be ordered either
+      const reason = recordTime(theirs) === recordTime(mine) ? 'differs' : 'current_is_newer';
+      result.conflicts.push({ id, reason });
+    }
+  }
+  return result;
+}
+
+function compareAudit(current, backup) {
+  const shared = Math.min(current.length, backup.length);
+  for (let i = 0; i < shared; i++) {
+    if (current[i].hash !== backup[i].hash) {
+      return { status: 'diverged', conflict: true, seq: current[i].seq };
+    }
+  }
+  if (current.length > backup.length) {
+    return { status: 'current_is_newer', conflict: true, missing: current.length - backup.length };
+  }
+  return { status: current.length === backup.length ? 'unchanged' : 'extended', conflict: false, added: backup.length - current.length };
+}
+
+/**
+ * Unpack an archive and compare it with dataDir
+ *
+ * Returns { archive, staged, changes, conflicts }. staged is the checked
+ * copy to install with applyRestore(), or to remove with discard().
+ */
+function planRestore(dataDir, file, password) {
+  const archive = readArchive(file, password);
+  const staged = stage(archive.files);
+  try {
+    const backup = loadSnapshot(staged, password);
+    const current = fs.existsSync(path.join(dataDir, KEYSTORE_FILE)) ? loadSnapshot(dataDir, password) : emptySnapshot();
+    const now = Date.now();
+
+    const changes = { records: {} };
+    let conflicts = 0;
+    for (const name of Object.keys(backup.records)) {
+      changes.records[name] = compareRecords(current.records[name], backup.records[name], now);
+      conflicts += changes.records[name].conflicts.length;
+    }
+
+    changes.audit = compareAudit(current.audit, backup.audit);
+    if (changes.audit.conflict) conflicts++;
+
+    // Bounty seeds are derived from the master seed; swapping it under
+    // bounties derived from it would orphan them
+    const derived = [current.records.bounties, current.records.pending]
+      .some(records => Object.values(records).some(r => Number.isInteger(r.seed_index)));
+    changes.master = {
+      current: current.master,
+      backup: backup.master,
+      conflict: !!current.master && current.master !== backup.master && derived
+    };
+    if (changes.master.conflict) conflicts++;
+
+    changes.signer_key = {
+      current: current.signer_key,
+      backup: backup.signer_key,
+      conflict: !!current.signer_key && current.signer_key !== backup.signer_key
+    };
+    if (changes.signer_key.conflict) conflicts++;
+
+    return { archive, staged, changes, conflicts };
+  } catch (err) {
+    discard(staged);
+    throw err;
+  }
+}
+
+/**
+ * Install a planned restore into dataDir
+ *
+ * The current state files move to a pre-restore-<time> directory first.
+ * Returns that directory. Holds the server lock throughout, so it refuses
+ * while the server is running (it would save its in-memory state over the
+ * restored files) and the server cannot start halfway.
+ */
+function applyRestore(plan, dataDir) {
+  if (plan.conflicts > 0) {
+    throw new Error(`Refusing to restore: ${plan.conflicts} conflicts with the current state`);
+  }
+
+  return store.withDataDir(dataDir, 'restore a backup', () => {
+    const previous = path.join(dataDir, `pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    fs.mkdirSync(previous, { mode: 0o700 });
+    for (const name of STATE_FILES) {
+      for (const file of [name, `${name}.bak`]) {
+        if (fs.existsSync(path.join(dataDir, file))) {
+          fs.renameSync(path.join(dataDir, file), path.join(previous, file));
+        }
+      }
+    }
+
+    for (const name of Object.keys(plan.archive.files)) {
+      const tmp = path.join(dataDir, `${name}.tmp-${process.pid}`);
+      fs.copyFileSync(path.join(plan.staged, name), tmp);
+      fs.chmodSync(tmp, 0o600);
+      fs.renameSync(tmp, path.join(dataDir, name));
+    }
+    discard(plan.staged);
+    return previous;
+  });
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  STATE_FILES,
+  createBackup,
+  readArchive,
+  planRestore,
+  applyRestore,
+  discard
+};
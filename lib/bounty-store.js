@@ -0,0 +1,154 @@
+/**
+ * Bounty record persistence
+ *
+ * Shared by server.js and cli.js. Secret fields of each bounty record are
+ * sealed with the keystore before they are written to bounties.json and
+ * opened again on load, so the file on disk never holds a plaintext seed.
+ * Pending escrows (between init and finalize) are kept the same way in
+ * pending-escrows.json.
+ */
+
+const path = require('path');
+const { isSealed } = require('./keystore');
+const store = require('./store');
+
+const BOUNTIES_FILE = 'bounties.json';
+const PENDING_FILE = 'pending-escrows.json';
+
+// Fields that must never be written to disk in plaintext
+// (multisig_kex holds the round messages, which reveal the shared view key;
+// multisig_peer_infos hold the peers' partial key images; finalize_response
+// repeats the Guardian's own round messages for idempotent retries)
+const SECRET_FIELDS = ['wallet_mnemonic', 'multisig_kex', 'multisig_peer_infos', 'finalize_response'];
+
+/**
+ * Move secret fields of a record into a sealed `secrets` envelope
+ */
+function sealRecord(info, keystore) {
+  const record = {};
+  const secrets = {};
+  for (const [key, value] of Object.entries(info)) {
+    if (SECRET_FIELDS.includes(key)) {
+      secrets[key] = value;
+    } else {
+      record[key] = value;
+    }
+  }
+  if (Object.keys(secrets).length > 0) {
+    record.secrets = keystore.sealJson(secrets);
+  }
+  return record;
+}
+
+/**
+ * Restore secret fields from a record's sealed `secrets` envelope
+ */
+function openRecord(record, keystore) {
+  const { secrets, ...info } = record;
+  if (!secrets) return info;
+  return { ...info, ...keystore.openJson(secrets) };
+}
+
+/**
+ * List the secret fields a stored record still holds in plaintext
+ */
+function plaintextSecrets(record) {
+  return SECRET_FIELDS.filter(key => record[key] !== undefined && !isSealed(record[key]));
+}
+
+function readRaw(dataDir, name = BOUNTIES_FILE) {
+  return store.read(path.join(dataDir, name), {});
+}
+
+function writeRaw(dataDir, data, name) {
+  store.replace(path.join(dataDir, name), data);
+}
+
+/**
+ * Load and decrypt all bounty records
+ *
+ * Refuses to load a file that still contains plaintext secrets; those must
+ * be converted once with `node cli.js migrate-keystore`.
+ */
+function loadBounties(dataDir, keystore) {
+  const raw = readRaw(dataDir);
+  const bounties = {};
+  for (const [id, record] of Object.entries(raw)) {
+    if (plaintextSecrets(record).length > 0) {
+      throw new Error(
+        `Bounty ${id} has unencrypted secrets in ${BOUNTIES_FILE}. ` +
+        'Run: node cli.js migrate-keystore'
+      );
+    }
+    bounties[id] = openRecord(record, keystore);
+  }
+  return bounties;
+}
+
+/**
+ * Encrypt and save bounty records
+ *
+ * A locked merge into bounties.json: the given records replace their stored
+ * versions, records not given are kept.
+ */
+function saveBounties(dataDir, bounties, keystore) {
+  store.update(path.join(dataDir, BOUNTIES_FILE), {}, raw => {
+    for (const [id, info] of Object.entries(bounties)) {
+      raw[id] = sealRecord(info, keystore);
+    }
+  });
+}
+
+/**
+ * Load and decrypt pending escrows
+ */
+function loadPendingEscrows(dataDir, keystore) {
+  const raw = readRaw(dataDir, PENDING_FILE);
+  const pending = {};
+  for (const [id, record] of Object.entries(raw)) {
+    pending[id] = openRecord(record, keystore);
+  }
+  return pending;
+}
+
+/**
+ * Encrypt and save pending escrows (only the server keeps them, so the file
+ * is replaced as a whole)
+ */
+function savePendingEscrows(dataDir, pending, keystore) {
+  const data = {};
+  for (const [id, info] of Object.entries(pending)) {
+    data[id] = sealRecord(info, keystore);
+  }
+  writeRaw(dataDir, data, PENDING_FILE);
+}
+
+/**
+ * Seal plaintext secrets in an existing bounties.json in place
+ *
+ * Returns the ids of the records that were converted.
+ */
+function migratePlaintext(dataDir, keystore) {
+  const migrated = [];
+  store.update(path.join(dataDir, BOUNTIES_FILE), {}, raw => {
+    for (const [id, record] of Object.entries(raw)) {
+      if (plaintextSecrets(record).length === 0) continue;
+      raw[id] = sealRecord(openRecord(record, keystore), keystore);
+      migrated.push(id);
+    }
+  });
+  return migrated;
+}
+
+module.exports = {
+  BOUNTIES_FILE,
+  PENDING_FILE,
+  SECRET_FIELDS,
+  sealRecord,
+  openRecord,
+  loadBounties,
+  saveBounties,
+  loadPendingEscrows,
+  savePendingEscrows,
+  migratePlaintext
+};
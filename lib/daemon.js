@@ -0,0 +1,96 @@
+/**
+ * Salvium daemon RPC client
+ *
+ * The Guardian never trusts a caller's idea of the current block height.
+ * It asks one or more daemons itself and only accepts a height that at least
+ * `minAgreement` of them report within `tolerance` blocks of each other.
+ */
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Call a JSON-RPC method on a daemon
+ */
+async function rpc(url, method, params = {}, timeoutMs = DEFAULT_TIMEOUT) {
+  const response = await fetch(url.replace(/\/+$/, '') + '/json_rpc', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: '0', method, params }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`${method} returned HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(`${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+  }
+  return body.result;
+}
+
+/**
+ * Get the chain height from a single daemon (get_info, falling back to get_block_count)
+ */
+async function getHeight(url, timeoutMs = DEFAULT_TIMEOUT) {
+  try {
+    const info = await rpc(url, 'get_info', {}, timeoutMs);
+    if (Number.isInteger(info.height)) return info.height;
+  } catch (err) {
+    // Some daemons restrict get_info; try get_block_count below
+  }
+  const result = await rpc(url, 'get_block_count', {}, timeoutMs);
+  if (!Number.isInteger(result.count)) {
+    throw new Error('get_block_count returned no count');
+  }
+  return result.count;
+}
+
+/**
+ * Create a height source over the configured daemons
+ *
+ * getTrustedHeight() resolves to { height, sources } or throws when not
+ * enough daemons agree. The lowest height of the agreeing group is used, so
+ * a lagging daemon can only delay a deadline, never bring it forward.
+ */
+function createHeightSource({ urls, minAgreement = 1, tolerance = 2, timeoutMs = DEFAULT_TIMEOUT }) {
+  async function getTrustedHeight() {
+    if (urls.length === 0) {
+      throw new Error('No daemon configured (set DAEMON_RPC_URLS)');
+    }
+
+    const sources = await Promise.all(urls.map(async url => {
+      try {
+        return { url, height: await getHeight(url, timeoutMs) };
+      } catch (err) {
+        return { url, error: err.message };
+      }
+    }));
+
+    const heights = sources.filter(s => s.height !== undefined).map(s => s.height).sort((a, b) => a - b);
+
+    // Find the largest group of heights within tolerance of each other
+    let best = [];
+    for (let i = 0; i < heights.length; i++) {
+      const group = heights.filter(h => h >= heights[i] && h - heights[i] <= tolerance);
+      if (group.length > best.length) best = group;
+    }
+
+    if (best.length < minAgreement) {
+      const err = new Error(
+        `Only ${best.length} of ${urls.length} daemons agree on height (need ${minAgreement})`
+      );
+      err.sources = sources;
+      throw err;
+    }
+
+    return { height: best[0], sources };
+  }
+
+  return { getTrustedHeight };
+}
+
+module.exports = {
+  rpc,
+  getHeight,
+  createHeightSource
+};
@@ -0,0 +1,80 @@
+/**
+ * Refund deadline policy
+ *
+ * At finalize the deadline must lie between min_blocks and max_blocks ahead
+ * of the trusted chain height (0 turns a limit off). The policy in force is
+ * stored on the bounty (`deadline_policy`), so changing the configuration
+ * later does not move an existing bounty's refund unlock:
+ *
+ *   refund unlock = deadline_block + grace_blocks + confirmations
+ *
+ * grace_blocks is a window after the deadline in which the worker can still
+ * be paid; confirmations is how deeply the deadline must be buried before
+ * the Guardian trusts that the chain passed it. Bounties finalized before
+ * deadline policies unlock at deadline_block.
+ *
+ * A deadline is only ever extended, and only when the server and the worker
+ * both ask for the same new deadline (see POST /bounty/:id/deadline).
+ */
+
+/**
+ * Refund policy for a new bounty
+ */
+function createPolicy({ minBlocks, maxBlocks, graceBlocks, confirmations }, finalizeHeight) {
+  return {
+    min_blocks: minBlocks,
+    max_blocks: maxBlocks,
+    grace_blocks: graceBlocks,
+    confirmations,
+    finalize_height: finalizeHeight
+  };
+}
+
+/**
+ * Check a deadline's distance from the chain height
+ *
+ * height may be null when neither limit is set. Returns { ok } or
+ * { ok: false, reason, message, details }.
+ */
+function checkDeadline(deadlineBlock, height, { minBlocks, maxBlocks }) {
+  if (!Number.isInteger(deadlineBlock) || deadlineBlock <= 0) {
+    return { ok: false, reason: 'invalid_deadline', message: 'deadline_block must be a positive integer', details: {} };
+  }
+  if (height === null) {
+    return { ok: true };
+  }
+
+  const distance = deadlineBlock - height;
+  const details = { deadline_block: deadlineBlock, current_block: height, min_blocks: minBlocks, max_blocks: maxBlocks };
+  if (minBlocks > 0 && distance < minBlocks) {
+    return {
+      ok: false,
+      reason: 'deadline_too_soon',
+      message: `deadline_block must be at least ${minBlocks} blocks after the current height ${height}`,
+      details
+    };
+  }
+  if (maxBlocks > 0 && distance > maxBlocks) {
+    return {
+      ok: false,
+      reason: 'deadline_too_far',
+      message: `deadline_block must be at most ${maxBlocks} blocks after the current height ${height}`,
+      details
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * First height at which a bounty's refund can be signed
+ */
+function refundUnlockBlock(info) {
+  const policy = info.deadline_policy || {};
+  return info.deadline_block + (policy.grace_blocks || 0) + (policy.confirmations || 0);
+}
+
+module.exports = {
+  createPolicy,
+  checkDeadline,
+  refundUnlockBlock
+};
@@ -0,0 +1,114 @@
+/**
+ * Dispute records
+ *
+ * A payout request (worker + guardian) is never signed on arrival. It is
+ * stored as a dispute in DATA_DIR/disputes.json, both parties can attach
+ * evidence, and the Guardian operator approves or rejects it with the CLI.
+ * The server only signs once the stored status is "approved".
+ *
+ * The server and the CLI both write this file, so every change is a locked
+ * read-modify-write (see store.js) rather than an in-memory copy.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const store = require('./store');
+
+const DISPUTES_FILE = 'disputes.json';
+
+const STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+function loadDisputes(dataDir) {
+  return store.read(path.join(dataDir, DISPUTES_FILE), {});
+}
+
+/**
+ * Apply fn to one dispute and save; returns the updated record or null
+ */
+function updateDispute(dataDir, id, fn) {
+  let dispute = null;
+  store.update(path.join(dataDir, DISPUTES_FILE), {}, disputes => {
+    dispute = disputes[id] || null;
+    if (!dispute) return;
+    fn(dispute);
+    dispute.updated_at = new Date().toISOString();
+  });
+  return dispute;
+}
+
+/**
+ * Find the open (pending or approved but unsigned) dispute for a bounty
+ */
+function findOpenDispute(dataDir, bountyId) {
+  return Object.values(loadDisputes(dataDir)).find(d =>
+    d.bounty_id === bountyId &&
+    (d.status === STATUS.PENDING || (d.status === STATUS.APPROVED && !d.signed))
+  ) || null;
+}
+
+/**
+ * Queue a new payout dispute
+ */
+function createDispute(dataDir, { bounty_id, tx_data_hex, description, reason, opened_by, evidence }) {
+  const now = new Date().toISOString();
+  const dispute = {
+    dispute_id: crypto.randomUUID(),
+    bounty_id,
+    status: STATUS.PENDING,
+    reason: reason || null,
+    opened_by,
+    tx_data_hex,
+    description,
+    evidence: [],
+    created_at: now,
+    updated_at: now
+  };
+  if (evidence) {
+    dispute.evidence.push({ party: opened_by, content: evidence, submitted_at: now });
+  }
+
+  store.update(path.join(dataDir, DISPUTES_FILE), {}, disputes => {
+    disputes[dispute.dispute_id] = dispute;
+  });
+  return dispute;
+}
+
+/**
+ * Attach evidence from one party to a pending dispute
+ */
+function addEvidence(dataDir, id, party, content) {
+  return updateDispute(dataDir, id, dispute => {
+    if (dispute.status !== STATUS.PENDING) {
+      throw new Error(`Dispute is ${dispute.status}; evidence is closed`);
+    }
+    dispute.evidence.push({ party, content, submitted_at: new Date().toISOString() });
+  });
+}
+
+/**
+ * Record the operator's decision on a pending dispute
+ */
+function decideDispute(dataDir, id, status, note) {
+  return updateDispute(dataDir, id, dispute => {
+    if (dispute.status !== STATUS.PENDING) {
+      throw new Error(`Dispute is already ${dispute.status}`);
+    }
+    dispute.status = status;
+    dispute.decision = { note: note || null, decided_at: new Date().toISOString() };
+  });
+}
+
+module.exports = {
+  DISPUTES_FILE,
+  STATUS,
+  loadDisputes,
+  updateDispute,
+  findOpenDispute,
+  createDispute,
+  addEvidence,
+  decideDispute
+};
@@ -0,0 +1,314 @@
+/**
+ * Escrow funding detection
+ *
+ * The Guardian's share of each bounty wallet holds the shared view key, so
+ * it can scan the chain for the escrow address itself instead of taking the
+ * bounty server's word for it. Each scan records on the bounty:
+ *
+ *   funding.balance / unlocked_balance   atomic units, as strings
+ *   funding.incoming                     [{ txid, amount, height }]
+ *   funding.funded_height                height of the first incoming transfer
+ *   funding.scan_height                  trusted chain height at scan time
+ *
+ * Scans run in a worker thread (scan-worker.js) with its own WASM module and
+ * a view-only copy of each bounty wallet, one at a time, so a slow chain
+ * scan never holds up request handling. The worker only ever gets the
+ * escrow address and the shared secret view key (viewOnlyState()); the
+ * bounty seed stays on the main thread.
+ *
+ * The wallet API used is fixed; each method returns a JSON string with
+ * `success` and `error` like the multisig methods. On the bounty's own
+ * wallet, in the main thread:
+ *
+ *   get_secret_view_key()     { secret_view_key }    hex
+ *   export_key_images()       { key_images }         optional
+ *
+ * On the view-only wallet, in the worker:
+ *
+ *   restore_view_only(address, secret_view_key, network, restore_height)  {}
+ *   import_key_images(key_images)                   optional
+ *   set_daemon_address(url)   {}
+ *   refresh()                 {}
+ *   get_balance()             { balance }            atomic units
+ *   get_unlocked_balance()    { unlocked_balance }   atomic units
+ *   get_transfers()           { transfers: [{ type: 'in' | 'out', txid, amount, height }] }
+ *
+ * A WASM build missing any but the optional ones cannot scan, and funding
+ * is reported as unsupported. Without the key image methods a view-only
+ * wallet cannot tell when the escrow is spent, so its balance only grows.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const SCAN_METHODS = [
+  'get_secret_view_key',
+  'restore_view_only',
+  'set_daemon_address',
+  'refresh',
+  'get_balance',
+  'get_unlocked_balance',
+  'get_transfers'
+];
+const KEY_IMAGE_METHODS = ['export_key_images', 'import_key_images'];
+
+/**
+ * Scan methods a WasmWallet class lacks (empty when it can scan)
+ */
+function missingScanMethods(WasmWallet) {
+  return SCAN_METHODS.filter(method => typeof WasmWallet.prototype[method] !== 'function');
+}
+
+/**
+ * True if a WasmWallet class can pass key images to a view-only wallet
+ */
+function detectsSpends(WasmWallet) {
+  return KEY_IMAGE_METHODS.every(method => typeof WasmWallet.prototype[method] === 'function');
+}
+
+function callWallet(wallet, method, ...args) {
+  const result = JSON.parse(wallet[method](...args));
+  if (!result.success) {
+    throw new Error(`${method} failed: ${result.error || 'unknown error'}`);
+  }
+  return result;
+}
+
+function amountOf(value, field) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new Error(`Wallet returned a malformed ${field}: ${JSON.stringify(value)}`);
+  }
+  return BigInt(value).toString();
+}
+
+/**
+ * What the scan worker needs to watch a bounty's escrow, read from the
+ * bounty's own wallet: { address, secret_view_key, network, restore_height,
+ * key_images }. key_images is null when the build cannot export them.
+ */
+function viewOnlyState(wallet, info, { network }) {
+  const state = {
+    address: info.multisig_address,
+    secret_view_key: callWallet(wallet, 'get_secret_view_key').secret_view_key,
+    network,
+    // The escrow address did not exist before finalize
+    restore_height: info.deadline_policy ? info.deadline_policy.finalize_height || 0 : 0,
+    key_images: null
+  };
+  if (typeof wallet.export_key_images === 'function') {
+    state.key_images = callWallet(wallet, 'export_key_images').key_images;
+  }
+  return state;
+}
+
+/**
+ * Build the view-only wallet for a viewOnlyState() in the scan worker
+ */
+function restoreViewOnlyWallet(wasmModule, state) {
+  const wallet = new wasmModule.WasmWallet();
+  try {
+    callWallet(wallet, 'restore_view_only', state.address, state.secret_view_key, state.network, state.restore_height);
+    return wallet;
+  } catch (err) {
+    wallet.delete();
+    throw err;
+  }
+}
+
+/**
+ * Hand a view-only wallet the key images of the escrow's outputs, so it sees
+ * them spent
+ */
+function importKeyImages(wallet, keyImages) {
+  if (keyImages === null || typeof wallet.import_key_images !== 'function') return;
+  callWallet(wallet, 'import_key_images', keyImages);
+}
+
+/**
+ * Refresh a bounty wallet against a daemon and read its balance
+ *
+ * Blocks until the wallet has caught up with the chain, so it only runs
+ * inside the scan worker. Returns { balance, unlocked_balance, incoming };
+ * throws on failure.
+ */
+function scanWallet(wallet, { daemonUrl }) {
+  callWallet(wallet, 'set_daemon_address', daemonUrl);
+  callWallet(wallet, 'refresh');
+
+  const balance = amountOf(callWallet(wallet, 'get_balance').balance, 'balance');
+  const unlocked = amountOf(callWallet(wallet, 'get_unlocked_balance').unlocked_balance, 'unlocked_balance');
+  const { transfers } = callWallet(wallet, 'get_transfers');
+  if (!Array.isArray(transfers)) {
+    throw new Error('Wallet returned no transfer list');
+  }
+
+  const incoming = transfers
+    .filter(t => t.type === 'in')
+    .map(t => ({
+      txid: t.txid,
+      amount: amountOf(t.amount, 'transfer amount'),
+      height: Number.isInteger(t.height) ? t.height : null
+    }));
+
+  return { balance, unlocked_balance: unlocked, incoming };
+}
+
+/**
+ * Start the funding scanner
+ *
+ * Jobs queue up and go to the worker one at a time. The worker is started
+ * on first use and again after it dies. Returns
+ * { check, scan, release, close }:
+ *
+ *   check()                      resolves to the missing scan methods
+ *   scan(bountyId, state, opts)  resolves to a scanWallet() result
+ *   release(bountyId)            drops the worker's copy of the wallet
+ */
+function createScanner({ maxWallets }) {
+  let worker = null;
+  let ready = null;
+  let current = null;
+  const queue = [];
+
+  function start() {
+    worker = new Worker(path.join(__dirname, 'scan-worker.js'), { workerData: { maxWallets } });
+    ready = new Promise((resolve, reject) => {
+      worker.once('message', msg => resolve(msg.missing));
+      worker.once('error', reject);
+      worker.once('exit', code => reject(new Error(`Funding scan worker exited (code ${code})`)));
+    });
+    ready.catch(() => {});
+
+    worker.on('message', msg => {
+      if (!current || msg.id !== current.id) return;
+      const job = current;
+      current = null;
+      if (msg.error) job.reject(new Error(msg.error));
+      else job.resolve(msg.result);
+      next();
+    });
+    worker.on('error', err => {
+      console.error('[Guardian] Funding scan worker failed:', err.message);
+    });
+    worker.on('exit', code => {
+      worker = null;
+      if (current) {
+        current.reject(new Error(`Funding scan worker exited (code ${code})`));
+        current = null;
+      }
+      next();
+    });
+    worker.unref();
+  }
+
+  function next() {
+    if (current || queue.length === 0) return;
+    if (!worker) start();
+    current = queue.shift();
+    worker.postMessage(current.message);
+  }
+
+  let nextId = 0;
+  function enqueue(message) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: message.id, message, resolve, reject });
+      next();
+    });
+  }
+
+  return {
+    async check() {
+      if (!worker) start();
+      return ready;
+    },
+
+    async scan(bountyId, state, { daemonUrl }) {
+      const missing = await this.check();
+      if (missing.length > 0) {
+        throw new Error(`WASM wallet has no scanning support (missing ${missing.join(', ')})`);
+      }
+      return enqueue({ id: ++nextId, type: 'scan', bountyId, state, daemonUrl });
+    },
+
+    release(bountyId) {
+      if (worker) worker.postMessage({ type: 'release', bountyId });
+    },
+
+    close() {
+      return worker ? worker.terminate() : Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Store a scan result on a bounty record
+ *
+ * Returns true if the balance changed since the previous scan.
+ */
+function recordScan(info, result, scanHeight) {
+  const previous = info.funding || {};
+  const heights = result.incoming.map(t => t.height).filter(h => h !== null);
+  info.funding = {
+    balance: result.balance,
+    unlocked_balance: result.unlocked_balance,
+    incoming: result.incoming,
+    funded_height: heights.length > 0 ? Math.min(...heights) : null,
+    scan_height: scanHeight,
+    scanned_at: new Date().toISOString(),
+    last_error: null
+  };
+  return (previous.balance || '0') !== result.balance;
+}
+
+function recordScanError(info, message) {
+  info.funding = { ...(info.funding || {}), last_error: { message, at: new Date().toISOString() } };
+}
+
+/**
+ * Funding summary for API responses and signing checks
+ *
+ * funded is true once the balance is non-zero and the first incoming
+ * transfer has minConfirmations (or the balance is unlocked when the wallet
+ * reports no transfer heights).
+ */
+function fundingView(info, { minConfirmations = 10 } = {}) {
+  const funding = info.funding;
+  if (!funding || !funding.scanned_at) {
+    return { scanned: false, funded: false, last_error: funding ? funding.last_error : null };
+  }
+
+  const confirmations = funding.funded_height !== null && funding.scan_height !== null
+    ? Math.max(0, funding.scan_height - funding.funded_height + 1)
+    : null;
+  const hasBalance = BigInt(funding.balance) > 0n;
+  const confirmed = confirmations !== null
+    ? confirmations >= minConfirmations
+    : funding.unlocked_balance !== null && BigInt(funding.unlocked_balance) > 0n;
+
+  return {
+    scanned: true,
+    funded: hasBalance && confirmed,
+    balance: funding.balance,
+    unlocked_balance: funding.unlocked_balance,
+    incoming_total: funding.incoming.reduce((sum, t) => sum + BigInt(t.amount), 0n).toString(),
+    funded_height: funding.funded_height,
+    confirmations,
+    min_confirmations: minConfirmations,
+    scan_height: funding.scan_height,
+    scanned_at: funding.scanned_at,
+    last_error: funding.last_error
+  };
+}
+
+module.exports = {
+  missingScanMethods,
+  detectsSpends,
+  viewOnlyState,
+  restoreViewOnlyWallet,
+  importKeyImages,
+  scanWallet,
+  createScanner,
+  recordScan,
+  recordScanError,
+  fundingView
+};
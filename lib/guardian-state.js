@@ -0,0 +1,161 @@
+/**
+ * Guardian master seed
+ *
+ * Created on first run and kept in DATA_DIR/guardian-state.json, with the
+ * mnemonic sealed by the keystore. Each bounty's signer seed is derived from
+ * it: the master wallet's seed with a passphrase offset, get_seed(passphrase),
+ * which is itself a valid seed for a different key. The passphrase is an
+ * HMAC of the bounty_id and a seed index, keyed by the master mnemonic, so
+ * the master seed recovers every bounty's signer key while one bounty's
+ * seed says nothing about another's.
+ *
+ * The seed index starts at 0 and goes up with every init-escrow of the same
+ * bounty, so a discarded or expired round1 never matches a new wallet. The
+ * last index used per bounty is kept in guardian-state.json (seed_indexes),
+ * which outlives pending escrows and restarts.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { isSealed } = require('./keystore');
+const store = require('./store');
+
+const GUARDIAN_STATE_FILE = 'guardian-state.json';
+const STATE_VERSION = 1;
+const DERIVATION = 'seed-offset-hmac-sha256';
+
+function stateFile(dataDir) {
+  return path.join(dataDir, GUARDIAN_STATE_FILE);
+}
+
+/**
+ * Load the master state; null if the Guardian has none yet
+ *
+ * Returns { version, network, address, derivation, created_at, mnemonic }
+ * with the mnemonic opened. A plaintext mnemonic left by an older version is
+ * sealed in place.
+ */
+function loadGuardianState(dataDir, keystore) {
+  const record = store.read(stateFile(dataDir), null);
+  if (!record) return null;
+
+  if (typeof record.mnemonic === 'string') {
+    store.replace(stateFile(dataDir), {
+      ...record,
+      version: STATE_VERSION,
+      mnemonic: keystore.seal(record.mnemonic)
+    });
+    return { ...record, version: STATE_VERSION };
+  }
+  if (record.version !== STATE_VERSION) {
+    throw new Error(`Unsupported guardian state version: ${record.version}`);
+  }
+  if (!isSealed(record.mnemonic)) {
+    throw new Error(`${GUARDIAN_STATE_FILE} has no master seed`);
+  }
+  return { ...record, mnemonic: keystore.open(record.mnemonic) };
+}
+
+/**
+ * Restore the master wallet from its mnemonic
+ *
+ * restore_from_seed() takes no network, so the restored wallet's address may
+ * not match the one recorded for a testnet or stagenet seed; check it with
+ * checkMasterWallet(), not by address.
+ */
+function openMasterWallet(wasmModule, mnemonic) {
+  const wallet = new wasmModule.WasmWallet();
+  wallet.restore_from_seed(mnemonic, 'English', 0);
+  return wallet;
+}
+
+/**
+ * Check that a restored master wallet holds the recorded seed
+ */
+function checkMasterWallet(wallet, mnemonic) {
+  if (wallet.get_seed('') !== mnemonic) {
+    throw new Error(`Master seed in ${GUARDIAN_STATE_FILE} does not restore`);
+  }
+}
+
+/**
+ * Generate a master seed and write guardian-state.json
+ *
+ * Returns the state as loadGuardianState() would.
+ */
+function createGuardianState(dataDir, keystore, wasmModule, network) {
+  const wallet = new wasmModule.WasmWallet();
+  try {
+    wallet.create_random(network, 'English');
+    const mnemonic = wallet.get_seed('');
+    const state = {
+      version: STATE_VERSION,
+      network,
+      address: wallet.get_address(),
+      derivation: DERIVATION,
+      created_at: new Date().toISOString()
+    };
+    store.replace(stateFile(dataDir), { ...state, mnemonic: keystore.seal(mnemonic) });
+    return { ...state, mnemonic };
+  } finally {
+    wallet.delete();
+  }
+}
+
+/**
+ * Reserve the next seed index for a bounty
+ *
+ * Never returns an index already handed out for the bounty, nor one below
+ * minIndex (a pending escrow created before indexes were recorded).
+ */
+function nextSeedIndex(dataDir, bountyId, minIndex = 0) {
+  let index;
+  store.update(stateFile(dataDir), null, record => {
+    const used = record.seed_indexes || {};
+    index = Math.max(Number.isInteger(used[bountyId]) ? used[bountyId] + 1 : 0, minIndex);
+    record.seed_indexes = { ...used, [bountyId]: index };
+  });
+  return index;
+}
+
+/**
+ * Last seed index handed out for a bounty, or null
+ */
+function lastSeedIndex(state, bountyId) {
+  const used = state.seed_indexes || {};
+  return Number.isInteger(used[bountyId]) ? used[bountyId] : null;
+}
+
+/**
+ * Passphrase that offsets the master seed for one bounty
+ */
+function derivationPassphrase(mnemonic, bountyId, seedIndex) {
+  return crypto.createHmac('sha256', mnemonic)
+    .update(`salvium-guardian/bounty/${bountyId}/${seedIndex}`)
+    .digest('hex');
+}
+
+/**
+ * Signer seed for a bounty, from an open master wallet
+ */
+function deriveBountySeed(masterWallet, mnemonic, bountyId, seedIndex = 0) {
+  if (!Number.isInteger(seedIndex) || seedIndex < 0) {
+    throw new Error(`Invalid seed index: ${seedIndex}`);
+  }
+  const seed = masterWallet.get_seed(derivationPassphrase(mnemonic, bountyId, seedIndex));
+  if (!seed || seed === mnemonic) {
+    throw new Error('Wallet does not support seed passphrases; cannot derive bounty seeds');
+  }
+  return seed;
+}
+
+module.exports = {
+  GUARDIAN_STATE_FILE,
+  loadGuardianState,
+  createGuardianState,
+  openMasterWallet,
+  checkMasterWallet,
+  nextSeedIndex,
+  lastSeedIndex,
+  deriveBountySeed
+};
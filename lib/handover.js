@@ -0,0 +1,184 @@
+/**
+ * Handover to a successor Guardian
+ *
+ * Retiring a Guardian moves every open escrow to a new escrow formed with a
+ * successor Guardian. The operator starts it with
+ * `cli.js handover start <successor_url>`, which writes
+ * DATA_DIR/handover.json; from then on no new escrows are accepted. For each
+ * open bounty:
+ *
+ *   1. The bounty server runs /init-escrow and /finalize-escrow against the
+ *      successor with the same participants and registers the new escrow
+ *      address here (POST /handover/:id)                       → requested
+ *   2. The worker confirms the new address (POST /handover/:id/confirm)
+ *                                                              → confirmed
+ *   3. The Guardian signs, with the server, a sweep of the whole escrow
+ *      balance to the new address (POST /handover/:id/sign)    → signed
+ *
+ * The worker's confirmation keeps server + Guardian from moving a funded
+ * escrow anywhere but the new escrow. A bounty that was never funded has
+ * nothing to sweep and is handed over once confirmed. A swept bounty stays
+ * funded until a funding scan finds the escrow spent or the bounty server
+ * reports the sweep confirmed; until then the sweep can be signed again.
+ * A disputed bounty is blocked until the operator decides the dispute.
+ *
+ * Progress is kept on each bounty record (`handover`). The CLI writes
+ * handover.json and the server reads it on every request.
+ */
+
+const path = require('path');
+const store = require('./store');
+const { STATUS: BOUNTY_STATUS, statusOf } = require('./lifecycle');
+
+const HANDOVER_FILE = 'handover.json';
+const SUCCESSOR_TIMEOUT = 5000;
+
+const STATUS = {
+  REQUESTED: 'requested',
+  CONFIRMED: 'confirmed',
+  SIGNED: 'signed'
+};
+
+// Bounties whose escrow still has to move
+const OPEN_STATUSES = [BOUNTY_STATUS.READY, BOUNTY_STATUS.FUNDED, BOUNTY_STATUS.DISPUTED];
+
+/**
+ * Trim a successor URL to its canonical form; throws if it is not http(s)
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (err) {
+    throw new Error(`Invalid successor URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Successor URL must be http or https: ${url}`);
+  }
+  return parsed.toString().replace(/\/+$/, '');
+}
+
+/**
+ * The operator's handover, or null if this Guardian is not retiring
+ *
+ * Returns { successor_url, started_at, note }.
+ */
+function loadHandover(dataDir) {
+  const record = store.read(path.join(dataDir, HANDOVER_FILE), {});
+  return record.successor_url ? record : null;
+}
+
+/**
+ * Start retiring this Guardian in favour of successorUrl
+ *
+ * Starting again with the same URL keeps the original start time.
+ */
+function startHandover(dataDir, successorUrl, note) {
+  const successor_url = normalizeUrl(successorUrl);
+  let result;
+  store.update(path.join(dataDir, HANDOVER_FILE), {}, record => {
+    if (record.successor_url && record.successor_url !== successor_url) {
+      throw new Error(`A handover to ${record.successor_url} is already in progress; cancel it first`);
+    }
+    record.successor_url = successor_url;
+    record.started_at = record.started_at || new Date().toISOString();
+    record.note = note || record.note || null;
+    delete record.cancelled_at;
+    result = { ...record };
+  });
+  return result;
+}
+
+/**
+ * Stop retiring; returns the cancelled handover or null
+ *
+ * Bounties already handed over stay handed over.
+ */
+function cancelHandover(dataDir) {
+  let cancelled = null;
+  store.update(path.join(dataDir, HANDOVER_FILE), {}, record => {
+    if (!record.successor_url) return record;
+    cancelled = record;
+    return { cancelled_at: new Date().toISOString() };
+  });
+  return cancelled;
+}
+
+/**
+ * Check that the successor Guardian is up and initialized; throws if not
+ */
+async function checkSuccessor(successorUrl, timeoutMs = SUCCESSOR_TIMEOUT) {
+  const response = await fetch(successorUrl + '/health', { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`/health returned HTTP ${response.status}`);
+  }
+  const health = await response.json();
+  if (!health.initialized) {
+    throw new Error('successor is not initialized');
+  }
+}
+
+/**
+ * True while a bounty's sweep is signed but not yet seen on chain
+ */
+function sweepPending(info) {
+  return !!info.handover && info.handover.status === STATUS.SIGNED &&
+    statusOf(info) === BOUNTY_STATUS.FUNDED;
+}
+
+/**
+ * True once a funding scan made after the sweep was signed finds the
+ * escrow funded and fully spent
+ */
+function sweepSeen(info) {
+  const funding = info.funding;
+  return sweepPending(info) && !!funding && !!funding.scanned_at &&
+    funding.scanned_at > info.handover.signed_at &&
+    funding.balance === '0' && funding.incoming.length > 0;
+}
+
+/**
+ * Handover progress over a set of bounty records
+ *
+ * Returns { total, handed_over, sweeps_pending, blocked, bounties } with a
+ * row { bounty_id, status, handover, sweep_pending, blocked } for every
+ * bounty that is still open or already handed over. `blocked` is
+ * 'dispute_pending' (with the row's dispute_id) for a disputed bounty.
+ */
+function handoverProgress(bounties) {
+  const rows = [];
+  for (const [id, info] of Object.entries(bounties)) {
+    const status = statusOf(info);
+    if (status !== BOUNTY_STATUS.HANDED_OVER && !OPEN_STATUSES.includes(status)) continue;
+    const disputed = status === BOUNTY_STATUS.DISPUTED;
+    rows.push({
+      bounty_id: id,
+      status,
+      handover: info.handover || null,
+      sweep_pending: sweepPending(info),
+      blocked: disputed ? 'dispute_pending' : null,
+      dispute_id: disputed ? info.dispute_id || null : undefined
+    });
+  }
+  return {
+    total: rows.length,
+    handed_over: rows.filter(r => r.status === BOUNTY_STATUS.HANDED_OVER).length,
+    sweeps_pending: rows.filter(r => r.sweep_pending).length,
+    blocked: rows.filter(r => r.blocked).length,
+    bounties: rows
+  };
+}
+
+module.exports = {
+  HANDOVER_FILE,
+  STATUS,
+  OPEN_STATUSES,
+  normalizeUrl,
+  loadHandover,
+  startHandover,
+  cancelHandover,
+  checkSuccessor,
+  sweepPending,
+  sweepSeen,
+  handoverProgress
+};
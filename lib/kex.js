@@ -0,0 +1,325 @@
+/**
+ * Multisig key exchange message checks
+ *
+ * Round messages are the kex v2 format from the wallet:
+ *
+ *   "MultisigxV2R1" + base58(msg_privkey | signing_pubkey | signature)
+ *   "MultisigxV2Rn" + base58(varint kex_round | varint n | n × pubkey | signing_pubkey | signature)
+ *
+ * base58 is the Monero block variant (8 bytes → 11 characters). Every
+ * message ends with the sender's signing public key (32 bytes) and a
+ * signature (64 bytes), so the sender of each message can be identified
+ * without the wallet. The signature itself is checked by the wallet.
+ *
+ * Messages carry no network tag. A message from a wallet on another
+ * network passes these checks and fails in make_multisig, so finalize also
+ * takes each participant's wallet address and compares its network prefix
+ * with the Guardian's own (checkAddresses). The round 1 signing key is a
+ * blinded spend key, so an address cannot be tied to a participant's
+ * messages; the check catches wrong-network wallets, not a wrong address.
+ *
+ * An escrow scheme is a threshold and the named participants besides the
+ * Guardian, e.g. { threshold: 2, participants: ['server', 'worker'] } for
+ * the default 2-of-3.
+ */
+
+const crypto = require('crypto');
+
+const MAGIC_ROUND1 = 'MultisigxV2R1';
+const MAGIC_ROUND_N = 'MultisigxV2Rn';
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const FULL_ENCODED_BLOCK_SIZE = 11;
+// Encoded length of a block by its byte length (index)
+const ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+const KEY_SIZE = 32;
+const SIGNATURE_SIZE = 64;
+const CHECKSUM_SIZE = 4;
+const ROUND1_SIZE = KEY_SIZE + KEY_SIZE + SIGNATURE_SIZE;
+
+const DEFAULT_SCHEME = Object.freeze({ threshold: 2, participants: Object.freeze(['server', 'worker']) });
+const MAX_PARTICIPANTS = 16;
+const PARTICIPANT_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+
+class KexMessageError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'KexMessageError';
+    this.reason = reason;
+  }
+}
+
+function decodeBlock(block, size) {
+  let num = 0n;
+  for (const ch of block) {
+    const digit = ALPHABET.indexOf(ch);
+    if (digit < 0) throw new KexMessageError('not_base58', `invalid base58 character "${ch}"`);
+    num = num * 58n + BigInt(digit);
+  }
+  if (num >= 1n << BigInt(size * 8)) {
+    throw new KexMessageError('not_base58', 'base58 block overflow');
+  }
+  const out = Buffer.alloc(size);
+  for (let i = size - 1; i >= 0; i--) {
+    out[i] = Number(num & 0xffn);
+    num >>= 8n;
+  }
+  return out;
+}
+
+/**
+ * Decode Monero-style base58
+ */
+function decodeBase58(text) {
+  const blocks = [];
+  for (let i = 0; i < text.length; i += FULL_ENCODED_BLOCK_SIZE) {
+    const block = text.slice(i, i + FULL_ENCODED_BLOCK_SIZE);
+    const size = ENCODED_BLOCK_SIZES.indexOf(block.length);
+    if (size <= 0) {
+      throw new KexMessageError('not_base58', 'invalid base58 length');
+    }
+    blocks.push(decodeBlock(block, size));
+  }
+  return Buffer.concat(blocks);
+}
+
+function readVarint(buf, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < buf.length && shift < 35; i++) {
+    value += (buf[i] & 0x7f) * 2 ** shift;
+    if ((buf[i] & 0x80) === 0) return { value, next: i + 1 };
+    shift += 7;
+  }
+  throw new KexMessageError('malformed', 'truncated varint');
+}
+
+/**
+ * Parse a kex round message
+ *
+ * round is the kex round the message should be for (1, 2, ...); throws KexMessageError with a reason
+ * of wrong_type, bad_prefix, not_base58, malformed or wrong_round.
+ * Returns { round, signing_pubkey } with the key as hex.
+ */
+function parseKexMessage(message, round) {
+  if (typeof message !== 'string' || message.length === 0) {
+    throw new KexMessageError('wrong_type', 'must be a non-empty string');
+  }
+  const magic = round === 1 ? MAGIC_ROUND1 : MAGIC_ROUND_N;
+  if (!message.startsWith(magic)) {
+    const other = round === 1 ? MAGIC_ROUND_N : MAGIC_ROUND1;
+    throw new KexMessageError('bad_prefix', message.startsWith(other)
+      ? `is a ${round === 1 ? 'later-round' : 'round 1'} message`
+      : `does not start with ${magic}`);
+  }
+
+  const bytes = decodeBase58(message.slice(magic.length));
+
+  if (round === 1) {
+    if (bytes.length !== ROUND1_SIZE) {
+      throw new KexMessageError('malformed', `decodes to ${bytes.length} bytes, expected ${ROUND1_SIZE}`);
+    }
+  } else {
+    const kexRound = readVarint(bytes, 0);
+    if (kexRound.value !== round) {
+      throw new KexMessageError('wrong_round', `is a round ${kexRound.value} message, expected round ${round}`);
+    }
+    const count = readVarint(bytes, kexRound.next);
+    const expected = count.next + count.value * KEY_SIZE + KEY_SIZE + SIGNATURE_SIZE;
+    if (count.value === 0 || bytes.length !== expected) {
+      throw new KexMessageError('malformed', `decodes to ${bytes.length} bytes, expected ${expected}`);
+    }
+  }
+
+  const end = bytes.length - SIGNATURE_SIZE;
+  return { round, signing_pubkey: bytes.subarray(end - KEY_SIZE, end).toString('hex') };
+}
+
+/**
+ * Network prefix of a standard (primary) wallet address
+ *
+ * The address is base58(varint prefix | spend key | view key | checksum).
+ * The checksum is keccak-256, which Node's crypto does not provide, so it
+ * is not verified here; the wallets check it whenever the address is used.
+ * Throws KexMessageError with reason bad_address.
+ */
+function addressPrefix(address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new KexMessageError('bad_address', 'must be a non-empty string');
+  }
+  let prefix;
+  let bytes;
+  try {
+    bytes = decodeBase58(address);
+    prefix = readVarint(bytes, 0);
+  } catch (err) {
+    if (!(err instanceof KexMessageError)) throw err;
+    throw new KexMessageError('bad_address', `is not an address (${err.message})`);
+  }
+  const expected = prefix.next + KEY_SIZE + KEY_SIZE + CHECKSUM_SIZE;
+  if (bytes.length !== expected) {
+    throw new KexMessageError('bad_address', `decodes to ${bytes.length} bytes, expected ${expected} for a primary address`);
+  }
+  return prefix.value;
+}
+
+/**
+ * Check that every participant's wallet is on the Guardian's network
+ *
+ * addresses maps the request field each address came from to the address.
+ * Returns { ok } or { ok: false, field, reason, message } with a reason of
+ * bad_address or wrong_network. Throws if the Guardian's own address does
+ * not parse.
+ */
+function checkAddresses(guardianAddress, addresses) {
+  const expected = addressPrefix(guardianAddress);
+  for (const [field, address] of Object.entries(addresses)) {
+    let prefix;
+    try {
+      prefix = addressPrefix(address);
+    } catch (err) {
+      if (!(err instanceof KexMessageError)) throw err;
+      return { ok: false, field, reason: err.reason, message: `${field} ${err.message}` };
+    }
+    if (prefix !== expected) {
+      return {
+        ok: false,
+        field,
+        reason: 'wrong_network',
+        message: `${field} is not on the Guardian's network (address prefix 0x${prefix.toString(16)}, expected 0x${expected.toString(16)})`
+      };
+    }
+  }
+  return { ok: true };
+}
+
+function formatFingerprint(hash) {
+  return hash.slice(0, 16).match(/.{4}/g).join('-');
+}
+
+/**
+ * Short fingerprint of a signing public key (hex)
+ */
+function fingerprint(signingPubkey) {
+  return formatFingerprint(crypto.createHash('sha256').update(Buffer.from(signingPubkey, 'hex')).digest('hex'));
+}
+
+/**
+ * Fingerprint of the whole group; the same for every participant
+ */
+function groupFingerprint(signingPubkeys) {
+  const hash = crypto.createHash('sha256');
+  for (const key of [...signingPubkeys].sort()) {
+    hash.update(Buffer.from(key, 'hex'));
+  }
+  return formatFingerprint(hash.digest('hex'));
+}
+
+/**
+ * Validate the threshold and participant names of an init request
+ *
+ * Missing fields fall back to DEFAULT_SCHEME. Returns { ok, scheme } or
+ * { ok: false, error }.
+ */
+function parseScheme({ threshold, participants } = {}) {
+  const names = participants === undefined ? [...DEFAULT_SCHEME.participants] : participants;
+  if (!Array.isArray(names) || names.length === 0) {
+    return { ok: false, error: 'participants must be a non-empty array of names' };
+  }
+  for (const name of names) {
+    if (typeof name !== 'string' || !PARTICIPANT_NAME.test(name)) {
+      return { ok: false, error: `Invalid participant name ${JSON.stringify(name)} (lowercase letters, digits, _ and -)` };
+    }
+    if (name === 'guardian') {
+      return { ok: false, error: 'participants must not include guardian; the Guardian is always a participant' };
+    }
+  }
+  if (new Set(names).size !== names.length) {
+    return { ok: false, error: 'participants must be unique' };
+  }
+
+  const total = names.length + 1;
+  if (total > MAX_PARTICIPANTS) {
+    return { ok: false, error: `At most ${MAX_PARTICIPANTS} participants including the Guardian` };
+  }
+  const m = threshold === undefined ? DEFAULT_SCHEME.threshold : threshold;
+  if (!Number.isInteger(m) || m < 2 || m > total) {
+    return { ok: false, error: `threshold must be an integer from 2 to ${total}` };
+  }
+
+  return { ok: true, scheme: { threshold: m, participants: names } };
+}
+
+/**
+ * Validate the peers' round messages for a finalize request
+ *
+ * guardianRounds are the Guardian's own messages so far (round 1 first);
+ * peers maps a participant name to its messages, round 1 first. Returns
+ * { ok, participants, group } with a fingerprint per participant, or
+ * { ok: false, field, reason, message }.
+ */
+function checkRoundMessages(guardianRounds, peers) {
+  const guardian = parseKexMessage(guardianRounds[0], 1);
+  const participants = { guardian: { fingerprint: fingerprint(guardian.signing_pubkey) } };
+  const signers = { guardian: guardian.signing_pubkey };
+  const seen = new Map(guardianRounds.map((message, i) => [message, `guardian_round${i + 1}`]));
+
+  for (const [role, rounds] of Object.entries(peers)) {
+    let signer = null;
+    for (const [index, message] of rounds.entries()) {
+      const round = index + 1;
+      const field = `${role}_round${round}`;
+      let parsed;
+      try {
+        parsed = parseKexMessage(message, round);
+      } catch (err) {
+        if (!(err instanceof KexMessageError)) throw err;
+        return { ok: false, field, reason: err.reason, message: `${field} ${err.message}` };
+      }
+
+      if (seen.has(message)) {
+        const reason = seen.get(message).startsWith('guardian_') ? 'guardian_echo' : 'duplicate';
+        return { ok: false, field, reason, message: `${field} is the same message as ${seen.get(message)}` };
+      }
+      seen.set(message, field);
+
+      if (round === 1) {
+        const owner = Object.keys(signers).find(r => signers[r] === parsed.signing_pubkey);
+        if (owner) {
+          return {
+            ok: false,
+            field,
+            reason: owner === 'guardian' ? 'guardian_echo' : 'duplicate',
+            message: `${field} is signed by the same key as ${owner}_round1`
+          };
+        }
+        signer = parsed.signing_pubkey;
+        signers[role] = signer;
+      } else if (parsed.signing_pubkey !== signer) {
+        return {
+          ok: false,
+          field,
+          reason: 'signer_mismatch',
+          message: `${field} is not signed by the ${role}_round1 key`
+        };
+      }
+    }
+    participants[role] = { fingerprint: fingerprint(signer) };
+  }
+
+  return { ok: true, participants, group: groupFingerprint(Object.values(signers)) };
+}
+
+module.exports = {
+  DEFAULT_SCHEME,
+  MAX_PARTICIPANTS,
+  KexMessageError,
+  decodeBase58,
+  parseKexMessage,
+  addressPrefix,
+  checkAddresses,
+  fingerprint,
+  groupFingerprint,
+  parseScheme,
+  checkRoundMessages
+};
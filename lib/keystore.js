@@ -0,0 +1,147 @@
+/**
+ * Guardian Keystore
+ *
+ * Seals per-bounty secrets with a key derived from WALLET_PASSWORD.
+ *
+ * The KDF salt and parameters are stored in DATA_DIR/keystore.json together
+ * with a sealed check value, so a wrong password is reported on startup
+ * instead of when the first bounty is decrypted. The password itself is
+ * never written to disk.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const KEYSTORE_FILE = 'keystore.json';
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const CHECK_VALUE = 'salvium-guardian-keystore';
+
+// scrypt cost parameters for new keystores (N=2^15 needs ~32 MB)
+const DEFAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1, keylen: 32 };
+
+/**
+ * Derive the sealing key from a password and stored KDF parameters
+ */
+function deriveKey(password, kdf) {
+  if (kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported keystore KDF: ${kdf.name}`);
+  }
+  return crypto.scryptSync(password, Buffer.from(kdf.salt, 'base64'), kdf.keylen, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+/**
+ * Check whether a value is a sealed envelope
+ */
+function isSealed(value) {
+  return !!value && typeof value === 'object' && value.sealed === CIPHER;
+}
+
+class Keystore {
+  constructor(key) {
+    this.key = key;
+  }
+
+  /**
+   * Encrypt a string into a sealed envelope
+   */
+  seal(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return {
+      sealed: CIPHER,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a sealed envelope back into a string
+   */
+  open(envelope) {
+    if (!isSealed(envelope)) {
+      throw new Error('Value is not a sealed envelope');
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    try {
+      return Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (err) {
+      throw new Error('Failed to decrypt sealed value (wrong password or corrupted data)');
+    }
+  }
+
+  sealJson(value) {
+    return this.seal(JSON.stringify(value));
+  }
+
+  openJson(envelope) {
+    return JSON.parse(this.open(envelope));
+  }
+}
+
+/**
+ * Open the keystore in dataDir, creating it on first run
+ */
+function openKeystore(dataDir, password) {
+  if (!password) {
+    throw new Error('WALLET_PASSWORD is not set. It is required to encrypt bounty secrets.');
+  }
+
+  const file = path.join(dataDir, KEYSTORE_FILE);
+
+  if (!fs.existsSync(file)) {
+    const kdf = { ...DEFAULT_KDF, salt: crypto.randomBytes(16).toString('base64') };
+    const keystore = new Keystore(deriveKey(password, kdf));
+    const meta = {
+      version: KEYSTORE_VERSION,
+      kdf,
+      check: keystore.seal(CHECK_VALUE),
+      created_at: new Date().toISOString()
+    };
+    store.replace(file, meta);
+    return keystore;
+  }
+
+  return unlockKeystore(store.read(file), password, file);
+}
+
+/**
+ * Open a keystore from its keystore.json contents (source names it in errors)
+ */
+function unlockKeystore(meta, password, source) {
+  if (!meta || meta.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${meta && meta.version}`);
+  }
+
+  const keystore = new Keystore(deriveKey(password, meta.kdf));
+  let check;
+  try {
+    check = keystore.open(meta.check);
+  } catch (err) {
+    check = null;
+  }
+  if (check !== CHECK_VALUE) {
+    throw new Error('WALLET_PASSWORD does not match the keystore in ' + source);
+  }
+  return keystore;
+}
+
+module.exports = {
+  KEYSTORE_FILE,
+  openKeystore,
+  unlockKeystore,
+  isSealed
+};
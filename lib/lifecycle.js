@@ -0,0 +1,119 @@
+/**
+ * Bounty lifecycle
+ *
+ *   pending → ready → funded → settled | refunded | disputed → archived
+ *             ready | funded → handed_over → archived
+ *
+ * pending   key exchange not complete
+ * ready     escrow address known, not yet funded
+ * funded    escrow holds funds (reported by the bounty server or seen on sync);
+ *           stays funded, with a signed `refund`, until the refund is spent
+ * settled   paid out to the worker (normal payout or approved dispute)
+ * refunded  refund signed by the Guardian and seen on chain (or reported by
+ *           the bounty server)
+ * disputed  payout dispute awaiting operator review; a rejected dispute
+ *           returns the bounty to funded
+ * handed_over
+ *           moved to a new escrow with a successor Guardian; a funded
+ *           bounty only once its sweep is seen on chain (handover.js)
+ * archived  closed, hidden from GET /bounties by default
+ *
+ * Every change is appended to the record's `history`.
+ */
+
+const STATUS = {
+  PENDING: 'pending',
+  READY: 'ready',
+  FUNDED: 'funded',
+  SETTLED: 'settled',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  HANDED_OVER: 'handed_over',
+  ARCHIVED: 'archived'
+};
+
+const TRANSITIONS = {
+  [STATUS.PENDING]: [STATUS.READY],
+  [STATUS.READY]: [STATUS.FUNDED, STATUS.HANDED_OVER, STATUS.ARCHIVED],
+  [STATUS.FUNDED]: [STATUS.SETTLED, STATUS.REFUNDED, STATUS.DISPUTED, STATUS.HANDED_OVER],
+  [STATUS.DISPUTED]: [STATUS.SETTLED, STATUS.FUNDED],
+  [STATUS.SETTLED]: [STATUS.ARCHIVED],
+  [STATUS.REFUNDED]: [STATUS.ARCHIVED],
+  [STATUS.HANDED_OVER]: [STATUS.ARCHIVED],
+  [STATUS.ARCHIVED]: []
+};
+
+// Final outcomes: the Guardian never signs for these bounties again
+const CLOSED_STATUSES = [STATUS.SETTLED, STATUS.REFUNDED, STATUS.HANDED_OVER, STATUS.ARCHIVED];
+
+class LifecycleError extends Error {
+  constructor(message, status, allowed) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.status = status;
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * Current status of a record (records from before lifecycle tracking have none)
+ */
+function statusOf(info) {
+  if (info.status) return info.status;
+  return info.is_ready ? STATUS.READY : STATUS.PENDING;
+}
+
+function isClosed(info) {
+  return CLOSED_STATUSES.includes(statusOf(info));
+}
+
+function canTransition(info, to) {
+  return (TRANSITIONS[statusOf(info)] || []).includes(to);
+}
+
+/**
+ * Move a record to a new status, recording it in history
+ *
+ * Throws LifecycleError if the transition is not allowed.
+ */
+function transition(info, to, reason) {
+  const from = statusOf(info);
+  if (!canTransition(info, to)) {
+    throw new LifecycleError(`Cannot move bounty from ${from} to ${to}`, from, TRANSITIONS[from] || []);
+  }
+  info.status = to;
+  info.history = info.history || [];
+  info.history.push({ from, to, reason: reason || null, at: new Date().toISOString() });
+  return info;
+}
+
+/**
+ * True while a bounty's refund is signed but not yet seen on chain
+ */
+function refundPending(info) {
+  return !!info.refund && info.refund.status === 'signed' && statusOf(info) === STATUS.FUNDED;
+}
+
+/**
+ * True once a funding scan made after the refund was signed finds the
+ * escrow funded and fully spent
+ */
+function refundSeen(info) {
+  const funding = info.funding;
+  return refundPending(info) && !!funding && !!funding.scanned_at &&
+    funding.scanned_at > info.refund.signed_at &&
+    funding.balance === '0' && funding.incoming.length > 0;
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  CLOSED_STATUSES,
+  LifecycleError,
+  statusOf,
+  isClosed,
+  canTransition,
+  transition,
+  refundPending,
+  refundSeen
+};
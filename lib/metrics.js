@@ -0,0 +1,148 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text format (version 0.0.4) for GET /metrics. Gauges that
+ * describe current state are computed at scrape time by a collect function
+ * instead of being kept up to date by hand.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; signing routes wait on daemons, so the upper buckets are wide
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return '{' + keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',') + '}';
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  }
+  return picked;
+}
+
+/**
+ * Create a metrics registry
+ *
+ * counter/gauge/histogram(name, help, labelNames) register a metric and
+ * return it. counter() and gauge() also accept a collect function returning
+ * a number or a list of { labels, value }, called on every render().
+ */
+function createMetrics() {
+  const metrics = [];
+
+  // Counters and gauges share storage; collect() replaces it when given
+  function simple(type, name, help, labelNames, collect) {
+    const series = new Map();
+    const metric = {
+      name,
+      help,
+      type,
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+      },
+      samples() {
+        if (!collect) {
+          return [...series.values()].map(s => ({ name, labels: s.labels, value: s.value }));
+        }
+        const result = collect();
+        const list = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        return list.map(s => ({ name, labels: pickLabels(labelNames, s.labels || {}), value: s.value }));
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = [], collect = null) {
+    return simple('counter', name, help, labelNames, collect);
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    return simple('gauge', name, help, labelNames, collect);
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      samples() {
+        const out = [];
+        for (const s of series.values()) {
+          buckets.forEach((le, i) => {
+            out.push({ name: `${name}_bucket`, labels: { ...s.labels, le: String(le) }, value: s.counts[i] });
+          });
+          out.push({ name: `${name}_bucket`, labels: { ...s.labels, le: '+Inf' }, value: s.count });
+          out.push({ name: `${name}_sum`, labels: s.labels, value: s.sum });
+          out.push({ name: `${name}_count`, labels: s.labels, value: s.count });
+        }
+        return out;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric; a failing collect function is skipped, not fatal
+   */
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch (err) {
+        console.error(`[Guardian] Failed to collect metric ${metric.name}:`, err.message);
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const s of samples) {
+        lines.push(`${s.name}${labelString(s.labels)} ${Number(s.value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetrics
+};
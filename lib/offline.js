@@ -0,0 +1,345 @@
+/**
+ * Offline (air-gapped) signing
+ *
+ * With SIGNING_MODE=offline the internet-facing server never keeps a bounty
+ * key after finalize. The signer seed and kex transcript are sealed to the
+ * offline signer's X25519 public key instead of the server keystore, so the
+ * server cannot decrypt them. Signing requests are queued in
+ * DATA_DIR/signing-requests.json and moved by hand:
+ *
+ *   server:  cli.js offline export requests.json  (request bundle)
+ *   offline: cli.js offline sign requests.json responses.json
+ *   server:  cli.js offline import responses.json (response bundle)
+ *
+ * The offline signer's private key lives in its own DATA_DIR, sealed with
+ * that host's WALLET_PASSWORD keystore.
+ *
+ * Refund address, deadline and escrow address are sealed together with the
+ * seed, so a tampered bundle cannot redirect a refund. The bundle's chain
+ * height and dispute decision are not trusted either: the offline operator
+ * gives the height (`--height`) and approves each payout (`--approve`).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const SIGNING_REQUESTS_FILE = 'signing-requests.json';
+const SIGNER_KEY_FILE = 'offline-signer.json';
+const BUNDLE_FORMAT = 'salvium-guardian-offline-bundle';
+const BUNDLE_VERSION = 1;
+const ENVELOPE = 'x25519-aes-256-gcm';
+const HKDF_INFO = 'salvium-guardian-offline-signer';
+
+const TYPES = {
+  REFUND: 'refund',
+  PAYOUT: 'payout'
+};
+
+const STATUS = {
+  QUEUED: 'queued',
+  EXPORTED: 'exported',
+  SIGNED: 'signed',
+  REJECTED: 'rejected'
+};
+
+// Requests still waiting for the offline signer
+const OPEN = [STATUS.QUEUED, STATUS.EXPORTED];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Parse a base64 SPKI public key (as printed by `cli.js offline keygen`)
+ */
+function parsePublicKey(base64) {
+  const key = crypto.createPublicKey({ key: Buffer.from(base64, 'base64'), format: 'der', type: 'spki' });
+  if (key.asymmetricKeyType !== 'x25519') {
+    throw new Error(`Offline signer key must be x25519, got ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+function envelopeKey(privateKey, publicKey, epk) {
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', secret, epk, HKDF_INFO, 32));
+}
+
+/**
+ * Seal a JSON value so that only the offline signer can open it
+ */
+function sealForSigner(publicKey, value) {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const epk = ephemeral.publicKey.export({ format: 'der', type: 'spki' });
+  const key = envelopeKey(ephemeral.privateKey, publicKey, epk);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    sealed: ENVELOPE,
+    epk: epk.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Open a value sealed with sealForSigner
+ */
+function openAsSigner(privateKey, envelope) {
+  if (!envelope || envelope.sealed !== ENVELOPE) {
+    throw new Error('Value is not sealed for the offline signer');
+  }
+  const epk = Buffer.from(envelope.epk, 'base64');
+  const publicKey = crypto.createPublicKey({ key: epk, format: 'der', type: 'spki' });
+  const key = envelopeKey(privateKey, publicKey, epk);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    return JSON.parse(Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8'));
+  } catch (err) {
+    throw new Error('Failed to open sealed secrets (sealed for a different offline signer?)');
+  }
+}
+
+/**
+ * Create the offline signer key pair; returns the base64 public key
+ */
+function createSignerKey(dataDir, keystore) {
+  const file = path.join(dataDir, SIGNER_KEY_FILE);
+  if (fs.existsSync(file)) {
+    throw new Error(`Offline signer key already exists in ${file}`);
+  }
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const public_key = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  store.replace(file, {
+    public_key,
+    private_key: keystore.seal(privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')),
+    created_at: new Date().toISOString()
+  });
+  return public_key;
+}
+
+/**
+ * Load the offline signer key pair, opening the private key with the keystore
+ */
+function loadSignerKey(dataDir, keystore) {
+  const file = path.join(dataDir, SIGNER_KEY_FILE);
+  const meta = store.read(file, null);
+  if (!meta) {
+    throw new Error(`No offline signer key in ${dataDir}. Run: node cli.js offline keygen`);
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(keystore.open(meta.private_key), 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return { publicKey: meta.public_key, privateKey };
+}
+
+function requestsFile(dataDir) {
+  return path.join(dataDir, SIGNING_REQUESTS_FILE);
+}
+
+function loadRequests(dataDir) {
+  return store.read(requestsFile(dataDir), {});
+}
+
+/**
+ * Apply fn to one request and save; returns the updated request or null
+ */
+function updateRequest(dataDir, id, fn) {
+  let request = null;
+  store.update(requestsFile(dataDir), {}, requests => {
+    request = requests[id] || null;
+    if (!request) return;
+    fn(request);
+    request.updated_at = new Date().toISOString();
+  });
+  return request;
+}
+
+/**
+ * Find the open or answered request for the same transaction
+ */
+function findRequest(dataDir, type, bountyId, txDataHex) {
+  const tx_hash = sha256Hex(String(txDataHex));
+  return Object.values(loadRequests(dataDir)).find(r =>
+    r.type === type && r.bounty_id === bountyId && r.tx_hash === tx_hash &&
+    r.status !== STATUS.REJECTED
+  ) || null;
+}
+
+/**
+ * Queue a signing request for the offline signer
+ *
+ * policy is the server's view of the request (chain height and refund
+ * unlock for refunds, the dispute decision for payouts). The offline signer
+ * checks it against the operator's own height and approval.
+ */
+function queueRequest(dataDir, { type, bounty_id, tx_data_hex, policy }) {
+  const now = new Date().toISOString();
+  const request = {
+    request_id: crypto.randomUUID(),
+    type,
+    bounty_id,
+    status: STATUS.QUEUED,
+    tx_data_hex,
+    tx_hash: sha256Hex(String(tx_data_hex)),
+    policy,
+    response: null,
+    applied: false,
+    created_at: now,
+    updated_at: now
+  };
+  store.update(requestsFile(dataDir), {}, requests => {
+    requests[request.request_id] = request;
+  });
+  return request;
+}
+
+function bundleChecksum(items) {
+  return sha256Hex(JSON.stringify(items));
+}
+
+/**
+ * Write a request or response bundle
+ */
+function writeBundle(file, kind, items) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kind,
+    created_at: new Date().toISOString(),
+    checksum: bundleChecksum(items),
+    items
+  };
+  fs.writeFileSync(file, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+  return bundle;
+}
+
+/**
+ * Read a bundle, checking its format, kind and checksum
+ */
+function readBundle(file, kind) {
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read bundle ${file}: ${err.message}`);
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`${file} is not an offline signing bundle`);
+  }
+  if (bundle.kind !== kind) {
+    throw new Error(`${file} is a ${bundle.kind} bundle, expected ${kind}`);
+  }
+  if (!Array.isArray(bundle.items) || bundleChecksum(bundle.items) !== bundle.checksum) {
+    throw new Error(`Bundle ${file} is damaged (checksum mismatch)`);
+  }
+  return bundle;
+}
+
+/**
+ * Build request bundle items for every open request
+ *
+ * bounties maps bounty id → record; only the sealed offline secrets, the
+ * peers' multisig infos and public fields go into the bundle. Requests are
+ * marked exported.
+ */
+function exportRequests(dataDir, bounties) {
+  const items = [];
+  store.update(requestsFile(dataDir), {}, requests => {
+    for (const request of Object.values(requests)) {
+      if (!OPEN.includes(request.status)) continue;
+      const info = bounties[request.bounty_id];
+      if (!info || !info.offline_secrets) continue;
+
+      items.push({
+        request_id: request.request_id,
+        type: request.type,
+        bounty_id: request.bounty_id,
+        tx_data_hex: request.tx_data_hex,
+        tx_hash: request.tx_hash,
+        policy: request.policy,
+        bounty: {
+          multisig_address: info.multisig_address,
+          offline_secrets: info.offline_secrets,
+          peer_infos: info.multisig_peer_infos || []
+        }
+      });
+      request.status = STATUS.EXPORTED;
+      request.exported_at = new Date().toISOString();
+      request.updated_at = request.exported_at;
+    }
+  });
+  return items;
+}
+
+/**
+ * Store the answers from a response bundle on their requests
+ *
+ * Returns { imported, skipped } lists of { request_id, status | reason }.
+ */
+function importResponses(dataDir, items) {
+  const imported = [];
+  const skipped = [];
+  store.update(requestsFile(dataDir), {}, requests => {
+    for (const item of items) {
+      const request = requests[item.request_id];
+      if (!request) {
+        skipped.push({ request_id: item.request_id, reason: 'unknown request' });
+      } else if (!OPEN.includes(request.status)) {
+        skipped.push({ request_id: item.request_id, reason: `already ${request.status}` });
+      } else if (item.tx_hash !== request.tx_hash) {
+        skipped.push({ request_id: item.request_id, reason: 'transaction does not match request' });
+      } else if (item.status === STATUS.SIGNED && !item.tx_data_hex) {
+        skipped.push({ request_id: item.request_id, reason: 'signed response without transaction' });
+      } else if (item.status !== STATUS.SIGNED && item.status !== STATUS.REJECTED) {
+        skipped.push({ request_id: item.request_id, reason: `invalid status ${item.status}` });
+      } else {
+        request.status = item.status;
+        request.response = {
+          tx_data_hex: item.tx_data_hex || null,
+          signers: item.signers,
+          ready: item.ready,
+          description: item.description || null,
+          reason: item.reason || null,
+          message: item.message || null,
+          signed_at: item.signed_at || null
+        };
+        request.updated_at = new Date().toISOString();
+        imported.push({ request_id: item.request_id, status: item.status });
+      }
+    }
+  });
+  return { imported, skipped };
+}
+
+module.exports = {
+  SIGNING_REQUESTS_FILE,
+  SIGNER_KEY_FILE,
+  TYPES,
+  STATUS,
+  parsePublicKey,
+  sealForSigner,
+  openAsSigner,
+  createSignerKey,
+  loadSignerKey,
+  loadRequests,
+  updateRequest,
+  findRequest,
+  queueRequest,
+  writeBundle,
+  readBundle,
+  exportRequests,
+  importResponses
+};
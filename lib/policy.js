@@ -0,0 +1,291 @@
+/**
+ * Signing policy
+ *
+ * Operator rules from POLICY_FILE (JSON), evaluated after a transaction has
+ * passed the built-in checks and before the Guardian signs it:
+ *
+ *   {
+ *     "max_amount": "500000000000",
+ *     "blocked_addresses": ["SaLv..."],
+ *     "allowed_destinations": { "payout": ["SaLv..."] },
+ *     "approval_above": "100000000000",
+ *     "daily_cap": { "count": 20, "amount": "2000000000000" }
+ *   }
+ *
+ * max_amount        most a single transaction may send (all destinations)
+ * blocked_addresses never sign a transaction paying one of these
+ * allowed_destinations
+ *                   per signing type (refund, payout, handover): only these
+ *                   addresses may be paid; types not listed are unrestricted
+ * approval_above    larger transactions need operator approval (an approved
+ *                   dispute, or the CLI); automatic refunds above it are
+ *                   denied
+ * daily_cap         most signatures and amount in any 24 hours, counted
+ *                   from the audit log; re-signing a counted tx is free
+ *
+ * Every rule is optional and amounts are atomic units as decimal strings.
+ * evaluate() returns every rule's outcome so a denial lists all reasons.
+ *
+ * The amount rules (max_amount, approval_above, daily_cap) do not apply to
+ * handovers: a handover sweep can only pay the successor escrow the worker
+ * confirmed, the operator started the handover, and capping it would strand
+ * the escrow on a retiring Guardian. Handovers are not counted towards the
+ * daily cap either.
+ */
+
+const fs = require('fs');
+
+const TYPES = ['refund', 'payout', 'handover'];
+const RULES = ['max_amount', 'blocked_addresses', 'allowed_destinations', 'approval_above', 'daily_cap'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rules that limit how much is sent, not where it goes
+const AMOUNT_RULES = ['max_amount', 'approval_above', 'daily_cap'];
+
+// Audit events of signed transactions counted towards the daily cap
+const SIGNED_EVENTS = ['refund.signed', 'payout.signed', 'offline.signed'];
+
+const EMPTY_POLICY = Object.freeze({ rules: Object.freeze([]) });
+
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+function parseAmount(value, field) {
+  if (typeof value !== 'string' && !Number.isSafeInteger(value)) {
+    throw new PolicyError(`${field} must be an amount in atomic units (decimal string)`);
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new PolicyError(`${field} must be a non-negative integer, got ${JSON.stringify(value)}`);
+  }
+  return BigInt(value);
+}
+
+function parseAddresses(value, field) {
+  if (!Array.isArray(value) || value.some(a => typeof a !== 'string' || a.length === 0)) {
+    throw new PolicyError(`${field} must be an array of addresses`);
+  }
+  return new Set(value);
+}
+
+/**
+ * Validate a parsed policy document
+ *
+ * Returns { rules, max_amount, ... } with amounts as BigInt and address lists
+ * as Sets; throws PolicyError on anything unknown or malformed.
+ */
+function parsePolicy(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new PolicyError('Policy must be a JSON object');
+  }
+  const unknown = Object.keys(doc).filter(key => !RULES.includes(key));
+  if (unknown.length > 0) {
+    throw new PolicyError(`Unknown policy rules: ${unknown.join(', ')} (expected ${RULES.join(', ')})`);
+  }
+
+  const policy = { rules: [] };
+  if (doc.max_amount !== undefined) {
+    policy.max_amount = parseAmount(doc.max_amount, 'max_amount');
+  }
+  if (doc.blocked_addresses !== undefined) {
+    policy.blocked_addresses = parseAddresses(doc.blocked_addresses, 'blocked_addresses');
+  }
+  if (doc.allowed_destinations !== undefined) {
+    const lists = doc.allowed_destinations;
+    if (!lists || typeof lists !== 'object' || Array.isArray(lists)) {
+      throw new PolicyError(`allowed_destinations must map a signing type (${TYPES.join(', ')}) to addresses`);
+    }
+    policy.allowed_destinations = {};
+    for (const [type, addresses] of Object.entries(lists)) {
+      if (!TYPES.includes(type)) {
+        throw new PolicyError(`allowed_destinations: unknown signing type "${type}"`);
+      }
+      policy.allowed_destinations[type] = parseAddresses(addresses, `allowed_destinations.${type}`);
+    }
+  }
+  if (doc.approval_above !== undefined) {
+    policy.approval_above = parseAmount(doc.approval_above, 'approval_above');
+  }
+  if (doc.daily_cap !== undefined) {
+    const cap = doc.daily_cap;
+    if (!cap || typeof cap !== 'object' || (cap.count === undefined && cap.amount === undefined)) {
+      throw new PolicyError('daily_cap must have a count, an amount or both');
+    }
+    policy.daily_cap = {};
+    if (cap.count !== undefined) {
+      if (!Number.isInteger(cap.count) || cap.count < 0) {
+        throw new PolicyError('daily_cap.count must be a non-negative integer');
+      }
+      policy.daily_cap.count = cap.count;
+    }
+    if (cap.amount !== undefined) {
+      policy.daily_cap.amount = parseAmount(cap.amount, 'daily_cap.amount');
+    }
+  }
+
+  policy.rules = RULES.filter(rule => policy[rule] !== undefined);
+  return policy;
+}
+
+/**
+ * Read and validate POLICY_FILE
+ */
+function loadPolicy(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new PolicyError(`Cannot read policy file ${file}: ${err.message}`);
+  }
+  return parsePolicy(doc);
+}
+
+/**
+ * Signatures and amount signed in the last 24 hours, from audit entries
+ */
+function dailyUsage(entries, now = Date.now()) {
+  const usage = { count: 0, amount: 0n, tx_hashes: new Set() };
+  for (const entry of entries) {
+    if (!SIGNED_EVENTS.includes(entry.event) || !entry.data) continue;
+    if (now - Date.parse(entry.at) > DAY) continue;
+    const { tx_hash, description, type } = entry.data;
+    if (!tx_hash || usage.tx_hashes.has(tx_hash) || type === 'handover') continue;
+    usage.tx_hashes.add(tx_hash);
+    usage.count++;
+    // A signed tx always had its amounts checked; an entry without them adds nothing
+    usage.amount += sentAmount(description) || 0n;
+  }
+  return usage;
+}
+
+/**
+ * Total paid to all destinations of a described tx, or null when a
+ * destination's amount is not known
+ */
+function sentAmount(description) {
+  if (!description || !Array.isArray(description.destinations)) return 0n;
+  if (description.destinations.some(d => d.amount === null || d.amount === undefined)) return null;
+  return description.destinations.reduce((sum, d) => sum + BigInt(d.amount), 0n);
+}
+
+function allow(rule, note) {
+  return note ? { rule, allowed: true, note } : { rule, allowed: true };
+}
+
+function deny(rule, reason, message, details = {}) {
+  return { rule, allowed: false, reason, message, details };
+}
+
+/**
+ * Evaluate a described tx against the policy
+ *
+ * type is refund, payout or handover; approved says the operator approved
+ * this tx; usage comes from dailyUsage() and is only needed with a daily
+ * cap. Destination amounts may be null for a pre-check before the tx can be
+ * described (offline mode); amount limits then pass with a note and are
+ * left to the signer. Returns { allowed, amount, results, violations },
+ * with one result per configured rule. A tx that could not be described
+ * is denied (describe_failed) without evaluating any rule.
+ */
+function evaluate(policy, { type, description, approved = false, tx_hash = null, usage = null }) {
+  if (!description || description.success === false || !Array.isArray(description.destinations)) {
+    const violation = deny('description', 'describe_failed', 'Transaction could not be described', {
+      error: description && description.error ? description.error : null
+    });
+    return { allowed: false, amount: null, results: [violation], violations: [violation] };
+  }
+
+  const amount = sentAmount(description);
+  const addresses = description.destinations.map(d => d.address);
+  const results = [];
+  const exempt = type === 'handover'
+    ? AMOUNT_RULES.filter(rule => policy[rule] !== undefined)
+    : [];
+  const deferred = amount === null
+    ? ['max_amount', 'approval_above'].filter(rule => policy[rule] !== undefined && !exempt.includes(rule))
+    : [];
+
+  if (policy.max_amount !== undefined && !exempt.includes('max_amount') && amount !== null) {
+    results.push(amount > policy.max_amount
+      ? deny('max_amount', 'max_amount_exceeded', `Sends ${amount}, more than the maximum ${policy.max_amount}`, {
+        amount: amount.toString(),
+        max_amount: policy.max_amount.toString()
+      })
+      : allow('max_amount'));
+  }
+
+  if (policy.blocked_addresses !== undefined) {
+    const blocked = addresses.filter(a => policy.blocked_addresses.has(a));
+    results.push(blocked.length > 0
+      ? deny('blocked_addresses', 'blocked_address', 'Pays a blocked address', { addresses: blocked })
+      : allow('blocked_addresses'));
+  }
+
+  if (policy.allowed_destinations !== undefined) {
+    const list = policy.allowed_destinations[type];
+    const outside = list ? addresses.filter(a => !list.has(a)) : [];
+    results.push(outside.length > 0
+      ? deny('allowed_destinations', 'destination_not_allowed', `Pays an address not allowed for ${type}`, {
+        addresses: outside
+      })
+      : allow('allowed_destinations'));
+  }
+
+  if (policy.approval_above !== undefined && !exempt.includes('approval_above') && amount !== null) {
+    results.push(amount > policy.approval_above && !approved
+      ? deny('approval_above', 'approval_required', `Sends ${amount}; above ${policy.approval_above} needs operator approval`, {
+        amount: amount.toString(),
+        approval_above: policy.approval_above.toString()
+      })
+      : allow('approval_above'));
+  }
+
+  if (policy.daily_cap !== undefined && !exempt.includes('daily_cap')) {
+    const cap = policy.daily_cap;
+    const used = usage || { count: 0, amount: 0n, tx_hashes: new Set() };
+    const counted = tx_hash !== null && used.tx_hashes.has(tx_hash);
+    const details = {
+      signed_24h: used.count,
+      amount_24h: used.amount.toString(),
+      count_cap: cap.count === undefined ? null : cap.count,
+      amount_cap: cap.amount === undefined ? null : cap.amount.toString()
+    };
+    if (!counted && cap.count !== undefined && used.count + 1 > cap.count) {
+      results.push(deny('daily_cap', 'daily_count_exceeded', `Already signed ${used.count} transactions in 24 hours`, details));
+    } else if (!counted && cap.amount !== undefined && amount !== null && used.amount + amount > cap.amount) {
+      results.push(deny('daily_cap', 'daily_amount_exceeded',
+        `Would bring the amount signed in 24 hours to ${used.amount + amount}, over ${cap.amount}`, details));
+    } else {
+      results.push(allow('daily_cap'));
+    }
+  }
+
+  for (const rule of exempt) {
+    results.push(allow(rule, 'does not apply to handovers'));
+  }
+  for (const rule of deferred) {
+    results.push(allow(rule, 'amount not known yet; checked when signing'));
+  }
+  results.sort((a, b) => RULES.indexOf(a.rule) - RULES.indexOf(b.rule));
+
+  const violations = results.filter(r => !r.allowed);
+  return {
+    allowed: violations.length === 0,
+    amount: amount === null ? null : amount.toString(),
+    results,
+    violations
+  };
+}
+
+module.exports = {
+  TYPES,
+  EMPTY_POLICY,
+  PolicyError,
+  parsePolicy,
+  loadPolicy,
+  dailyUsage,
+  evaluate
+};
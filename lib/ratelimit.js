@@ -0,0 +1,112 @@
+/**
+ * Request rate limiting
+ *
+ * Fixed-window counters per route name and client. Limits are configured
+ * as "name=max" pairs, for example:
+ *
+ *   RATE_LIMITS=init-escrow=10,sign-refund=30,default=120
+ *
+ * allows 10 /init-escrow calls per client per RATE_LIMIT_WINDOW seconds,
+ * 30 /sign-refund calls, and 120 for every other limited route. A limit of
+ * 0 disables limiting for that route.
+ *
+ * Counters live in memory; a restart resets them.
+ */
+
+const DEFAULT_LIMITS = {
+  'init-escrow': 10,
+  default: 120
+};
+
+/**
+ * Parse a RATE_LIMITS string into { name: max }, on top of the defaults
+ */
+function parseLimits(spec) {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const part of String(spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [name, value] = part.split('=').map(p => p.trim());
+    const max = parseInt(value, 10);
+    if (!name || !Number.isInteger(max) || max < 0) {
+      throw new Error(`Invalid RATE_LIMITS entry "${part}" (expected name=max)`);
+    }
+    limits[name] = max;
+  }
+  return limits;
+}
+
+/**
+ * Create a limiter
+ *
+ * limit(name) returns Express middleware that answers 429 with Retry-After
+ * once a client is over the route's limit. onLimited(name, req) is called
+ * for every rejected request.
+ */
+function createRateLimiter({ windowSeconds = 60, limits = DEFAULT_LIMITS, clientId = req => req.ip, onLimited = null }) {
+  const windowMs = windowSeconds * 1000;
+  const windows = new Map();
+  let lastPurge = Date.now();
+
+  function purge(now) {
+    if (now - lastPurge < windowMs) return;
+    for (const [key, entry] of windows) {
+      if (entry.reset_at <= now) windows.delete(key);
+    }
+    lastPurge = now;
+  }
+
+  /**
+   * Count one request; returns { ok, limit, remaining, retry_after }
+   */
+  function hit(name, client) {
+    const limit = limits[name] !== undefined ? limits[name] : limits.default;
+    if (!limit) {
+      return { ok: true, limit: null, remaining: null, retry_after: 0 };
+    }
+
+    const now = Date.now();
+    purge(now);
+    const key = `${name}\n${client}`;
+    let entry = windows.get(key);
+    if (!entry || entry.reset_at <= now) {
+      entry = { count: 0, reset_at: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    return {
+      ok: entry.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      retry_after: Math.ceil((entry.reset_at - now) / 1000)
+    };
+  }
+
+  function limit(name) {
+    return (req, res, next) => {
+      const result = hit(name, clientId(req));
+      if (result.limit !== null) {
+        res.set('X-RateLimit-Limit', String(result.limit));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+      }
+      if (result.ok) return next();
+
+      if (onLimited) onLimited(name, req);
+      res.set('Retry-After', String(result.retry_after));
+      res.status(429).json({
+        error: 'Too many requests',
+        reason: 'rate_limited',
+        limit: result.limit,
+        window_seconds: windowSeconds,
+        retry_after: result.retry_after
+      });
+    };
+  }
+
+  return { hit, limit };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  parseLimits,
+  createRateLimiter
+};
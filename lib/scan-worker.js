@@ -0,0 +1,77 @@
+/**
+ * Funding scan worker
+ *
+ * Runs in a worker thread started by funding.createScanner(). It loads its
+ * own WASM module and keeps a view-only wallet per bounty, built from the
+ * escrow address and view key the main thread sends (funding.viewOnlyState),
+ * so a wallet only scans the blocks it has not seen yet. No key that can
+ * spend ever reaches this thread. At most maxWallets are kept (0 keeps them
+ * all); the least recently scanned goes first.
+ *
+ * Messages in:  { id, type: 'scan', bountyId, state, daemonUrl }
+ *               { type: 'release', bountyId }
+ * Messages out: { missing } once loaded, then { id, result } or { id, error }
+ */
+
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const { missingScanMethods, restoreViewOnlyWallet, importKeyImages, scanWallet } = require('./funding');
+
+const wallets = new Map();
+// Key images last imported per bounty
+const keyImages = new Map();
+let wasmModule = null;
+
+function release(bountyId) {
+  const wallet = wallets.get(bountyId);
+  if (!wallet) return;
+  wallets.delete(bountyId);
+  keyImages.delete(bountyId);
+  wallet.delete();
+}
+
+/**
+ * The worker's wallet for a bounty, rebuilt on first use
+ */
+function walletFor(bountyId, state) {
+  let wallet = wallets.get(bountyId);
+  if (wallet) {
+    // Map order doubles as recency
+    wallets.delete(bountyId);
+    wallets.set(bountyId, wallet);
+  } else {
+    while (workerData.maxWallets > 0 && wallets.size >= workerData.maxWallets) {
+      release(wallets.keys().next().value);
+    }
+    wallet = restoreViewOnlyWallet(wasmModule, state);
+    wallets.set(bountyId, wallet);
+  }
+
+  if (state.key_images !== keyImages.get(bountyId)) {
+    importKeyImages(wallet, state.key_images);
+    keyImages.set(bountyId, state.key_images);
+  }
+  return wallet;
+}
+
+parentPort.on('message', msg => {
+  if (msg.type === 'release') {
+    release(msg.bountyId);
+    return;
+  }
+
+  try {
+    const wallet = walletFor(msg.bountyId, msg.state);
+    parentPort.postMessage({ id: msg.id, result: scanWallet(wallet, { daemonUrl: msg.daemonUrl }) });
+  } catch (err) {
+    // A wallet that failed mid-scan is rebuilt next time
+    release(msg.bountyId);
+    parentPort.postMessage({ id: msg.id, error: err.message });
+  }
+});
+
+(async () => {
+  const SalviumWallet = require(path.join(__dirname, '..', 'wasm', 'SalviumWallet.js'));
+  wasmModule = await SalviumWallet();
+  parentPort.postMessage({ missing: missingScanMethods(wasmModule.WasmWallet) });
+})();
@@ -0,0 +1,302 @@
+/**
+ * Crash-safe JSON storage
+ *
+ * Every state file in DATA_DIR is written the same way:
+ *
+ * 1. The payload is wrapped with a SHA-256 checksum
+ * 2. It is written to a temp file and fsynced
+ * 3. The current file is kept as <file>.bak
+ * 4. The temp file is renamed over the original and the directory fsynced
+ *
+ * A crash leaves either the old or the new file, never a partial one. On
+ * read the checksum is verified and a mismatch throws StoreCorruptError, so
+ * callers refuse to run on damaged state instead of silently dropping it.
+ *
+ * server.js and cli.js share the same DATA_DIR, so read-modify-write cycles
+ * go through update(), which holds an exclusive <file>.lock for the cycle.
+ * The running server also holds DATA_DIR/server.lock (claimDataDir()); CLI
+ * commands that rewrite state the server keeps in memory take the same
+ * lock (withDataDir()), so they refuse to run while the server does and a
+ * server cannot start under them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FORMAT = 'salvium-guardian-store';
+const STORE_VERSION = 1;
+
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 30000;
+const LOCK_RETRY = 50;
+const SERVER_LOCK = 'server.lock';
+
+// Failed writes since the process started (exported as a metric)
+let writeErrors = 0;
+
+class StoreCorruptError extends Error {
+  constructor(file, reason) {
+    super(`Corrupted state file ${file}: ${reason}`);
+    this.name = 'StoreCorruptError';
+    this.file = file;
+  }
+}
+
+function checksum(json) {
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function fsyncDir(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Directory fsync is not supported everywhere; rename is still atomic
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read a state file, verifying its checksum
+ *
+ * Returns `fallback` if the file does not exist. Files written before this
+ * format (plain JSON) are accepted and upgraded on the next write.
+ */
+function read(file, fallback = {}) {
+  if (!fs.existsSync(file)) return fallback;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new StoreCorruptError(file, 'invalid JSON (' + err.message + ')');
+  }
+
+  if (!parsed || parsed.format !== STORE_FORMAT) {
+    return parsed;
+  }
+  if (parsed.version !== STORE_VERSION) {
+    throw new StoreCorruptError(file, `unsupported store version ${parsed.version}`);
+  }
+  if (checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+    throw new StoreCorruptError(file, 'checksum mismatch');
+  }
+  return parsed.data;
+}
+
+/**
+ * Atomically replace a state file
+ */
+function write(file, data) {
+  const json = JSON.stringify(data);
+  const envelope = {
+    format: STORE_FORMAT,
+    version: STORE_VERSION,
+    checksum: checksum(json),
+    written_at: new Date().toISOString(),
+    data
+  };
+
+  const tmp = `${file}.tmp-${process.pid}`;
+  try {
+    const fd = fs.openSync(tmp, 'w', 0o600);
+    try {
+      fs.writeSync(fd, JSON.stringify(envelope, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (fs.existsSync(file)) {
+      fs.copyFileSync(file, `${file}.bak`);
+    }
+    fs.renameSync(tmp, file);
+    fsyncDir(path.dirname(file));
+  } catch (err) {
+    writeErrors++;
+    throw err;
+  }
+}
+
+function writeErrorCount() {
+  return writeErrors;
+}
+
+/**
+ * Create lockFile holding our pid; false if it already exists
+ *
+ * The owner is written to a temp file first and hard-linked into place, so
+ * a lock file is never seen empty or half written.
+ */
+function tryCreateLock(lockFile) {
+  const tmp = `${lockFile}.${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  fs.writeFileSync(tmp, JSON.stringify({ pid: process.pid, at: Date.now() }), { mode: 0o600 });
+  try {
+    fs.linkSync(tmp, lockFile);
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+/**
+ * Whether a lock's owner is gone (or it is older than maxAge ms)
+ */
+function lockIsStale(lockFile, maxAge = LOCK_STALE) {
+  let owner;
+  try {
+    owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return true;
+    // Unreadable lock: only stale once it is old
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs > maxAge;
+    } catch (statErr) {
+      return statErr.code === 'ENOENT';
+    }
+  }
+  if (Date.now() - owner.at > maxAge) return true;
+  return !processAlive(owner.pid);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: alive but owned by another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock on file
+ */
+function withLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT;
+
+  while (!tryCreateLock(lockFile)) {
+    if (lockIsStale(lockFile)) {
+      fs.rmSync(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock on ${file}`);
+    }
+    sleepSync(LOCK_RETRY);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Pid of the server running on dataDir, or null
+ */
+function dataDirOwner(dataDir) {
+  const lockFile = path.join(dataDir, SERVER_LOCK);
+  if (!fs.existsSync(lockFile) || lockIsStale(lockFile, Infinity)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Take DATA_DIR/server.lock; returns a function that releases it
+ *
+ * Throws if another live process holds it. A lock left with our own pid
+ * (a restarted container's pid 1) is taken over.
+ */
+function lockDataDir(dataDir, action) {
+  const lockFile = path.join(dataDir, SERVER_LOCK);
+  while (!tryCreateLock(lockFile)) {
+    const owner = dataDirOwner(dataDir);
+    if (owner !== null && owner !== process.pid) {
+      throw new Error(`${dataDir} is in use by process ${owner} (a running Guardian server or CLI command); ` +
+        `stop it before you ${action}`);
+    }
+    fs.rmSync(lockFile, { force: true });
+  }
+  return () => fs.rmSync(lockFile, { force: true });
+}
+
+/**
+ * Mark dataDir as used by this server process until it exits
+ */
+function claimDataDir(dataDir) {
+  process.on('exit', lockDataDir(dataDir, 'start the server'));
+}
+
+/**
+ * Run fn with dataDir to ourselves: throws instead if the server is running
+ */
+function withDataDir(dataDir, action, fn) {
+  const release = lockDataDir(dataDir, action);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Locked read-modify-write
+ *
+ * fn receives the current data and returns the data to store (or mutates
+ * it in place and returns undefined).
+ */
+function update(file, fallback, fn) {
+  return withLock(file, () => {
+    const data = read(file, fallback);
+    const result = fn(data);
+    const next = result === undefined ? data : result;
+    write(file, next);
+    return next;
+  });
+}
+
+/**
+ * Locked full replacement
+ */
+function replace(file, data) {
+  withLock(file, () => write(file, data));
+}
+
+/**
+ * Verify every existing state file in a list; throws on the first bad one
+ */
+function checkIntegrity(files) {
+  for (const file of files) {
+    read(file, null);
+  }
+}
+
+module.exports = {
+  StoreCorruptError,
+  read,
+  write,
+  update,
+  replace,
+  withLock,
+  claimDataDir,
+  dataDirOwner,
+  withDataDir,
+  checkIntegrity,
+  writeErrorCount
+};
@@ -0,0 +1,121 @@
+/**
+ * Multisig info sync state
+ *
+ * Before a multisig transaction can be signed every signer must have
+ * imported the others' latest multisig info (partial key images and
+ * signing nonces). Each bounty record tracks where that exchange stands:
+ *
+ *   sync.exported_at     last Guardian export from the current wallet
+ *   sync.guardian_info   that export, for peers to fetch
+ *   sync.peer_export     hash and time of the latest peer infos received
+ *   sync.imported        hash, time and n_outputs of the last good import
+ *   sync.last_error      last import failure
+ *
+ * The peer infos themselves are kept in `multisig_peer_infos` (sealed, see
+ * bounty-store.js) so they can be imported again after a restart. A wallet
+ * rebuilt on restart has fresh nonces, so its earlier export is void.
+ */
+
+const crypto = require('crypto');
+
+function infosHash(infos) {
+  return crypto.createHash('sha256').update(JSON.stringify(infos)).digest('hex');
+}
+
+function state(info) {
+  info.sync = info.sync || {
+    exported_at: null,
+    guardian_info: null,
+    peer_export: null,
+    imported: null,
+    last_error: null
+  };
+  return info.sync;
+}
+
+/**
+ * Record a Guardian export
+ */
+function recordExport(info, guardianInfo) {
+  const sync = state(info);
+  sync.exported_at = new Date().toISOString();
+  sync.guardian_info = guardianInfo;
+}
+
+/**
+ * Forget the Guardian export (the wallet was rebuilt)
+ */
+function resetExport(info) {
+  const sync = state(info);
+  sync.exported_at = null;
+  sync.guardian_info = null;
+}
+
+/**
+ * Record peer infos received from the bounty server, before importing them
+ */
+function recordPeerExport(info, infos) {
+  state(info).peer_export = { hash: infosHash(infos), count: infos.length, received_at: new Date().toISOString() };
+}
+
+/**
+ * Record a successful import of the latest peer infos
+ */
+function recordImport(info, infos, nOutputs) {
+  const sync = state(info);
+  sync.imported = { hash: infosHash(infos), n_outputs: nOutputs, imported_at: new Date().toISOString() };
+  sync.last_error = null;
+  info.multisig_peer_infos = infos;
+}
+
+/**
+ * Record a failed import; the wallet counts as stale until the next good one
+ */
+function recordImportError(info, message) {
+  state(info).last_error = { message, at: new Date().toISOString() };
+}
+
+/**
+ * Whether a bounty's wallet is in sync for signing
+ *
+ * Returns { ok, reason, ... } where reason is one of:
+ *   not_synced     no peer multisig info has ever been imported
+ *   import_failed  the last import (or re-import after restart) failed
+ *   peer_ahead     a newer peer export was received than was imported
+ *   not_exported   the Guardian has not exported from its current wallet
+ *
+ * Bounties signed offline skip the export check; the offline signer imports
+ * the stored peer infos itself.
+ */
+function syncStatus(info, { offline = false } = {}) {
+  const sync = info.sync || {};
+  const summary = {
+    exported_at: sync.exported_at || null,
+    peer_export_at: sync.peer_export ? sync.peer_export.received_at : null,
+    imported_at: sync.imported ? sync.imported.imported_at : null,
+    n_outputs: sync.imported ? sync.imported.n_outputs : null,
+    last_error: sync.last_error || null
+  };
+
+  let reason = null;
+  if (sync.last_error) {
+    reason = 'import_failed';
+  } else if (!sync.peer_export || !sync.imported) {
+    reason = 'not_synced';
+  } else if (sync.imported.hash !== sync.peer_export.hash) {
+    reason = 'peer_ahead';
+  } else if (!offline && !sync.exported_at) {
+    reason = 'not_exported';
+  }
+
+  return { ok: !reason, reason, ...summary };
+}
+
+module.exports = {
+  recordExport,
+  resetExport,
+  recordPeerExport,
+  recordImport,
+  recordImportError,
+  syncStatus
+};
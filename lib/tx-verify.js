@@ -0,0 +1,189 @@
+/**
+ * Transaction verification
+ *
+ * Checks the output of describe_multisig_tx_hex against what a bounty allows
+ * before the Guardian adds its signature. Amounts are atomic units and are
+ * compared as BigInt.
+ */
+
+/**
+ * Describe a multisig tx and normalize the result
+ *
+ * Returns { success, destinations: [{ address, amount }], fee, amount_in,
+ * change_amount, change_address } with amounts as decimal strings (null
+ * when the wallet left them out), or { success: false, error }.
+ */
+function describeTx(wallet, txDataHex) {
+  if (typeof wallet.describe_multisig_tx_hex !== 'function') {
+    return { success: false, error: 'describe_multisig_tx_hex not available in WASM' };
+  }
+
+  let desc;
+  try {
+    desc = JSON.parse(wallet.describe_multisig_tx_hex(txDataHex));
+  } catch (err) {
+    return { success: false, error: 'Failed to describe transaction: ' + err.message };
+  }
+  if (!desc.success) {
+    return { success: false, error: desc.error || 'Failed to describe transaction' };
+  }
+
+  const amount = value => (value === undefined || value === null ? null : String(value));
+  const destinations = (desc.destinations || desc.recipients || []).map(d => ({
+    address: d.address,
+    amount: amount(d.amount)
+  }));
+
+  return {
+    success: true,
+    destinations,
+    fee: amount(desc.fee),
+    amount_in: amount(desc.amount_in),
+    change_amount: desc.change_amount !== undefined ? amount(desc.change_amount) : '0',
+    change_address: desc.change_address || null
+  };
+}
+
+function reject(reason, message, details = {}) {
+  return { ok: false, reason, message, details };
+}
+
+function isAmount(value) {
+  return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+/**
+ * Reject a description that failed or whose amounts are missing or not
+ * atomic-unit integers; null when it can be checked
+ */
+function checkDescription(desc) {
+  if (!desc.success) {
+    return reject('describe_failed', desc.error);
+  }
+  const invalid = [];
+  desc.destinations.forEach((dest, i) => {
+    if (!dest.address) invalid.push(`destinations[${i}].address`);
+    if (!isAmount(dest.amount)) invalid.push(`destinations[${i}].amount`);
+  });
+  if (!isAmount(desc.fee)) invalid.push('fee');
+  if (desc.amount_in !== null && !isAmount(desc.amount_in)) invalid.push('amount_in');
+  if (!isAmount(desc.change_amount)) invalid.push('change_amount');
+  if (invalid.length > 0) {
+    return reject('malformed_description', `Transaction description has missing or invalid fields: ${invalid.join(', ')}`, {
+      fields: invalid
+    });
+  }
+  return null;
+}
+
+/**
+ * Check that a described tx sweeps the whole escrow to one address
+ *
+ * The only output must pay `address` (described by `addressName`), and it
+ * must equal the escrow balance minus the fee. escrowBalance is the on-chain
+ * balance; without it nothing can be proven to be a full sweep, so the tx
+ * is rejected (`unknown_balance`). `label` names the tx in messages.
+ */
+function checkSweep(desc, { address, addressName, label, escrowBalance = null }) {
+  const invalid = checkDescription(desc);
+  if (invalid) return invalid;
+  if (desc.destinations.length === 0) {
+    return reject('no_destinations', 'Transaction has no destinations');
+  }
+  if (desc.destinations.length > 1) {
+    return reject('extra_outputs', `${label} must have exactly one destination`, {
+      destinations: desc.destinations
+    });
+  }
+  if (BigInt(desc.change_amount) !== 0n) {
+    return reject('extra_outputs', `${label} must not have a change output`, {
+      change_amount: desc.change_amount,
+      change_address: desc.change_address
+    });
+  }
+
+  const [dest] = desc.destinations;
+  if (dest.address !== address) {
+    return reject('destination_mismatch', `Destination is not the ${addressName}`, {
+      expected: address,
+      actual: dest.address
+    });
+  }
+
+  if (escrowBalance === null || !isAmount(String(escrowBalance))) {
+    return reject('unknown_balance', 'The escrow balance on chain is not known, so a full sweep cannot be verified');
+  }
+
+  const expected = BigInt(escrowBalance) - BigInt(desc.fee);
+  if (BigInt(dest.amount) !== expected) {
+    return reject('amount_mismatch', `${label} amount must equal escrow balance minus fee`, {
+      expected: expected.toString(),
+      actual: dest.amount,
+      escrow_balance: String(escrowBalance),
+      fee: desc.fee
+    });
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Check that a described tx is a full refund of the escrow
+ */
+function checkRefund(desc, { refundAddress, escrowBalance = null }) {
+  if (!refundAddress) {
+    return reject('no_refund_address', 'Bounty has no registered refund address');
+  }
+  return checkSweep(desc, {
+    address: refundAddress,
+    addressName: 'registered refund address',
+    label: 'Refund',
+    escrowBalance
+  });
+}
+
+/**
+ * Check that a described tx moves the whole escrow to the successor escrow
+ */
+function checkHandover(desc, { successorAddress, escrowBalance = null }) {
+  if (!successorAddress) {
+    return reject('no_successor_address', 'Bounty has no confirmed successor escrow address');
+  }
+  return checkSweep(desc, {
+    address: successorAddress,
+    addressName: 'confirmed successor escrow address',
+    label: 'Handover',
+    escrowBalance
+  });
+}
+
+/**
+ * Check that a described tx spends no more than the escrow holds on chain
+ *
+ * escrowBalance is the scanned balance (see funding.js), or null when the
+ * escrow has not been scanned, in which case nothing is checked.
+ */
+function checkBalance(desc, { escrowBalance = null }) {
+  const invalid = checkDescription(desc);
+  if (invalid) return invalid;
+  if (escrowBalance === null) {
+    return { ok: true };
+  }
+  if (BigInt(escrowBalance) === 0n) {
+    return reject('not_funded', 'Escrow has no balance on chain');
+  }
+  if (desc.amount_in !== null && BigInt(desc.amount_in) > BigInt(escrowBalance)) {
+    return reject('exceeds_balance', 'Transaction spends more than the escrow balance', {
+      amount_in: desc.amount_in,
+      escrow_balance: String(escrowBalance)
+    });
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  describeTx,
+  checkRefund,
+  checkHandover,
+  checkBalance
+};
@@ -0,0 +1,157 @@
+/**
+ * Multisig wallet reconstruction
+ *
+ * The WASM wallet cannot serialize a finished multisig wallet, so each bounty
+ * record keeps what is needed to rebuild it: the Guardian's signer seed
+ * (captured before prepare_multisig) and the other participants' key
+ * exchange messages. Replaying prepare → make → exchange on a wallet restored
+ * from that seed yields the same multisig keys and address.
+ *
+ * An M-of-N key exchange takes more rounds as N - M grows. Round 1 goes into
+ * make_multisig; every later round into exchange_multisig_keys, which
+ * returns the next round's message until the wallet is ready.
+ *
+ * Both fields are sealed by the keystore (see bounty-store.js).
+ */
+
+/**
+ * A key exchange round the wallet would not apply
+ *
+ * reason is 'kex_failed' (make_multisig or exchange_multisig_keys refused
+ * the messages) or 'extra_round' (the exchange had already completed);
+ * round is the 1-based round being applied.
+ */
+class KexError extends Error {
+  constructor(reason, round, message) {
+    super(message);
+    this.name = 'KexError';
+    this.reason = reason;
+    this.round = round;
+  }
+}
+
+/**
+ * Check whether a bounty record carries enough state to rebuild its wallet
+ */
+function canRestore(info) {
+  return !!(info && info.wallet_mnemonic && info.multisig_kex);
+}
+
+/**
+ * Build the kex transcript stored on a bounty record
+ *
+ * peerRounds[i] holds the other participants' messages for round i + 1,
+ * in the order of `participants`.
+ */
+function kexTranscript(threshold, participants, peerRounds) {
+  return {
+    threshold,
+    participants,
+    peer_rounds: peerRounds
+  };
+}
+
+/**
+ * Peer messages by round from a transcript (including 2-of-3 transcripts
+ * written before M-of-N support)
+ */
+function transcriptRounds(kex) {
+  return kex.peer_rounds || [kex.peer_round1, kex.peer_round2];
+}
+
+/**
+ * Feed peer rounds into a wallet that has run prepare_multisig
+ *
+ * ownRounds holds the wallet's own messages so far (round 1 first); rounds
+ * from ownRounds.length - 1 onward are applied. Returns
+ * { own_rounds, is_ready, address, next_message } where next_message says
+ * whether the wallet produced a message for another round. Throws a
+ * KexError when the wallet refuses a round.
+ */
+function advanceKex(wallet, threshold, ownRounds, peerRounds) {
+  const own = [...ownRounds];
+  // The last own message is the one the next round needs
+  let result = { is_ready: false, address: null, next_message: true };
+
+  for (let i = own.length - 1; i < peerRounds.length; i++) {
+    if (result.is_ready) {
+      throw new KexError('extra_round', i + 1, `Key exchange completed at round ${i}; round ${i + 1} is not needed`);
+    }
+    if (!result.next_message) {
+      throw new Error(`Key exchange round ${i} produced no message for round ${i + 1}`);
+    }
+    const messages = JSON.stringify([own[i], ...peerRounds[i]]);
+    const step = i === 0
+      ? JSON.parse(wallet.make_multisig('', threshold, messages))
+      : JSON.parse(wallet.exchange_multisig_keys('', messages));
+    if (!step.success) {
+      throw new KexError('kex_failed', i + 1,
+        `${i === 0 ? 'Failed to make multisig' : `Failed to exchange keys (round ${i + 1})`}: ${step.error}`);
+    }
+
+    result = {
+      is_ready: !!step.is_ready,
+      address: step.address || null,
+      next_message: !step.is_ready && !!step.multisig_info
+    };
+    if (result.next_message) {
+      own.push(step.multisig_info);
+    }
+  }
+
+  return { own_rounds: own, ...result };
+}
+
+/**
+ * Restore a plain (pre-multisig) signer wallet from its seed
+ */
+function restoreSignerWallet(wasmModule, mnemonic) {
+  const wallet = new wasmModule.WasmWallet();
+  wallet.restore_from_seed(mnemonic, 'English', 0);
+  wallet.enable_multisig_experimental();
+  return wallet;
+}
+
+/**
+ * Rebuild a bounty's multisig wallet from its persisted seed and kex transcript
+ *
+ * Throws if the replayed key exchange does not reproduce the recorded address.
+ */
+function restoreMultisigWallet(wasmModule, info) {
+  if (!canRestore(info)) {
+    throw new Error(`Bounty ${info.bounty_id} has no persisted multisig state`);
+  }
+
+  const wallet = restoreSignerWallet(wasmModule, info.wallet_mnemonic);
+
+  try {
+    const prepResult = JSON.parse(wallet.prepare_multisig());
+    if (!prepResult.success) {
+      throw new Error('Failed to prepare multisig: ' + prepResult.error);
+    }
+
+    const kexResult = advanceKex(wallet, info.multisig_kex.threshold, [prepResult.multisig_info],
+      transcriptRounds(info.multisig_kex));
+
+    if (kexResult.address !== info.multisig_address) {
+      throw new Error(
+        `Restored address ${kexResult.address} does not match recorded ${info.multisig_address}`
+      );
+    }
+
+    return wallet;
+  } catch (err) {
+    wallet.delete();
+    throw err;
+  }
+}
+
+module.exports = {
+  KexError,
+  canRestore,
+  kexTranscript,
+  transcriptRounds,
+  advanceKex,
+  restoreSignerWallet,
+  restoreMultisigWallet
+};
@@ -0,0 +1,192 @@
+/**
+ * Outbound webhooks
+ *
+ * Escrow events are POSTed as JSON to every WEBHOOK_URLS entry:
+ *
+ *   { delivery_id, event, bounty_id, at, data }
+ *
+ * Requests are signed exactly like API requests (see auth.js) with key id
+ * "guardian" and WEBHOOK_SECRET, so receivers can reuse the same verifier.
+ * X-Guardian-Event and X-Guardian-Delivery name the event and delivery.
+ *
+ * Deliveries are queued in DATA_DIR/webhooks.json before the first attempt
+ * and retried with exponential backoff until they succeed (2xx) or run out
+ * of attempts, so a restart or an unreachable receiver loses nothing.
+ * Delivered entries are dropped; failed ones stay for `cli.js webhooks`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const store = require('./store');
+const { signRequest } = require('./auth');
+
+const WEBHOOKS_FILE = 'webhooks.json';
+const KEY_ID = 'guardian';
+const BACKOFF_BASE = 10 * 1000;
+const BACKOFF_MAX = 60 * 60 * 1000;
+
+const EVENTS = {
+  ESCROW_FINALIZED: 'escrow.finalized',
+  ESCROW_EXPIRED: 'escrow.expired',
+  DEADLINE_REACHED: 'deadline.reached',
+  REFUND_SIGNED: 'refund.signed',
+  PAYOUT_SIGNED: 'payout.signed',
+  DISPUTE_OPENED: 'dispute.opened',
+  HANDOVER_SIGNED: 'handover.signed',
+  HANDOVER_COMPLETED: 'handover.completed'
+};
+
+const STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ */
+function backoff(attempts) {
+  return Math.min(BACKOFF_BASE * 2 ** (attempts - 1), BACKOFF_MAX);
+}
+
+function loadDeliveries(dataDir) {
+  return store.read(path.join(dataDir, WEBHOOKS_FILE), {});
+}
+
+/**
+ * Create the webhook queue for a data directory
+ *
+ * notify(event, bountyId, data) queues one delivery per URL and returns
+ * the delivery ids; deliverDue() sends everything that is due. With no
+ * URLs configured notify() does nothing.
+ */
+function createWebhooks({ dataDir, urls, secret, maxAttempts = 10, timeoutMs = 5000 }) {
+  const file = path.join(dataDir, WEBHOOKS_FILE);
+  let running = false;
+
+  function notify(event, bountyId, data = {}) {
+    if (urls.length === 0) return [];
+
+    const at = new Date().toISOString();
+    const deliveries = urls.map(url => {
+      const delivery_id = crypto.randomUUID();
+      return {
+        delivery_id,
+        url,
+        event,
+        body: JSON.stringify({ delivery_id, event, bounty_id: bountyId || null, at, data }),
+        status: STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: Date.now(),
+        last_error: null,
+        created_at: at
+      };
+    });
+
+    store.update(file, {}, queue => {
+      for (const d of deliveries) {
+        queue[d.delivery_id] = d;
+      }
+    });
+
+    // Send right away; failures are picked up by the retry loop
+    setImmediate(() => deliverDue().catch(() => {}));
+    return deliveries.map(d => d.delivery_id);
+  }
+
+  async function send(delivery) {
+    const target = new URL(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Guardian-Event': delivery.event,
+        'X-Guardian-Delivery': delivery.delivery_id,
+        ...signRequest(KEY_ID, secret, 'POST', target.pathname + target.search, delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Attempt every pending delivery whose retry time has come
+   *
+   * Returns { delivered, failed } counts for this run.
+   */
+  async function deliverDue() {
+    if (running) return { delivered: 0, failed: 0 };
+    running = true;
+    let delivered = 0;
+    let failed = 0;
+    try {
+      const now = Date.now();
+      const due = Object.values(store.read(file, {}))
+        .filter(d => d.status === STATUS.PENDING && d.next_attempt_at <= now)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at);
+
+      for (const delivery of due) {
+        let error = null;
+        try {
+          await send(delivery);
+        } catch (err) {
+          error = err.message;
+        }
+
+        store.update(file, {}, queue => {
+          const d = queue[delivery.delivery_id];
+          if (!d) return;
+          if (!error) {
+            delete queue[delivery.delivery_id];
+            return;
+          }
+          d.attempts++;
+          d.last_error = { message: error, at: new Date().toISOString() };
+          if (d.attempts >= maxAttempts) {
+            d.status = STATUS.FAILED;
+          } else {
+            d.next_attempt_at = Date.now() + backoff(d.attempts);
+          }
+        });
+
+        if (error) {
+          failed++;
+          console.error(`[Guardian] Webhook ${delivery.event} to ${delivery.url} failed: ${error}`);
+        } else {
+          delivered++;
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return { delivered, failed };
+  }
+
+  return { enabled: urls.length > 0, notify, deliverDue };
+}
+
+/**
+ * Put a failed delivery back in the queue for immediate retry
+ */
+function retryDelivery(dataDir, id) {
+  let delivery = null;
+  store.update(path.join(dataDir, WEBHOOKS_FILE), {}, queue => {
+    delivery = queue[id] || null;
+    if (!delivery) return;
+    delivery.status = STATUS.PENDING;
+    delivery.attempts = 0;
+    delivery.next_attempt_at = Date.now();
+  });
+  return delivery;
+}
+
+module.exports = {
+  WEBHOOKS_FILE,
+  EVENTS,
+  STATUS,
+  loadDeliveries,
+  retryDelivery,
+  createWebhooks
+};
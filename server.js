@@ -9,26 +9,249 @@
  * 3. POST /finalize-escrow → Guardian does make+exchange, returns round2+address
  * 4. Bounty server coordinates round2 exchange
  *
- * Wallet is kept in memory between init and finalize (typically <1 second).
- * If server restarts, bounty server retries from step 1.
+ * Wallet is kept in memory between init and finalize. Its seed and round1
+ * are also persisted (sealed) until finalize or expiry, so a restart in
+ * between does not force the bounty server to retry from step 1.
+ *
+ * All endpoints except /health, /health/ready and /metrics require
+ * HMAC-signed requests (see lib/auth.js). /metrics takes an optional bearer
+ * token (METRICS_TOKEN) so Prometheus can scrape it.
+ * The bounty server holds the "server" key; the "worker" key can only read
+ * bounty status and take part in disputes.
+ *
+ * Finalized bounty wallets are rebuilt from their sealed seed and key
+ * exchange transcript on startup, so signing survives restarts.
+ *
+ * With SIGNING_MODE=offline no bounty key is kept after finalize; signing
+ * requests are queued for the air-gapped signer instead (see lib/offline.js).
+ *
+ * Every signature is also subject to the operator's signing policy
+ * (POLICY_FILE, see lib/policy.js).
+ *
+ * A retiring Guardian hands its open escrows over to a successor Guardian
+ * (see lib/handover.js).
  */
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { KEYSTORE_FILE, openKeystore } = require('./lib/keystore');
+const store = require('./lib/store');
+const audit = require('./lib/audit');
+const { txHash } = audit;
+const { ROLES, createAuth, captureRawBody } = require('./lib/auth');
+const { describeTx, checkRefund, checkHandover, checkBalance } = require('./lib/tx-verify');
+const { createHeightSource } = require('./lib/daemon');
+const {
+  DISPUTES_FILE,
+  STATUS: DISPUTE_STATUS,
+  loadDisputes,
+  updateDispute,
+  findOpenDispute,
+  createDispute,
+  addEvidence
+} = require('./lib/disputes');
+const {
+  STATUS,
+  LifecycleError,
+  statusOf,
+  isClosed,
+  transition,
+  refundPending,
+  refundSeen
+} = require('./lib/lifecycle');
+const {
+  BOUNTIES_FILE,
+  PENDING_FILE,
+  loadBounties,
+  saveBounties,
+  loadPendingEscrows,
+  savePendingEscrows
+} = require('./lib/bounty-store');
+const {
+  KexError,
+  canRestore,
+  kexTranscript,
+  transcriptRounds,
+  advanceKex,
+  restoreSignerWallet,
+  restoreMultisigWallet
+} = require('./lib/wallets');
+const {
+  GUARDIAN_STATE_FILE,
+  loadGuardianState,
+  createGuardianState,
+  openMasterWallet,
+  checkMasterWallet,
+  nextSeedIndex,
+  deriveBountySeed
+} = require('./lib/guardian-state');
+const {
+  HANDOVER_FILE,
+  STATUS: HANDOVER_STATUS,
+  normalizeUrl,
+  loadHandover,
+  handoverProgress,
+  sweepPending,
+  sweepSeen,
+  checkSuccessor
+} = require('./lib/handover');
+const offline = require('./lib/offline');
+const { WEBHOOKS_FILE, EVENTS, createWebhooks } = require('./lib/webhooks');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const { parseLimits, createRateLimiter } = require('./lib/ratelimit');
+const { createPolicy, checkDeadline, refundUnlockBlock } = require('./lib/deadline');
+const policy = require('./lib/policy');
+const {
+  DEFAULT_SCHEME,
+  parseKexMessage,
+  fingerprint,
+  parseScheme,
+  checkRoundMessages,
+  checkAddresses
+} = require('./lib/kex');
+const {
+  recordExport,
+  resetExport,
+  recordPeerExport,
+  recordImport,
+  recordImportError,
+  syncStatus
+} = require('./lib/sync');
+const {
+  missingScanMethods,
+  detectsSpends,
+  viewOnlyState,
+  createScanner,
+  recordScan,
+  recordScanError,
+  fundingView
+} = require('./lib/funding');
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+
+// Integer settings that are out of range; main() refuses to start with any
+const invalidSettings = [];
+
+/**
+ * Read a whole-number setting from the environment, or fallback when unset
+ */
+function intSetting(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = /^\d+$/.test(raw.trim()) ? Number(raw.trim()) : NaN;
+  if (!(value >= min && value <= max)) {
+    const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`;
+    invalidSettings.push(`${name}="${raw}" (expected a whole number ${range})`);
+    return fallback;
+  }
+  return value;
+}
+
+// Longest setInterval/setTimeout delay, in seconds
+const MAX_INTERVAL = Math.floor((2 ** 31 - 1) / 1000);
 
 // Configuration
 const PORT = process.env.PORT || 3012;
 const DATA_DIR = process.env.DATA_DIR || '/data';
 const NETWORK = process.env.NETWORK || 'mainnet';
+const WALLET_PASSWORD = process.env.WALLET_PASSWORD;
+const PENDING_ESCROW_TTL = intSetting('PENDING_ESCROW_TTL', 300, { min: 1, max: MAX_INTERVAL }) * 1000;
+const SERVER_API_SECRET = process.env.SERVER_API_SECRET;
+const WORKER_API_SECRET = process.env.WORKER_API_SECRET;
+const AUTH_WINDOW = intSetting('AUTH_WINDOW', 300, { min: 1 });
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const DAEMON_RPC_URLS = (process.env.DAEMON_RPC_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const DAEMON_MIN_AGREEMENT = intSetting('DAEMON_MIN_AGREEMENT', 1, { min: 1 });
+const DAEMON_HEIGHT_TOLERANCE = intSetting('DAEMON_HEIGHT_TOLERANCE', 2);
+const DAEMON_TIMEOUT = intSetting('DAEMON_TIMEOUT', 5000, { min: 1, max: MAX_INTERVAL * 1000 });
+const SIGNING_MODE = process.env.SIGNING_MODE || 'online';
+const OFFLINE_SIGNER_PUBLIC_KEY = process.env.OFFLINE_SIGNER_PUBLIC_KEY;
+const OFFLINE_SIGNING = SIGNING_MODE === 'offline';
+const SYNC_INTERVAL = intSetting('SYNC_INTERVAL', 300, { max: MAX_INTERVAL }) * 1000;
+const FUNDING_SCAN_INTERVAL = intSetting('FUNDING_SCAN_INTERVAL', 120, { max: MAX_INTERVAL }) * 1000;
+const FUNDING_CONFIRMATIONS = intSetting('FUNDING_CONFIRMATIONS', 10);
+const FUNDING_DAEMON_URL = process.env.FUNDING_DAEMON_URL || DAEMON_RPC_URLS[0];
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = intSetting('WEBHOOK_MAX_ATTEMPTS', 10, { min: 1 });
+const WEBHOOK_TIMEOUT = intSetting('WEBHOOK_TIMEOUT', 5000, { min: 1, max: MAX_INTERVAL * 1000 });
+const DEADLINE_CHECK_INTERVAL = intSetting('DEADLINE_CHECK_INTERVAL', 60, { max: MAX_INTERVAL }) * 1000;
+const DEADLINE_POLICY = {
+  minBlocks: intSetting('DEADLINE_MIN_BLOCKS', 720),
+  maxBlocks: intSetting('DEADLINE_MAX_BLOCKS', 262800),
+  graceBlocks: intSetting('REFUND_GRACE_BLOCKS', 0),
+  confirmations: intSetting('REFUND_CONFIRMATIONS', 10)
+};
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const POLICY_FILE = process.env.POLICY_FILE;
+const TRUST_PROXY = process.env.TRUST_PROXY;
+const RATE_LIMIT_WINDOW = intSetting('RATE_LIMIT_WINDOW', 60, { min: 1 });
+const RATE_LIMITS = parseLimits(process.env.RATE_LIMITS);
+const MAX_PENDING_ESCROWS = intSetting('MAX_PENDING_ESCROWS', 100);
+const MAX_PENDING_PER_CLIENT = intSetting('MAX_PENDING_PER_CLIENT', 20);
+const MAX_WASM_WALLETS = intSetting('MAX_WASM_WALLETS', 1000);
+
+// Behind a reverse proxy or tunnel, take the client address from X-Forwarded-For
+if (TRUST_PROXY) {
+  let trust = TRUST_PROXY;
+  if (TRUST_PROXY === 'true') trust = true;
+  else if (/^\d+$/.test(TRUST_PROXY)) trust = parseInt(TRUST_PROXY, 10);
+  app.set('trust proxy', trust);
+}
+
+// Request authentication (key id = role)
+const apiKeys = {};
+if (SERVER_API_SECRET) apiKeys[ROLES.SERVER] = SERVER_API_SECRET;
+if (WORKER_API_SECRET) apiKeys[ROLES.WORKER] = WORKER_API_SECRET;
+const auth = createAuth({ keys: apiKeys, windowSeconds: AUTH_WINDOW, disabled: AUTH_DISABLED });
+const serverOnly = auth.requireRole(ROLES.SERVER);
+const serverOrWorker = auth.requireRole(ROLES.SERVER, ROLES.WORKER);
+const workerOnly = auth.requireRole(ROLES.WORKER);
+
+// Per-client request limits by route name (RATE_LIMITS), checked before auth
+const rateLimiter = createRateLimiter({
+  windowSeconds: RATE_LIMIT_WINDOW,
+  limits: RATE_LIMITS,
+  onLimited: name => rateLimited.inc({ route: name, reason: 'rate_limited' })
+});
+const limit = rateLimiter.limit;
+
+// Chain height from our own daemons (never from the caller)
+const heightSource = createHeightSource({
+  urls: DAEMON_RPC_URLS,
+  minAgreement: DAEMON_MIN_AGREEMENT,
+  tolerance: DAEMON_HEIGHT_TOLERANCE,
+  timeoutMs: DAEMON_TIMEOUT
+});
+
+// Escrow funding scans (worker thread, one scan at a time)
+const fundingScanner = createScanner({ maxWallets: MAX_WASM_WALLETS });
+// Set at startup by detectFundingSupport()
+let fundingSupport = { supported: false, missing: [], detects_spends: false };
+
+// Outbound event notifications (persistent queue in DATA_DIR)
+const webhooks = createWebhooks({
+  dataDir: DATA_DIR,
+  urls: WEBHOOK_URLS,
+  secret: WEBHOOK_SECRET,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  timeoutMs: WEBHOOK_TIMEOUT
+});
 
 // State
 let wasmModule = null;
+let keystore = null;
+// Master seed for deriving bounty seeds (not kept in offline signing mode)
+let masterState = null;
+let masterWallet = null;
+let offlineSignerKey = null;
+// Operator signing rules (POLICY_FILE)
+let signingPolicy = policy.EMPTY_POLICY;
 let isInitialized = false;
 
 // Pending escrows (wallet in memory, waiting for finalize)
@@ -40,17 +263,168 @@ const bountyData = new Map();
 // Active wallets for signing (kept after finalize)
 const activeWallets = new Map();
 
-// Cleanup pending escrows older than 5 minutes
-setInterval(() => {
+// Metrics (GET /metrics); state gauges are computed at scrape time
+const metrics = createMetrics();
+const httpRequests = metrics.counter('guardian_http_requests_total',
+  'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('guardian_http_request_duration_seconds',
+  'HTTP request latency by route', ['method', 'route']);
+const signingResults = metrics.counter('guardian_signing_total',
+  'Refund, payout and handover signing outcomes (online and offline)', ['type', 'result']);
+const rateLimited = metrics.counter('guardian_rate_limited_total',
+  'Requests refused with 429 or by a capacity limit', ['route', 'reason']);
+let auditWriteErrors = 0;
+
+metrics.gauge('guardian_initialized', 'Whether startup completed', [], () => (isInitialized ? 1 : 0));
+metrics.gauge('guardian_pending_escrows', 'Escrows waiting for finalize', [], () => pendingEscrows.size);
+metrics.gauge('guardian_pending_escrow_oldest_age_seconds', 'Age of the oldest pending escrow', [], () => {
+  let oldest = Date.now();
+  for (const escrow of pendingEscrows.values()) {
+    oldest = Math.min(oldest, escrow.created_at);
+  }
+  return (Date.now() - oldest) / 1000;
+});
+metrics.gauge('guardian_bounties', 'Bounties by lifecycle status', ['status'], () => {
+  const counts = Object.fromEntries(Object.values(STATUS).map(s => [s, 0]));
+  for (const info of bountyData.values()) {
+    counts[statusOf(info)] = (counts[statusOf(info)] || 0) + 1;
+  }
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+metrics.gauge('guardian_wallets_in_memory', 'Bounty wallets loaded for signing', [], () => activeWallets.size);
+metrics.gauge('guardian_wallets_persisted', 'Bounty wallets that can be rebuilt from disk', [], () =>
+  [...bountyData.values()].filter(canRestore).length);
+metrics.counter('guardian_storage_write_errors_total', 'Failed writes to state files and the audit log',
+  ['store'], () => [
+    { labels: { store: 'state' }, value: store.writeErrorCount() },
+    { labels: { store: 'audit' }, value: auditWriteErrors }
+  ]);
+
+// Audit events that end a signing attempt → guardian_signing_total labels
+const SIGNING_EVENTS = {
+  'refund.signed': { type: 'refund', result: 'signed' },
+  'refund.rejected': { type: 'refund', result: 'rejected' },
+  'refund.failed': { type: 'refund', result: 'failed' },
+  'payout.signed': { type: 'payout', result: 'signed' },
+  'payout.rejected': { type: 'payout', result: 'rejected' },
+  'payout.failed': { type: 'payout', result: 'failed' },
+  'handover.signed': { type: 'handover', result: 'signed' },
+  'handover.rejected': { type: 'handover', result: 'rejected' },
+  'handover.failed': { type: 'handover', result: 'failed' }
+};
+
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    // Label by route pattern, not URL, so bounty ids don't explode the series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+});
+
+/**
+ * Drop pending escrows past their expiry (PENDING_ESCROW_TTL)
+ */
+function expirePendingEscrows() {
   const now = Date.now();
+  let removed = 0;
   for (const [id, escrow] of pendingEscrows) {
-    if (now - escrow.created_at > 5 * 60 * 1000) {
+    if (now > escrow.expires_at) {
       console.log(`[Guardian] Cleaning up stale pending escrow: ${id}`);
+      tryAuditLog('escrow.expired', id, { created_at: new Date(escrow.created_at).toISOString() });
+      notify(EVENTS.ESCROW_EXPIRED, id, {
+        created_at: new Date(escrow.created_at).toISOString(),
+        expires_at: new Date(escrow.expires_at).toISOString()
+      });
       escrow.wallet.delete();
       pendingEscrows.delete(id);
+      removed++;
     }
   }
-}, 60 * 1000);
+  if (removed > 0) {
+    savePendingState();
+  }
+}
+
+setInterval(expirePendingEscrows, 60 * 1000);
+
+/**
+ * Client a pending escrow is counted against: the authenticated key id at
+ * the client's address (see TRUST_PROXY)
+ */
+function pendingClient(req) {
+  return `${req.role || 'anonymous'}@${req.ip}`;
+}
+
+/**
+ * Check whether a client may open another pending escrow
+ *
+ * Every pending escrow holds a live WASM wallet, so their number is capped
+ * globally (MAX_PENDING_ESCROWS), per client (MAX_PENDING_PER_CLIENT) and,
+ * together with the finalized wallets in memory, by MAX_WASM_WALLETS.
+ * Returns { ok } or { ok: false, status, reason, error, limit, retry_after, hint }.
+ */
+function checkEscrowCapacity(client) {
+  const pending = [...pendingEscrows.values()];
+  const secondsUntilExpiry = escrows => escrows.length === 0 ? null :
+    Math.max(1, Math.ceil((Math.min(...escrows.map(e => e.expires_at)) - Date.now()) / 1000));
+
+  if (MAX_PENDING_ESCROWS > 0 && pending.length >= MAX_PENDING_ESCROWS) {
+    return {
+      ok: false,
+      status: 429,
+      reason: 'pending_limit',
+      error: 'Too many pending escrows',
+      limit: MAX_PENDING_ESCROWS,
+      retry_after: secondsUntilExpiry(pending)
+    };
+  }
+
+  const own = pending.filter(e => e.client === client);
+  if (MAX_PENDING_PER_CLIENT > 0 && own.length >= MAX_PENDING_PER_CLIENT) {
+    return {
+      ok: false,
+      status: 429,
+      reason: 'client_pending_limit',
+      error: 'Too many pending escrows for this client',
+      limit: MAX_PENDING_PER_CLIENT,
+      retry_after: secondsUntilExpiry(own),
+      hint: 'Finalize the pending escrows or wait for them to expire'
+    };
+  }
+
+  if (!walletSlotAvailable()) {
+    // Only pending wallets free up on their own
+    return {
+      ok: false,
+      status: pending.length > 0 ? 429 : 503,
+      reason: 'wallet_limit',
+      error: 'Too many wallets in memory',
+      limit: MAX_WASM_WALLETS,
+      retry_after: secondsUntilExpiry(pending),
+      hint: pending.length > 0 ? undefined : 'Raise MAX_WASM_WALLETS'
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Whether one more WASM wallet fits under MAX_WASM_WALLETS
+ */
+function walletSlotAvailable() {
+  return MAX_WASM_WALLETS <= 0 || pendingEscrows.size + activeWallets.size < MAX_WASM_WALLETS;
+}
+
+class WalletLimitError extends Error {
+  constructor(bountyId) {
+    super(`Cannot load the wallet for bounty ${bountyId}: MAX_WASM_WALLETS (${MAX_WASM_WALLETS}) wallets are in memory`);
+    this.name = 'WalletLimitError';
+  }
+}
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -58,221 +432,2812 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 /**
- * Load the Salvium WASM module
+ * Load the Salvium WASM module
+ */
+async function loadWasm() {
+  console.log('[Guardian] Loading WASM module...');
+  const SalviumWallet = require('./wasm/SalviumWallet.js');
+  wasmModule = await SalviumWallet();
+  console.log('[Guardian] WASM module loaded');
+}
+
+/**
+ * Verify every state file before anything is loaded
+ *
+ * A corrupted file stops startup; the previous copy is kept as <file>.bak
+ * for the operator to inspect and restore.
+ */
+function verifyStorage() {
+  const files = [
+    KEYSTORE_FILE, GUARDIAN_STATE_FILE, BOUNTIES_FILE, PENDING_FILE, DISPUTES_FILE,
+    offline.SIGNING_REQUESTS_FILE, WEBHOOKS_FILE, HANDOVER_FILE, audit.HEAD_FILE
+  ].map(name => path.join(DATA_DIR, name));
+  try {
+    store.checkIntegrity(files);
+  } catch (err) {
+    if (err instanceof store.StoreCorruptError) {
+      err.message += `. Refusing to start; inspect ${err.file}.bak and restore it manually.`;
+    }
+    throw err;
+  }
+
+  const chain = audit.verify(DATA_DIR);
+  if (!chain.ok) {
+    throw new Error(`Audit log broken at entry ${chain.seq}: ${chain.error}. Refusing to start.`);
+  }
+  if (chain.anchored < chain.entries) {
+    // A log from before heads were kept, or an append cut short by a crash
+    console.warn(`[Guardian] Audit log has ${chain.entries - chain.anchored} entries after its recorded head; recording the last one as head`);
+    audit.anchor(DATA_DIR);
+  }
+  console.log(`[Guardian] Storage integrity check passed (${chain.entries} audit entries)`);
+}
+
+/**
+ * Append an event to the audit log
+ *
+ * Throws if the log cannot be written, so signing routes fail closed.
+ */
+function auditLog(event, bountyId, data) {
+  let entry;
+  try {
+    entry = audit.record(DATA_DIR, event, bountyId, data);
+  } catch (err) {
+    auditWriteErrors++;
+    throw err;
+  }
+  if (SIGNING_EVENTS[event]) {
+    signingResults.inc(SIGNING_EVENTS[event]);
+  }
+  return entry;
+}
+
+/**
+ * Best-effort audit for error paths (never masks the original error)
+ */
+function tryAuditLog(event, bountyId, data) {
+  try {
+    auditLog(event, bountyId, data);
+  } catch (err) {
+    console.error(`[Guardian] Failed to write audit entry ${event}:`, err.message);
+  }
+}
+
+/**
+ * Queue a webhook notification (never fails the caller)
+ */
+function notify(event, bountyId, data) {
+  try {
+    webhooks.notify(event, bountyId, data);
+  } catch (err) {
+    console.error(`[Guardian] Failed to queue webhook ${event}:`, err.message);
+  }
+}
+
+/**
+ * Evaluate the signing policy for a described tx about to be signed
+ *
+ * The audit log is only read when the policy has a daily cap.
+ */
+function evaluatePolicy(type, description, { approved = false, tx_hash = null } = {}) {
+  const usage = signingPolicy.daily_cap ? policy.dailyUsage(audit.readEntries(DATA_DIR)) : null;
+  return policy.evaluate(signingPolicy, { type, description, approved, tx_hash, usage });
+}
+
+/**
+ * Move a bounty to a new lifecycle status and audit the change
+ */
+function changeStatus(info, to, reason) {
+  const from = statusOf(info);
+  transition(info, to, reason);
+  auditLog('status.changed', info.bounty_id, { from, to, reason });
+  if (isClosed(info)) {
+    releaseWallet(info.bounty_id);
+  }
+}
+
+/**
+ * Open the keystore used to seal bounty secrets
+ */
+function loadKeystore() {
+  keystore = openKeystore(DATA_DIR, WALLET_PASSWORD);
+  console.log('[Guardian] Keystore unlocked');
+}
+
+/**
+ * Load the Guardian master seed, generating it on first run
+ *
+ * Offline signing mode keeps no master seed: anything that can derive bounty
+ * keys would defeat keeping them off this server, so bounty seeds there are
+ * random and only the offline signer holds them.
+ */
+function loadMasterSeed() {
+  if (OFFLINE_SIGNING) {
+    console.log('[Guardian] Offline signing mode: no master seed, bounty seeds are random');
+    return;
+  }
+
+  let state = loadGuardianState(DATA_DIR, keystore);
+  if (!state) {
+    state = createGuardianState(DATA_DIR, keystore, wasmModule, NETWORK);
+    console.log(`[Guardian] Generated master seed (${state.address}). Back it up: node cli.js export-seed`);
+  }
+  if (state.network !== NETWORK) {
+    throw new Error(`Master seed in ${GUARDIAN_STATE_FILE} is for ${state.network}, not ${NETWORK}`);
+  }
+
+  const wallet = openMasterWallet(wasmModule, state.mnemonic);
+  try {
+    checkMasterWallet(wallet, state.mnemonic);
+  } catch (err) {
+    wallet.delete();
+    throw err;
+  }
+  masterState = state;
+  masterWallet = wallet;
+  console.log(`[Guardian] Master seed loaded (${state.address})`);
+}
+
+/**
+ * Create the signer wallet for a new escrow
+ *
+ * Derived from the master seed when there is one, random otherwise.
+ */
+function createSignerWallet(bountyId, seedIndex) {
+  if (masterWallet) {
+    return restoreSignerWallet(wasmModule, deriveBountySeed(masterWallet, masterState.mnemonic, bountyId, seedIndex));
+  }
+  const wallet = new wasmModule.WasmWallet();
+  wallet.create_random(NETWORK, 'English');
+  wallet.enable_multisig_experimental();
+  return wallet;
+}
+
+/**
+ * Save bounty state to disk (secrets sealed with the keystore)
+ */
+function saveBountyState() {
+  const data = {};
+  for (const [id, info] of bountyData) {
+    data[id] = info;
+  }
+  saveBounties(DATA_DIR, data, keystore);
+}
+
+/**
+ * Load bounty state from disk
+ */
+function loadBountyState() {
+  const data = loadBounties(DATA_DIR, keystore);
+  for (const [id, info] of Object.entries(data)) {
+    bountyData.set(id, info);
+  }
+  console.log(`[Guardian] Loaded ${bountyData.size} bounties`);
+}
+
+/**
+ * Save pending escrows to disk (wallet objects are not persisted, only the
+ * sealed seed needed to recreate them)
+ */
+function savePendingState() {
+  const data = {};
+  for (const [id, escrow] of pendingEscrows) {
+    // guardian_rounds are recomputed from the sealed transcript on load
+    const { wallet, guardian_rounds, ...record } = escrow;
+    data[id] = record;
+  }
+  savePendingEscrows(DATA_DIR, data, keystore);
+}
+
+/**
+ * Recreate a pending escrow's wallet from its seed
+ *
+ * Rounds already applied (the partial multisig_kex of a larger scheme) are
+ * replayed. Returns { wallet, guardian_rounds }.
+ */
+function openPendingWallet(record) {
+  const wallet = restoreSignerWallet(wasmModule, record.wallet_mnemonic);
+  try {
+    const prepResult = JSON.parse(wallet.prepare_multisig());
+    if (!prepResult.success) {
+      throw new Error('Failed to prepare multisig: ' + prepResult.error);
+    }
+    if (!record.multisig_kex) {
+      return { wallet, guardian_rounds: [record.guardian_round1] };
+    }
+    const { threshold } = record.scheme || DEFAULT_SCHEME;
+    const kexResult = advanceKex(wallet, threshold, [record.guardian_round1], transcriptRounds(record.multisig_kex));
+    return { wallet, guardian_rounds: kexResult.own_rounds };
+  } catch (err) {
+    wallet.delete();
+    throw err;
+  }
+}
+
+/**
+ * Load unexpired pending escrows from disk and recreate their wallets
+ */
+function loadPendingState() {
+  const data = loadPendingEscrows(DATA_DIR, keystore);
+  const now = Date.now();
+  let expired = 0;
+  for (const [id, record] of Object.entries(data)) {
+    if (now > record.expires_at) {
+      expired++;
+      continue;
+    }
+    try {
+      pendingEscrows.set(id, { ...record, ...openPendingWallet(record) });
+    } catch (err) {
+      console.error(`[Guardian] Failed to restore pending escrow ${id}:`, err.message);
+    }
+  }
+  console.log(`[Guardian] Loaded ${pendingEscrows.size} pending escrows` +
+    (expired ? ` (${expired} expired)` : ''));
+  if (expired > 0) {
+    savePendingState();
+  }
+}
+
+/**
+ * Most recently opened dispute of a bounty, for records from before the
+ * bounty kept its dispute_id
+ */
+function latestDispute(disputes, bountyId) {
+  return Object.values(disputes)
+    .filter(d => d.bounty_id === bountyId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .pop() || null;
+}
+
+/**
+ * Apply operator decisions on disputes to the disputed bounties
+ *
+ * The CLI only writes disputes.json, so bounty status catches up here: a
+ * rejected dispute returns the bounty to funded, an approved one settles it
+ * once the payout has been signed. Only the bounty's current dispute
+ * (`dispute_id`, set when it was opened) counts; decisions on earlier
+ * disputes of the same bounty are history.
+ */
+function reconcileDisputes() {
+  let changed = false;
+  try {
+    const disputes = loadDisputes(DATA_DIR);
+    for (const [bountyId, info] of bountyData) {
+      if (statusOf(info) !== STATUS.DISPUTED) continue;
+      const dispute = disputes[info.dispute_id] || latestDispute(disputes, bountyId);
+      if (!dispute) continue;
+
+      if (dispute.status === DISPUTE_STATUS.REJECTED) {
+        changeStatus(info, STATUS.FUNDED, `dispute ${dispute.dispute_id} rejected`);
+        changed = true;
+      } else if (dispute.status === DISPUTE_STATUS.APPROVED && dispute.signed) {
+        changeStatus(info, STATUS.SETTLED, `dispute ${dispute.dispute_id} approved`);
+        changed = true;
+      }
+    }
+  } catch (err) {
+    // Retried on the next call
+    console.error('[Guardian] Failed to reconcile disputes:', err.message);
+  }
+  if (changed) {
+    saveBountyState();
+  }
+}
+
+/**
+ * Apply answers imported from the offline signer (`cli.js offline import`)
+ *
+ * Signed refunds are marked on the bounty and signed payouts are stored on
+ * their dispute, each audited once when first seen.
+ */
+function reconcileSigningRequests() {
+  let changed = false;
+  try {
+    for (const request of Object.values(offline.loadRequests(DATA_DIR))) {
+      if (request.applied) continue;
+      if (request.status !== offline.STATUS.SIGNED && request.status !== offline.STATUS.REJECTED) continue;
+
+      const { response } = request;
+      const signed = request.status === offline.STATUS.SIGNED;
+      const entry = { source: 'offline', request_id: request.request_id, tx_hash: request.tx_hash };
+
+      if (request.type === offline.TYPES.REFUND) {
+        const info = bountyData.get(request.bounty_id);
+        if (signed) {
+          auditLog('refund.signed', request.bounty_id, {
+            ...entry,
+            description: response.description,
+            current_block: request.policy.current_block,
+            signed_tx_hash: txHash(response.tx_data_hex),
+            signers: response.signers,
+            ready: response.ready
+          });
+          if (info && statusOf(info) === STATUS.FUNDED) {
+            markRefundSigned(info, request.tx_hash, response.signed_at);
+            changed = true;
+          }
+          notify(EVENTS.REFUND_SIGNED, request.bounty_id, {
+            source: 'offline',
+            request_id: request.request_id,
+            description: response.description,
+            tx_data_hex: response.tx_data_hex,
+            signers: response.signers,
+            ready: response.ready
+          });
+        } else {
+          auditLog('refund.rejected', request.bounty_id, {
+            ...entry,
+            description: response.description,
+            reason: response.reason,
+            message: response.message
+          });
+        }
+      } else if (request.type === offline.TYPES.PAYOUT) {
+        const dispute_id = request.policy.dispute_id;
+        if (signed) {
+          auditLog('payout.signed', request.bounty_id, {
+            ...entry,
+            dispute_id,
+            description: response.description,
+            signed_tx_hash: txHash(response.tx_data_hex),
+            signers: response.signers,
+            ready: response.ready
+          });
+          updateDispute(DATA_DIR, dispute_id, d => {
+            d.description = d.description || response.description;
+            d.signed = {
+              tx_data_hex: response.tx_data_hex,
+              signers: response.signers,
+              ready: response.ready,
+              signed_at: response.signed_at
+            };
+          });
+          notify(EVENTS.PAYOUT_SIGNED, request.bounty_id, {
+            source: 'offline',
+            dispute_id,
+            description: response.description,
+            tx_data_hex: response.tx_data_hex,
+            signers: response.signers,
+            ready: response.ready
+          });
+        } else {
+          auditLog('payout.failed', request.bounty_id, {
+            ...entry,
+            dispute_id,
+            description: response.description,
+            reason: response.reason,
+            error: response.message
+          });
+          if (response.description) {
+            updateDispute(DATA_DIR, dispute_id, d => { d.description = d.description || response.description; });
+          }
+        }
+      }
+
+      offline.updateRequest(DATA_DIR, request.request_id, r => { r.applied = true; });
+      console.log(`[Guardian] Applied offline ${request.type} ${request.status} for bounty ${request.bounty_id}`);
+    }
+  } catch (err) {
+    // Retried on the next call
+    console.error('[Guardian] Failed to apply offline signatures:', err.message);
+  }
+  if (changed) {
+    saveBountyState();
+  }
+}
+
+/**
+ * Bring bounty status up to date with changes made outside the server
+ */
+function reconcile() {
+  reconcileSigningRequests();
+  reconcileDisputes();
+}
+
+/**
+ * Get the multisig wallet for a bounty, rebuilding it from persisted state
+ * if it is not in memory. Returns null for records that predate persisted
+ * multisig state and for closed bounties; throws WalletLimitError when
+ * MAX_WASM_WALLETS wallets are already in memory.
+ */
+function getBountyWallet(bountyId) {
+  const existing = activeWallets.get(bountyId);
+  if (existing) return existing;
+
+  const info = bountyData.get(bountyId);
+  if (!canRestore(info) || isClosed(info)) return null;
+  if (!walletSlotAvailable()) {
+    throw new WalletLimitError(bountyId);
+  }
+
+  const wallet = restoreMultisigWallet(wasmModule, info);
+  activeWallets.set(bountyId, wallet);
+  console.log(`[Guardian] Restored wallet for bounty ${bountyId}`);
+
+  // The rebuilt wallet has new nonces, so peers need a fresh export; the
+  // outputs it knew about come back from the stored peer infos
+  resetExport(info);
+  if (info.multisig_peer_infos) {
+    const importResult = JSON.parse(wallet.import_multisig_info(JSON.stringify(info.multisig_peer_infos)));
+    if (importResult.success) {
+      recordImport(info, info.multisig_peer_infos, importResult.n_outputs);
+    } else {
+      console.error(`[Guardian] Re-import of multisig info failed for bounty ${bountyId}:`, importResult.error);
+      recordImportError(info, 'Re-import after restore failed: ' + importResult.error);
+    }
+  }
+  saveBountyState();
+  return wallet;
+}
+
+/**
+ * getBountyWallet() for a route handler
+ *
+ * Answers the request itself when the bounty is closed (409), there is no
+ * wallet (400) or no room for one (503) and returns null; the caller just
+ * returns.
+ */
+function routeWallet(res, bountyId) {
+  let wallet;
+  try {
+    wallet = getBountyWallet(bountyId);
+  } catch (err) {
+    if (!(err instanceof WalletLimitError)) throw err;
+    console.warn(`[Guardian] ${err.message}`);
+    res.status(503).json({
+      error: 'Too many wallets in memory',
+      reason: 'wallet_limit',
+      limit: MAX_WASM_WALLETS,
+      hint: 'Raise MAX_WASM_WALLETS'
+    });
+    return null;
+  }
+  const info = bountyData.get(bountyId);
+  if (!wallet && info && isClosed(info)) {
+    res.status(409).json({
+      error: `Bounty is ${statusOf(info)}; its wallet is no longer loaded`,
+      status: statusOf(info)
+    });
+  } else if (!wallet) {
+    res.status(400).json({
+      error: 'Wallet not in memory. Use CLI for manual recovery.',
+      hint: 'docker exec salvium-guardian node cli.js export-bounty-seed ' + bountyId
+    });
+  }
+  return wallet;
+}
+
+/**
+ * Free a bounty's wallet once the Guardian will not sign for it again
+ */
+function releaseWallet(bountyId) {
+  fundingScanner.release(bountyId);
+  const wallet = activeWallets.get(bountyId);
+  if (!wallet) return;
+  activeWallets.delete(bountyId);
+  wallet.delete();
+}
+
+/**
+ * Export the Guardian's multisig info for a bounty and record it
+ */
+function exportMultisigInfo(bountyId, wallet) {
+  const exportResult = JSON.parse(wallet.export_multisig_info());
+  if (!exportResult.success) {
+    throw new Error('Failed to export multisig info: ' + exportResult.error);
+  }
+  recordExport(bountyData.get(bountyId), exportResult.info);
+  return exportResult.info;
+}
+
+/**
+ * Sync state of a bounty for signing (see lib/sync.js)
+ */
+function bountySyncStatus(info) {
+  return syncStatus(info, { offline: !!info.offline_secrets });
+}
+
+/**
+ * Keep a current Guardian export for every bounty that may need signing
+ *
+ * Runs every SYNC_INTERVAL. Wallets rebuilt since their last export (e.g.
+ * after a restart) get a fresh one that peers fetch from
+ * GET /bounty/:id/multisig-info; stale bounties are logged.
+ */
+function runSyncScheduler() {
+  if (!isInitialized) return;
+  let exported = 0;
+  let changed = false;
+  for (const [id, info] of bountyData) {
+    const status = statusOf(info);
+    if (status !== STATUS.FUNDED && status !== STATUS.DISPUTED) continue;
+    if (info.offline_secrets) continue;
+
+    try {
+      const wallet = getBountyWallet(id);
+      if (!wallet) continue;
+      if (!info.sync || !info.sync.exported_at) {
+        exportMultisigInfo(id, wallet);
+        tryAuditLog('sync.exported', id, { source: 'scheduler' });
+        exported++;
+        changed = true;
+      }
+      const sync = bountySyncStatus(info);
+      if (!sync.ok) {
+        console.log(`[Guardian] Bounty ${id} multisig info out of sync: ${sync.reason}`);
+      }
+    } catch (err) {
+      console.error(`[Guardian] Sync scheduler failed for bounty ${id}:`, err.message);
+    }
+  }
+  if (changed) {
+    saveBountyState();
+  }
+  if (exported > 0) {
+    console.log(`[Guardian] Sync scheduler exported multisig info for ${exported} bounties`);
+  }
+}
+
+if (SYNC_INTERVAL > 0) {
+  setInterval(runSyncScheduler, SYNC_INTERVAL);
+}
+
+/**
+ * On-chain funding of a bounty (see lib/funding.js)
+ */
+function bountyFunding(info) {
+  return fundingView(info, { minConfirmations: FUNDING_CONFIRMATIONS });
+}
+
+/**
+ * Check once at startup whether this WASM build can scan for funding
+ */
+function detectFundingSupport() {
+  const missing = missingScanMethods(wasmModule.WasmWallet);
+  fundingSupport = {
+    supported: missing.length === 0,
+    missing,
+    detects_spends: detectsSpends(wasmModule.WasmWallet)
+  };
+  if (!fundingSupport.supported) {
+    console.warn(`[Guardian] WARNING: funding scans unsupported, WASM lacks ${missing.join(', ')}. ` +
+      'Refunds and sweeps cannot be checked against the escrow balance.');
+  } else if (!fundingSupport.detects_spends) {
+    console.warn('[Guardian] WARNING: WASM cannot pass key images to the scan worker; spent escrows will not be detected');
+  }
+}
+
+/**
+ * Hint for a refund or sweep refused with unknown_balance
+ */
+function unknownBalanceHint(bountyId, type) {
+  if (fundingSupport.supported) {
+    return `Wait for a funding scan (GET /bounty/${bountyId}/funding)`;
+  }
+  return type === 'refund'
+    ? `This WASM build cannot scan for funding. Check the escrow balance yourself and sign with: node cli.js sign-refund ${bountyId} <tx_data_hex> --balance <atomic>`
+    : 'This WASM build cannot scan for funding, so a sweep cannot be checked against the escrow balance';
+}
+
+/**
+ * Scanned escrow balance, or null if the escrow has not been scanned
+ */
+function scannedBalance(info) {
+  const funding = bountyFunding(info);
+  return funding.scanned ? funding.balance : null;
+}
+
+/**
+ * Scan a bounty's escrow address and record what arrived
+ *
+ * A ready bounty whose funding has enough confirmations moves to funded.
+ */
+async function scanFunding(bountyId) {
+  const info = bountyData.get(bountyId);
+  if (!canRestore(info) || isClosed(info)) {
+    throw new Error('Funding scan not available for this bounty');
+  }
+
+  try {
+    const { height } = await heightSource.getTrustedHeight();
+    // The worker only gets the view key, never the seed
+    const wallet = getBountyWallet(bountyId);
+    if (!wallet) {
+      throw new Error('Bounty wallet not in memory');
+    }
+    const state = viewOnlyState(wallet, info, { network: NETWORK });
+    const result = await fundingScanner.scan(bountyId, state, { daemonUrl: FUNDING_DAEMON_URL });
+    if (recordScan(info, result, height)) {
+      auditLog('funding.detected', bountyId, {
+        balance: result.balance,
+        incoming: result.incoming.length,
+        funded_height: info.funding.funded_height,
+        scan_height: height
+      });
+    }
+  } catch (err) {
+    recordScanError(info, err.message);
+    saveBountyState();
+    throw err;
+  }
+
+  const funding = bountyFunding(info);
+  if (funding.funded && statusOf(info) === STATUS.READY) {
+    changeStatus(info, STATUS.FUNDED, `funding detected on chain (${funding.confirmations} confirmations)`);
+  }
+  if (sweepSeen(info)) {
+    completeHandover(bountyId, info, 'handover sweep seen on chain');
+  }
+  if (refundSeen(info)) {
+    changeStatus(info, STATUS.REFUNDED, 'refund seen on chain');
+  }
+  saveBountyState();
+  return funding;
+}
+
+/**
+ * Scan every bounty that can still receive or spend funds
+ *
+ * Runs every FUNDING_SCAN_INTERVAL; a scan still in progress is not
+ * started again.
+ */
+let fundingScanRunning = false;
+async function runFundingWatcher() {
+  if (!isInitialized || fundingScanRunning) return;
+  fundingScanRunning = true;
+  try {
+    if (!fundingSupport.supported) return;
+    for (const [id, info] of bountyData) {
+      const status = statusOf(info);
+      if (status !== STATUS.READY && status !== STATUS.FUNDED && status !== STATUS.DISPUTED) continue;
+      if (!canRestore(info)) continue;
+
+      try {
+        await scanFunding(id);
+      } catch (err) {
+        console.error(`[Guardian] Funding scan failed for bounty ${id}:`, err.message);
+      }
+    }
+  } finally {
+    fundingScanRunning = false;
+  }
+}
+
+if (FUNDING_SCAN_INTERVAL > 0) {
+  setInterval(runFundingWatcher, FUNDING_SCAN_INTERVAL);
+}
+
+/**
+ * Notify once per bounty when the chain passes its refund deadline
+ *
+ * Only runs with webhooks configured; bounties already refunded, settled
+ * or archived are skipped.
+ */
+async function runDeadlineWatcher() {
+  if (!isInitialized || !webhooks.enabled) return;
+
+  const open = [...bountyData.values()].filter(info =>
+    !info.deadline_reached_at &&
+    [STATUS.READY, STATUS.FUNDED, STATUS.DISPUTED].includes(statusOf(info))
+  );
+  if (open.length === 0) return;
+
+  let height;
+  try {
+    height = (await heightSource.getTrustedHeight()).height;
+  } catch (err) {
+    console.error('[Guardian] Deadline check skipped, chain height unavailable:', err.message);
+    return;
+  }
+
+  let changed = false;
+  for (const info of open) {
+    if (height < info.deadline_block) continue;
+    info.deadline_reached_at = new Date().toISOString();
+    notify(EVENTS.DEADLINE_REACHED, info.bounty_id, {
+      deadline_block: info.deadline_block,
+      refund_unlock_block: refundUnlockBlock(info),
+      current_block: height,
+      status: statusOf(info)
+    });
+    changed = true;
+  }
+  if (changed) {
+    saveBountyState();
+  }
+}
+
+if (DEADLINE_CHECK_INTERVAL > 0) {
+  setInterval(runDeadlineWatcher, DEADLINE_CHECK_INTERVAL);
+}
+
+// Retry webhook deliveries that are due
+setInterval(() => {
+  if (!isInitialized) return;
+  webhooks.deliverDue().catch(err => {
+    console.error('[Guardian] Webhook delivery error:', err.message);
+  });
+}, 5000);
+
+/**
+ * Rebuild the wallets of bounties still open into activeWallets
+ *
+ * Closed bounties are never signed for again, so their wallets stay on disk.
+ */
+function restoreActiveWallets() {
+  let restored = 0;
+  let skipped = 0;
+  for (const [id, info] of bountyData) {
+    if (isClosed(info)) continue;
+    if (!canRestore(info)) {
+      skipped++;
+      continue;
+    }
+    try {
+      getBountyWallet(id);
+      restored++;
+    } catch (err) {
+      console.error(`[Guardian] Failed to restore wallet for bounty ${id}:`, err.message);
+    }
+  }
+  console.log(`[Guardian] Restored ${restored} bounty wallets` +
+    (skipped ? ` (${skipped} without persisted multisig state)` : ''));
+}
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+/**
+ * Health check
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    initialized: isInitialized,
+    pendingEscrows: pendingEscrows.size,
+    completedBounties: bountyData.size,
+    fundingScan: fundingSupport
+  });
+});
+
+// WASM methods the Guardian cannot work without
+const REQUIRED_WASM_METHODS = [
+  'create_random',
+  'restore_from_seed',
+  'get_seed',
+  'get_address',
+  'enable_multisig_experimental',
+  'prepare_multisig',
+  'make_multisig',
+  'exchange_multisig_keys',
+  'export_multisig_info',
+  'import_multisig_info',
+  'describe_multisig_tx_hex'
+];
+
+function checkWasm() {
+  if (!wasmModule || typeof wasmModule.WasmWallet !== 'function') {
+    return { ok: false, error: 'WASM module not loaded' };
+  }
+  // The offline signer signs; this server only needs to describe
+  const required = OFFLINE_SIGNING ? REQUIRED_WASM_METHODS : [...REQUIRED_WASM_METHODS, 'sign_multisig_tx_hex'];
+  const proto = wasmModule.WasmWallet.prototype;
+  const missing = required.filter(name => typeof proto[name] !== 'function');
+  return missing.length > 0
+    ? { ok: false, error: 'WASM is missing required methods', missing }
+    : { ok: true, funding_scan: missingScanMethods(wasmModule.WasmWallet).length === 0 };
+}
+
+function checkStorageWritable() {
+  const probe = path.join(DATA_DIR, `.ready-probe-${process.pid}`);
+  try {
+    fs.writeFileSync(probe, String(Date.now()), { mode: 0o600 });
+    fs.unlinkSync(probe);
+    return { ok: true, write_errors: store.writeErrorCount() + auditWriteErrors };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function checkDaemon() {
+  try {
+    const chain = await heightSource.getTrustedHeight();
+    return { ok: true, height: chain.height };
+  } catch (err) {
+    return { ok: false, error: err.message, sources: err.sources };
+  }
+}
+
+/**
+ * Readiness check (docker-compose healthcheck)
+ *
+ * 503 unless startup finished, the WASM build has every method signing
+ * needs, DATA_DIR is writable and enough daemons agree on the height.
+ */
+app.get('/health/ready', async (req, res) => {
+  const checks = {
+    initialized: { ok: isInitialized },
+    wasm: checkWasm(),
+    storage: checkStorageWritable(),
+    daemon: await checkDaemon()
+  };
+  const ready = Object.values(checks).every(c => c.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+function metricsTokenValid(header) {
+  const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+  return crypto.timingSafeEqual(digest(header), digest(`Bearer ${METRICS_TOKEN}`));
+}
+
+/**
+ * Prometheus metrics
+ */
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !metricsTokenValid(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+/**
+ * Idempotency-Key header of a request, or null
+ */
+function idempotencyKey(req) {
+  const key = req.get('Idempotency-Key');
+  return key ? key.trim() : null;
+}
+
+/**
+ * Peer round messages of a finalize request, by participant name
+ *
+ * Taken from `rounds` ({ name: [round1, round2, ...] }), or for the default
+ * scheme from the server_round1 ... worker_round2 fields. Every participant
+ * must send the same number of rounds. Returns { ok, rounds, count } or
+ * { ok: false, error }.
+ */
+function roundsFromRequest(body, participants) {
+  let rounds = body.rounds;
+  if (rounds === undefined && participants.join() === DEFAULT_SCHEME.participants.join()) {
+    rounds = {
+      server: [body.server_round1, body.server_round2],
+      worker: [body.worker_round1, body.worker_round2]
+    };
+    if (Object.values(rounds).some(list => list.some(m => !m))) {
+      return { ok: false, error: 'Missing required fields: server_round1, server_round2, worker_round1, worker_round2 (or rounds)' };
+    }
+  }
+  if (!rounds || typeof rounds !== 'object' || Array.isArray(rounds)) {
+    return { ok: false, error: `Missing required field: rounds (messages for ${participants.join(', ')})` };
+  }
+
+  const unknown = Object.keys(rounds).filter(name => !participants.includes(name));
+  if (unknown.length > 0) {
+    return { ok: false, error: `Unknown participants in rounds: ${unknown.join(', ')}` };
+  }
+  let count = null;
+  for (const name of participants) {
+    const list = rounds[name];
+    if (!Array.isArray(list) || list.length === 0) {
+      return { ok: false, error: `rounds.${name} must be a non-empty array of round messages` };
+    }
+    if (count !== null && list.length !== count) {
+      return { ok: false, error: 'Every participant must send the same number of rounds' };
+    }
+    count = list.length;
+  }
+  return { ok: true, rounds, count };
+}
+
+/**
+ * Participants' wallet addresses of a finalize request, by request field
+ *
+ * Taken from `addresses` ({ name: address }), or for the default scheme
+ * from server_address and worker_address. Returns { ok, addresses } or
+ * { ok: false, field, reason, error }.
+ */
+function addressesFromRequest(body, participants) {
+  const named = body.addresses !== undefined || participants.join() !== DEFAULT_SCHEME.participants.join();
+  if (named) {
+    if (!body.addresses || typeof body.addresses !== 'object' || Array.isArray(body.addresses)) {
+      return {
+        ok: false,
+        field: 'addresses',
+        reason: 'missing_address',
+        error: `Missing required field: addresses (wallet addresses of ${participants.join(', ')})`
+      };
+    }
+    const unknown = Object.keys(body.addresses).filter(name => !participants.includes(name));
+    if (unknown.length > 0) {
+      return { ok: false, field: 'addresses', reason: 'unknown_participant', error: `Unknown participants in addresses: ${unknown.join(', ')}` };
+    }
+  }
+
+  const addresses = {};
+  for (const name of participants) {
+    const field = named ? `addresses.${name}` : `${name}_address`;
+    const address = named ? body.addresses[name] : body[field];
+    if (address === undefined || address === null || address === '') {
+      return { ok: false, field, reason: 'missing_address', error: `Missing required field: ${field}` };
+    }
+    addresses[field] = address;
+  }
+  return { ok: true, addresses };
+}
+
+/**
+ * Answer for a round the Guardian's wallet refused (a KexError)
+ *
+ * The wallet does not say whose message it refused, so every field of the
+ * round is named. The participants' addresses were checked for the network
+ * already, but they are not bound to the round messages, so a round 1
+ * failure can still mean a wallet on another network.
+ */
+function kexFailure(err, participants) {
+  const fields = participants.map(name => `${name}_round${err.round}`);
+  if (err.reason === 'extra_round') {
+    return {
+      error: err.message,
+      reason: err.reason,
+      round: err.round,
+      fields,
+      hint: `Send only rounds 1 to ${err.round - 1}`
+    };
+  }
+  return {
+    error: `Key exchange failed at round ${err.round}: the Guardian's wallet refused the messages`,
+    reason: err.reason,
+    round: err.round,
+    fields,
+    network: NETWORK,
+    hint: err.round === 1
+      ? `Check that ${fields.join(', ')} come from ${NETWORK} wallets; a wallet on another network fails here`
+      : `Check that ${fields.join(', ')} were made from every participant's round ${err.round - 1} messages, the Guardian's included`
+  };
+}
+
+/**
+ * Hash of the fields that define a finalize request
+ */
+function finalizeRequestHash(body, participants, rounds) {
+  const fields = [body.bounty_id, body.deadline_block, body.refund_address];
+  return txHash(JSON.stringify(fields.concat(...participants.map(name => rounds[name]))));
+}
+
+/**
+ * Trusted chain height for checking a new deadline, or null when neither
+ * DEADLINE_MIN_BLOCKS nor DEADLINE_MAX_BLOCKS is set
+ */
+async function deadlineHeight() {
+  if (DEADLINE_POLICY.minBlocks <= 0 && DEADLINE_POLICY.maxBlocks <= 0) return null;
+  return (await heightSource.getTrustedHeight()).height;
+}
+
+/**
+ * Step 1: Initialize escrow - Guardian generates round1
+ *
+ * Bounty server calls this, then distributes guardian_round1 to all parties.
+ * `threshold` and `participants` (names besides the Guardian) set the
+ * scheme; the default is 2-of-3 with server and worker.
+ *
+ * Refused with 503 while the Guardian is handing over to a successor.
+ *
+ * A retry with the same Idempotency-Key returns the same round1. Any other
+ * init for a bounty that is already pending is refused with 409, unless the
+ * body has `force: true`, which discards the pending wallet (and the round1
+ * already handed out).
+ */
+app.post('/init-escrow', limit('init-escrow'), serverOnly, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const { bounty_id, force } = req.body;
+  const idempotency_key = idempotencyKey(req);
+
+  if (!bounty_id) {
+    return res.status(400).json({ error: 'Missing required field: bounty_id' });
+  }
+
+  const parsed = parseScheme(req.body);
+  if (!parsed.ok) {
+    return res.status(400).json({ error: parsed.error, reason: 'invalid_scheme' });
+  }
+  const { scheme } = parsed;
+
+  // A retiring Guardian takes no new escrows
+  const retiring = loadHandover(DATA_DIR);
+  if (retiring) {
+    return res.status(503).json({
+      error: 'This Guardian is retiring; create new escrows with the successor',
+      reason: 'retiring',
+      successor_url: retiring.successor_url
+    });
+  }
+
+  // Check if already exists
+  if (bountyData.has(bounty_id)) {
+    return res.status(409).json({ error: 'Bounty already finalized', reason: 'already_finalized' });
+  }
+
+  expirePendingEscrows();
+  const existing = pendingEscrows.get(bounty_id);
+  if (existing) {
+    if (idempotency_key && idempotency_key === existing.idempotency_key) {
+      const existingScheme = existing.scheme || DEFAULT_SCHEME;
+      if (JSON.stringify(scheme) !== JSON.stringify(existingScheme)) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used for a different scheme',
+          reason: 'idempotency_key_reused'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.json({
+        success: true,
+        bounty_id,
+        guardian_round1: existing.guardian_round1,
+        guardian_fingerprint: existing.guardian_fingerprint || null,
+        scheme: existingScheme,
+        expires_at: new Date(existing.expires_at).toISOString()
+      });
+    }
+    if (force !== true) {
+      return res.status(409).json({
+        error: 'Escrow already initialized for this bounty',
+        reason: 'already_pending',
+        expires_at: new Date(existing.expires_at).toISOString(),
+        hint: 'Retry with the same Idempotency-Key to get the same round1, or send force: true to discard it'
+      });
+    }
+
+    // Forced re-init: the round1 already distributed becomes useless, and
+    // the next seed index keeps the new wallet from matching it
+    try {
+      auditLog('escrow.reinit_forced', bounty_id, {
+        guardian_round1_hash: txHash(existing.guardian_round1)
+      });
+    } catch (err) {
+      console.error('[Guardian] Init escrow error:', err);
+      return res.status(500).json({ error: err.message });
+    }
+    existing.wallet.delete();
+    pendingEscrows.delete(bounty_id);
+    savePendingState();
+    console.log(`[Guardian] Discarded pending escrow ${bounty_id} (forced re-init)`);
+  }
+
+  const client = pendingClient(req);
+  const capacity = checkEscrowCapacity(client);
+  if (!capacity.ok) {
+    console.warn(`[Guardian] Refused init escrow ${bounty_id} from ${client}: ${capacity.reason}`);
+    rateLimited.inc({ route: 'init-escrow', reason: capacity.reason });
+    if (capacity.retry_after) {
+      res.set('Retry-After', String(capacity.retry_after));
+    }
+    return res.status(capacity.status).json({
+      error: capacity.error,
+      reason: capacity.reason,
+      limit: capacity.limit,
+      retry_after: capacity.retry_after,
+      hint: capacity.hint
+    });
+  }
+
+  try {
+    console.log(`[Guardian] Init escrow: ${bounty_id} (${scheme.threshold}-of-${scheme.participants.length + 1})`);
+
+    // Create wallet and do round 1, never on a seed index used before
+    const seedIndex = masterWallet
+      ? nextSeedIndex(DATA_DIR, bounty_id, existing && Number.isInteger(existing.seed_index) ? existing.seed_index + 1 : 0)
+      : null;
+    const wallet = createSignerWallet(bounty_id, seedIndex);
+
+    // Signer seed must be captured before the wallet turns multisig
+    const wallet_mnemonic = wallet.get_seed('');
+
+    const prepResult = JSON.parse(wallet.prepare_multisig());
+    if (!prepResult.success) {
+      wallet.delete();
+      throw new Error('Failed to prepare multisig: ' + prepResult.error);
+    }
+    let guardian_fingerprint;
+    try {
+      guardian_fingerprint = fingerprint(parseKexMessage(prepResult.multisig_info, 1).signing_pubkey);
+    } catch (err) {
+      wallet.delete();
+      throw new Error('Guardian round1 is not a recognized kex message: ' + err.message);
+    }
+
+    // Audited before it is stored: if the entry cannot be written, no
+    // pending escrow exists that the log does not know about
+    const created_at = Date.now();
+    const expires_at = created_at + PENDING_ESCROW_TTL;
+    try {
+      auditLog('escrow.init', bounty_id, {
+        guardian_round1_hash: txHash(prepResult.multisig_info),
+        scheme,
+        expires_at: new Date(expires_at).toISOString()
+      });
+    } catch (err) {
+      wallet.delete();
+      throw err;
+    }
+
+    // Store in pending (waiting for finalize)
+    pendingEscrows.set(bounty_id, {
+      wallet,
+      wallet_mnemonic,
+      guardian_round1: prepResult.multisig_info,
+      guardian_rounds: [prepResult.multisig_info],
+      guardian_fingerprint,
+      scheme,
+      seed_index: seedIndex,
+      idempotency_key,
+      client,
+      created_at,
+      expires_at
+    });
+    savePendingState();
+
+    res.json({
+      success: true,
+      bounty_id,
+      guardian_round1: prepResult.multisig_info,
+      guardian_fingerprint,
+      scheme,
+      expires_at: new Date(expires_at).toISOString()
+    });
+
+  } catch (err) {
+    console.error('[Guardian] Init escrow error:', err);
+    tryAuditLog('escrow.init_failed', bounty_id, { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Step 2: Finalize escrow - Guardian runs the remaining key exchange rounds
+ *
+ * Bounty server sends every participant's round messages so far. Schemes
+ * with N - M > 1 need more rounds than 2-of-3: until the wallet is ready the
+ * Guardian answers 202 with its next round message, and the server sends
+ * again with the next round added for every participant. Once the key
+ * exchange completes the Guardian returns the final address.
+ *
+ * deadline_block must be DEADLINE_MIN_BLOCKS to DEADLINE_MAX_BLOCKS ahead of
+ * the trusted chain height; the refund policy in force is stored with the
+ * bounty (see lib/deadline.js).
+ */
+app.post('/finalize-escrow', limit('finalize-escrow'), serverOnly, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const { bounty_id, deadline_block, refund_address } = req.body;
+
+  if (!bounty_id || !deadline_block || !refund_address) {
+    return res.status(400).json({
+      error: 'Missing required fields: bounty_id, deadline_block, refund_address'
+    });
+  }
+
+  if (typeof refund_address !== 'string') {
+    return res.status(400).json({ error: 'refund_address must be a string' });
+  }
+
+  // A retry after a lost response gets the stored response back
+  const finalized = bountyData.get(bounty_id);
+  if (finalized) {
+    const previous = finalized.finalize_request || {};
+    const idempotency_key = idempotencyKey(req);
+    if (!idempotency_key || idempotency_key !== previous.idempotency_key || !finalized.finalize_response) {
+      return res.status(409).json({
+        error: 'Bounty already finalized',
+        reason: 'already_finalized',
+        multisig_address: finalized.multisig_address
+      });
+    }
+    const { participants } = finalized.scheme || DEFAULT_SCHEME;
+    const submitted = roundsFromRequest(req.body, participants);
+    if (!submitted.ok || finalizeRequestHash(req.body, participants, submitted.rounds) !== previous.request_hash) {
+      return res.status(422).json({
+        error: 'Idempotency-Key was already used for a different finalize request',
+        reason: 'idempotency_key_reused'
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.json(finalized.finalize_response);
+  }
+
+  // The deadline must be in range of our own chain height
+  let finalize_height;
+  try {
+    finalize_height = await deadlineHeight();
+  } catch (err) {
+    console.error('[Guardian] Chain height unavailable:', err.message);
+    return res.status(503).json({
+      error: 'Chain height unavailable',
+      reason: err.message,
+      sources: err.sources
+    });
+  }
+  const deadlineCheck = checkDeadline(deadline_block, finalize_height, DEADLINE_POLICY);
+  if (!deadlineCheck.ok) {
+    return res.status(400).json({
+      error: deadlineCheck.message,
+      reason: deadlineCheck.reason,
+      details: deadlineCheck.details
+    });
+  }
+
+  // Get pending escrow
+  const pending = pendingEscrows.get(bounty_id);
+  if (!pending || Date.now() > pending.expires_at) {
+    return res.status(404).json({
+      error: 'Pending escrow not found. Call /init-escrow first.',
+      hint: `The escrow may have expired (${PENDING_ESCROW_TTL / 1000}s timeout).`
+    });
+  }
+
+  const scheme = pending.scheme || DEFAULT_SCHEME;
+  const submitted = roundsFromRequest(req.body, scheme.participants);
+  if (!submitted.ok) {
+    return res.status(400).json({ error: submitted.error });
+  }
+  const { rounds } = submitted;
+
+  // Round messages carry no network tag; the participants' addresses do
+  const given = addressesFromRequest(req.body, scheme.participants);
+  if (!given.ok) {
+    return res.status(400).json({ error: given.error, field: given.field, reason: given.reason });
+  }
+  let network;
+  try {
+    network = checkAddresses(pending.wallet.get_address(), given.addresses);
+  } catch (err) {
+    console.error('[Guardian] Cannot parse own address:', err.message);
+    return res.status(500).json({ error: 'Guardian address is not a recognized address: ' + err.message });
+  }
+  if (!network.ok) {
+    tryAuditLog('escrow.finalize_rejected', bounty_id, { field: network.field, reason: network.reason, message: network.message });
+    return res.status(400).json({
+      error: network.message,
+      field: network.field,
+      reason: network.reason,
+      network: NETWORK
+    });
+  }
+
+  // Check the peers' messages before the wallet sees them, so a bad one is
+  // reported by field instead of as a WASM error
+  let kex;
+  try {
+    kex = checkRoundMessages(pending.guardian_rounds, rounds);
+  } catch (err) {
+    console.error('[Guardian] Cannot parse own round1:', err.message);
+    return res.status(500).json({ error: 'Guardian round1 is not a recognized kex message: ' + err.message });
+  }
+  if (!kex.ok) {
+    tryAuditLog('escrow.finalize_rejected', bounty_id, { field: kex.field, reason: kex.reason, message: kex.message });
+    return res.status(400).json({
+      error: kex.message,
+      field: kex.field,
+      reason: kex.reason
+    });
+  }
+
+  // Peer messages by round, in scheme order; earlier rounds must match
+  // the ones already applied
+  const peerRounds = [];
+  for (let i = 0; i < submitted.count; i++) {
+    peerRounds.push(scheme.participants.map(name => rounds[name][i]));
+  }
+  const applied = pending.multisig_kex ? transcriptRounds(pending.multisig_kex) : [];
+  const changed = applied.findIndex((round, i) => i < peerRounds.length && JSON.stringify(round) !== JSON.stringify(peerRounds[i]));
+  if (changed >= 0) {
+    return res.status(409).json({
+      error: `Round ${changed + 1} messages differ from the ones already applied`,
+      reason: 'rounds_changed',
+      hint: 'Start over with /init-escrow and force: true if a participant restarted its key exchange'
+    });
+  }
+
+  const progress = nextRound => ({
+    success: true,
+    bounty_id,
+    status: 'kex_in_progress',
+    next_round: nextRound,
+    guardian_rounds: pending.guardian_rounds,
+    threshold: scheme.threshold,
+    participants: kex.participants,
+    group_fingerprint: kex.group,
+    expires_at: new Date(pending.expires_at).toISOString()
+  });
+
+  // A retry of a round already applied gets the same progress back
+  if (peerRounds.length <= applied.length) {
+    return res.status(202).json(progress(applied.length + 1));
+  }
+
+  let kexResult;
+  try {
+    console.log(`[Guardian] Finalize escrow: ${bounty_id} up to round ${peerRounds.length} (group ${kex.group})`);
+    kexResult = advanceKex(pending.wallet, scheme.threshold, pending.guardian_rounds, peerRounds);
+    if (!kexResult.is_ready && !kexResult.next_message && !kexResult.address) {
+      throw new Error('Key exchange produced neither an address nor a next round message');
+    }
+  } catch (err) {
+    console.error('[Guardian] Finalize escrow error:', err);
+    tryAuditLog('escrow.finalize_failed', bounty_id, {
+      error: err.message,
+      reason: err instanceof KexError ? err.reason : null,
+      round: err instanceof KexError ? err.round : peerRounds.length
+    });
+    // The wallet may be part-way through a round; rebuild it from the
+    // rounds that were applied
+    try {
+      pending.wallet.delete();
+      Object.assign(pending, openPendingWallet(pending));
+    } catch (rebuildErr) {
+      console.error(`[Guardian] Failed to rebuild pending escrow ${bounty_id}:`, rebuildErr.message);
+      pendingEscrows.delete(bounty_id);
+      savePendingState();
+    }
+    if (err instanceof KexError) {
+      return res.status(400).json(kexFailure(err, scheme.participants));
+    }
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (!kexResult.is_ready && kexResult.next_message) {
+    pending.guardian_rounds = kexResult.own_rounds;
+    pending.multisig_kex = kexTranscript(scheme.threshold, scheme.participants, peerRounds);
+    pending.expires_at = Date.now() + PENDING_ESCROW_TTL;
+    savePendingState();
+    auditLog('escrow.kex_round', bounty_id, {
+      round: peerRounds.length,
+      group_fingerprint: kex.group
+    });
+    return res.status(202).json(progress(peerRounds.length + 1));
+  }
+
+  try {
+    const wallet = pending.wallet;
+    const guardian_rounds = kexResult.own_rounds;
+    const multisig_address = kexResult.address;
+    console.log(`[Guardian] Escrow finalized: ${multisig_address} (${scheme.threshold}-of-${scheme.participants.length + 1})`);
+
+    const response = {
+      success: true,
+      bounty_id,
+      guardian_round1: guardian_rounds[0],
+      guardian_round2: guardian_rounds[1],
+      guardian_rounds,
+      multisig_address,
+      is_ready: kexResult.is_ready,
+      scheme,
+      participants: kex.participants,
+      group_fingerprint: kex.group
+    };
+    const deadline_policy = createPolicy(DEADLINE_POLICY, finalize_height);
+
+    // Move from pending to completed
+    pendingEscrows.delete(bounty_id);
+    savePendingState();
+
+    // Store bounty data
+    const bountyInfo = {
+      bounty_id,
+      status: STATUS.PENDING,
+      history: [{ from: null, to: STATUS.PENDING, reason: 'escrow initialized', at: new Date(pending.created_at).toISOString() }],
+      deadline_block,
+      deadline_policy,
+      refund_address,
+      multisig_address,
+      is_ready: kexResult.is_ready,
+      scheme,
+      // Index of the signer seed derived from the master seed (null: random)
+      seed_index: pending.seed_index === undefined ? null : pending.seed_index,
+      participants: kex.participants,
+      group_fingerprint: kex.group,
+      finalize_request: {
+        idempotency_key: idempotencyKey(req),
+        request_hash: finalizeRequestHash(req.body, scheme.participants, rounds)
+      },
+      // Sealed in bounties.json (holds the round messages); kept for replays
+      finalize_response: response,
+      created_at: new Date().toISOString()
+    };
+    const secrets = {
+      wallet_mnemonic: pending.wallet_mnemonic,
+      multisig_kex: kexTranscript(scheme.threshold, scheme.participants, peerRounds)
+    };
+    if (OFFLINE_SIGNING) {
+      // Only the offline signer can open these; the terms it must enforce
+      // are sealed with them
+      bountyInfo.offline_secrets = offline.sealForSigner(offlineSignerKey, {
+        ...secrets,
+        bounty_id,
+        multisig_address,
+        refund_address,
+        deadline_block,
+        deadline_policy
+      });
+    } else {
+      Object.assign(bountyInfo, secrets);
+    }
+    auditLog('escrow.finalized', bounty_id, {
+      multisig_address,
+      scheme,
+      group_fingerprint: kex.group,
+      deadline_block,
+      deadline_policy,
+      refund_address,
+      is_ready: kexResult.is_ready,
+      signing_mode: SIGNING_MODE
+    });
+    if (kexResult.is_ready) {
+      changeStatus(bountyInfo, STATUS.READY, 'key exchange complete');
+    }
+    bountyData.set(bounty_id, bountyInfo);
+    saveBountyState();
+    notify(EVENTS.ESCROW_FINALIZED, bounty_id, {
+      multisig_address,
+      deadline_block,
+      is_ready: kexResult.is_ready
+    });
+
+    // Keep wallet for signing (offline mode drops it)
+    if (OFFLINE_SIGNING) {
+      wallet.delete();
+    } else {
+      activeWallets.set(bounty_id, wallet);
+    }
+
+    res.json(response);
+
+  } catch (err) {
+    console.error('[Guardian] Finalize escrow error:', err);
+    tryAuditLog('escrow.finalize_failed', bounty_id, { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Sync multisig outputs before creating transactions
+ * Both parties must export and import multisig_info to sync state
+ *
+ * The sync state is kept on the bounty (see lib/sync.js) and signing is
+ * refused until the latest peer infos have been imported. A failed import
+ * returns 422.
+ */
+app.post('/sync-outputs', limit('sync-outputs'), serverOnly, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const { bounty_id, other_multisig_info } = req.body;
+
+  if (!bounty_id) {
+    return res.status(400).json({ error: 'Missing required field: bounty_id' });
+  }
+
+  if (other_multisig_info !== undefined && !Array.isArray(other_multisig_info)) {
+    return res.status(400).json({ error: 'other_multisig_info must be an array' });
+  }
+
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  try {
+    // Offline mode: keep the peer infos for the offline signer to import
+    if (bountyInfo.offline_secrets) {
+      if (other_multisig_info && other_multisig_info.length > 0) {
+        recordPeerExport(bountyInfo, other_multisig_info);
+        recordImport(bountyInfo, other_multisig_info, null);
+        saveBountyState();
+        auditLog('sync', bounty_id, { deferred: true, imported_infos: other_multisig_info.length });
+      }
+      return res.json({
+        success: true,
+        bounty_id,
+        guardian_multisig_info: null,
+        deferred: true,
+        sync: bountySyncStatus(bountyInfo)
+      });
+    }
+
+    const wallet = routeWallet(res, bounty_id);
+    if (!wallet) return;
+
+    // Export our multisig info
+    const guardian_multisig_info = exportMultisigInfo(bounty_id, wallet);
+
+    // If other party's info provided, import it
+    const syncRecord = { exported: true, imported_infos: 0 };
+    if (other_multisig_info && other_multisig_info.length > 0) {
+      syncRecord.imported_infos = other_multisig_info.length;
+      recordPeerExport(bountyInfo, other_multisig_info);
+      const importResult = JSON.parse(wallet.import_multisig_info(JSON.stringify(other_multisig_info)));
+      if (!importResult.success) {
+        console.error(`[Guardian] Import multisig info failed for bounty ${bounty_id}:`, importResult.error);
+        recordImportError(bountyInfo, importResult.error);
+        saveBountyState();
+        auditLog('sync', bounty_id, { ...syncRecord, import_error: importResult.error });
+        return res.status(422).json({
+          error: 'Failed to import multisig info',
+          reason: importResult.error,
+          bounty_id,
+          sync: bountySyncStatus(bountyInfo)
+        });
+      }
+
+      console.log(`[Guardian] Imported ${importResult.n_outputs} outputs for bounty ${bounty_id}`);
+      syncRecord.n_outputs = importResult.n_outputs;
+      recordImport(bountyInfo, other_multisig_info, importResult.n_outputs);
+      // The scan worker's copy is rebuilt with the new infos on its next scan
+      fundingScanner.release(bounty_id);
+      if (importResult.n_outputs > 0 && statusOf(bountyInfo) === STATUS.READY) {
+        changeStatus(bountyInfo, STATUS.FUNDED, 'outputs imported on sync');
+      }
+    }
+    saveBountyState();
+    auditLog('sync', bounty_id, syncRecord);
+
+    res.json({
+      success: true,
+      bounty_id,
+      guardian_multisig_info,
+      sync: bountySyncStatus(bountyInfo)
+    });
+
+  } catch (err) {
+    console.error('[Guardian] Sync outputs error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Fetch the Guardian's latest multisig info for a bounty
+ *
+ * Lets peers pick up the export made by the sync scheduler (e.g. after a
+ * restart) without driving a full /sync-outputs round.
+ */
+app.get('/bounty/:id/multisig-info', limit('multisig-info'), serverOrWorker, (req, res) => {
+  const bountyInfo = bountyData.get(req.params.id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  if (bountyInfo.offline_secrets) {
+    return res.status(409).json({ error: 'Multisig info is not available for bounties signed offline' });
+  }
+
+  try {
+    const wallet = routeWallet(res, req.params.id);
+    if (!wallet) return;
+
+    if (!bountyInfo.sync || !bountyInfo.sync.exported_at) {
+      exportMultisigInfo(req.params.id, wallet);
+      saveBountyState();
+      auditLog('sync.exported', req.params.id, { source: req.role });
+    }
+
+    res.json({
+      bounty_id: req.params.id,
+      guardian_multisig_info: bountyInfo.sync.guardian_info,
+      exported_at: bountyInfo.sync.exported_at,
+      sync: bountySyncStatus(bountyInfo)
+    });
+  } catch (err) {
+    console.error('[Guardian] Multisig info error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * On-chain funding of a bounty's escrow address
+ *
+ * Returns the last scan; ?refresh=true scans now.
+ */
+app.get('/bounty/:id/funding', limit('funding'), serverOrWorker, async (req, res) => {
+  const bountyInfo = bountyData.get(req.params.id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  if (req.query.refresh === 'true') {
+    if (bountyInfo.offline_secrets) {
+      return res.status(409).json({ error: 'Funding scan is not available for bounties signed offline' });
+    }
+    if (!fundingSupport.supported) {
+      return res.status(501).json({
+        error: 'Funding scans are not supported by this WASM build',
+        reason: 'funding_unsupported',
+        missing: fundingSupport.missing,
+        funding: bountyFunding(bountyInfo)
+      });
+    }
+    try {
+      await scanFunding(req.params.id);
+    } catch (err) {
+      console.error(`[Guardian] Funding scan failed for bounty ${req.params.id}:`, err.message);
+      return res.status(503).json({
+        error: 'Funding scan failed',
+        reason: err.message,
+        funding: bountyFunding(bountyInfo)
+      });
+    }
+  }
+
+  res.json({
+    bounty_id: req.params.id,
+    status: statusOf(bountyInfo),
+    scan_supported: fundingSupport.supported,
+    ...bountyFunding(bountyInfo)
+  });
+});
+
+/**
+ * Sign a refund transaction (only after deadline)
+ * Uses the new sign_multisig_tx_hex WASM function
+ *
+ * The deadline is checked against the height reported by the Guardian's own
+ * daemons (DAEMON_RPC_URLS). A `current_block` in the request is ignored.
+ * Refunds unlock after the bounty's grace window and confirmations.
+ */
+app.post('/sign-refund', limit('sign-refund'), serverOnly, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const { bounty_id, tx_data_hex } = req.body;
+
+  if (!bounty_id || !tx_data_hex) {
+    return res.status(400).json({
+      error: 'Missing required fields: bounty_id, tx_data_hex'
+    });
+  }
+
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  const tx_hash = txHash(tx_data_hex);
+
+  try {
+    auditLog('refund.requested', bounty_id, { tx_hash });
+
+    // Only funded bounties can be refunded. A signed refund can be signed
+    // again until it is seen on chain; the bounty stays funded until then
+    reconcile();
+    const status = statusOf(bountyInfo);
+    if (status !== STATUS.FUNDED) {
+      auditLog('refund.rejected', bounty_id, { tx_hash, reason: 'invalid_status', status });
+      return res.status(409).json({
+        error: `Cannot sign a refund for a bounty that is ${status}`,
+        status
+      });
+    }
+    const sweeping = sweepConflict(bountyInfo);
+    if (sweeping) {
+      auditLog('refund.rejected', bounty_id, { tx_hash, reason: sweeping.reason });
+      return res.status(409).json(sweeping);
+    }
+
+    // Get chain height independently
+    let current_block;
+    try {
+      const chain = await heightSource.getTrustedHeight();
+      current_block = chain.height;
+    } catch (err) {
+      console.error('[Guardian] Chain height unavailable:', err.message);
+      auditLog('refund.rejected', bounty_id, { tx_hash, reason: 'height_unavailable', message: err.message });
+      return res.status(503).json({
+        error: 'Chain height unavailable',
+        reason: err.message,
+        sources: err.sources
+      });
+    }
+
+    // Check deadline, plus the grace window and confirmations on top of it
+    const refund_unlock_block = refundUnlockBlock(bountyInfo);
+    if (current_block < refund_unlock_block) {
+      auditLog('refund.rejected', bounty_id, {
+        tx_hash,
+        reason: 'deadline_not_reached',
+        current_block,
+        deadline_block: bountyInfo.deadline_block,
+        refund_unlock_block
+      });
+      return res.status(403).json({
+        error: 'Deadline not reached',
+        reason: 'deadline_not_reached',
+        current_block,
+        deadline_block: bountyInfo.deadline_block,
+        refund_unlock_block,
+        blocks_remaining: refund_unlock_block - current_block
+      });
+    }
+
+    // The wallet must hold the peers' latest multisig info
+    const sync = bountySyncStatus(bountyInfo);
+    if (!sync.ok) {
+      auditLog('refund.rejected', bounty_id, { tx_hash, reason: 'sync_stale', sync_reason: sync.reason });
+      return res.status(409).json({
+        error: 'Multisig info is out of sync',
+        reason: sync.reason,
+        sync,
+        hint: 'Call /sync-outputs with the latest peer multisig info'
+      });
+    }
+
+    // Offline mode: queue for the air-gapped signer, poll /signing-request/:id
+    if (bountyInfo.offline_secrets) {
+      let request = offline.findRequest(DATA_DIR, offline.TYPES.REFUND, bounty_id, tx_data_hex);
+      if (!request) {
+        // This server cannot read the tx, but a refund can only pay the
+        // registered refund address: check the policy on that now, and
+        // leave the amount rules to the offline signer
+        const verdict = evaluatePolicy('refund', {
+          destinations: [{ address: bountyInfo.refund_address, amount: null }]
+        }, { tx_hash });
+        if (!verdict.allowed) {
+          console.log(`[Guardian] Signing policy denied refund for bounty ${bounty_id}`);
+          auditLog('refund.rejected', bounty_id, {
+            tx_hash,
+            reason: 'policy_denied',
+            violations: verdict.violations,
+            current_block
+          });
+          return res.status(403).json({
+            error: 'Refund denied by signing policy',
+            reason: 'policy_denied',
+            violations: verdict.violations
+          });
+        }
+
+        request = offline.queueRequest(DATA_DIR, {
+          type: offline.TYPES.REFUND,
+          bounty_id,
+          tx_data_hex,
+          policy: { current_block, refund_unlock_block, escrow_balance: scannedBalance(bountyInfo) }
+        });
+        auditLog('refund.queued', bounty_id, { tx_hash, request_id: request.request_id, current_block });
+        console.log(`[Guardian] Queued refund for bounty ${bounty_id} for offline signing (${request.request_id})`);
+      }
+      return res.status(202).json({
+        success: true,
+        bounty_id,
+        request_id: request.request_id,
+        status: request.status
+      });
+    }
+
+    const wallet = routeWallet(res, bounty_id);
+    if (!wallet) return;
+
+    // Describe the transaction and verify it's a full refund to the funder
+    const description = describeTx(wallet, tx_data_hex);
+    console.log(`[Guardian] Refund tx for bounty ${bounty_id}:`, description);
+
+    const escrowBalance = scannedBalance(bountyInfo);
+    let check = checkBalance(description, { escrowBalance });
+    if (check.ok) {
+      check = checkRefund(description, { refundAddress: bountyInfo.refund_address, escrowBalance });
+    }
+    if (!check.ok) {
+      console.log(`[Guardian] Rejected refund for bounty ${bounty_id}: ${check.reason}`);
+      auditLog('refund.rejected', bounty_id, {
+        tx_hash,
+        reason: check.reason,
+        message: check.message,
+        details: check.details,
+        description,
+        current_block
+      });
+      return res.status(403).json({
+        error: 'Refund transaction rejected',
+        reason: check.reason,
+        message: check.message,
+        details: check.details,
+        hint: check.reason === 'unknown_balance' ? unknownBalanceHint(bounty_id, 'refund') : undefined
+      });
+    }
+
+    const verdict = evaluatePolicy('refund', description, { tx_hash });
+    if (!verdict.allowed) {
+      console.log(`[Guardian] Signing policy denied refund for bounty ${bounty_id}`);
+      auditLog('refund.rejected', bounty_id, {
+        tx_hash,
+        reason: 'policy_denied',
+        violations: verdict.violations,
+        description,
+        current_block
+      });
+      return res.status(403).json({
+        error: 'Refund denied by signing policy',
+        reason: 'policy_denied',
+        violations: verdict.violations
+      });
+    }
+
+    // Sign the multisig transaction
+    if (typeof wallet.sign_multisig_tx_hex !== 'function') {
+      return res.status(501).json({
+        error: 'sign_multisig_tx_hex not available in WASM',
+        hint: 'Update WASM to version with multisig transaction support'
+      });
+    }
+
+    const signResult = JSON.parse(wallet.sign_multisig_tx_hex(tx_data_hex));
+    if (!signResult.success) {
+      // Audited as refund.failed below
+      throw new Error('Failed to sign refund: ' + signResult.error);
+    }
+
+    // Recorded before the signature is released
+    auditLog('refund.signed', bounty_id, {
+      tx_hash,
+      description,
+      current_block,
+      signed_tx_hash: txHash(signResult.tx_data_hex),
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    console.log(`[Guardian] Signed refund for bounty ${bounty_id}, ready: ${signResult.ready}`);
+
+    markRefundSigned(bountyInfo, tx_hash);
+    saveBountyState();
+    notify(EVENTS.REFUND_SIGNED, bounty_id, {
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    res.json({
+      success: true,
+      bounty_id,
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+  } catch (err) {
+    console.error('[Guardian] Sign refund error:', err);
+    tryAuditLog('refund.failed', bounty_id, { tx_hash, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Request a payout signature (dispute resolution - worker + guardian)
+ *
+ * Nothing is signed here. The request is queued as a dispute for the
+ * Guardian operator to review (`cli.js disputes`, `approve`, `reject`).
+ * Poll GET /dispute/:id for the decision; once approved, get the signature
+ * with POST /dispute/:id/sign.
+ */
+app.post('/sign-payout', limit('sign-payout'), serverOrWorker, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const { bounty_id, tx_data_hex, reason, evidence } = req.body;
+
+  if (!bounty_id || !tx_data_hex) {
+    return res.status(400).json({
+      error: 'Missing required fields: bounty_id, tx_data_hex'
+    });
+  }
+
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  reconcile();
+  const open = findOpenDispute(DATA_DIR, bounty_id);
+  if (open) {
+    return res.status(409).json({
+      error: 'Bounty already has an open dispute',
+      dispute_id: open.dispute_id,
+      status: open.status
+    });
+  }
+
+  // Only funded bounties can be paid out; refunded/settled ones never again
+  const status = statusOf(bountyInfo);
+  if (status !== STATUS.FUNDED) {
+    return res.status(409).json({
+      error: `Cannot request a payout for a bounty that is ${status}`,
+      status
+    });
+  }
+  const sweeping = sweepConflict(bountyInfo);
+  if (sweeping) {
+    return res.status(409).json(sweeping);
+  }
+  if (refundPending(bountyInfo)) {
+    return res.status(409).json(refundSigned(bountyInfo));
+  }
+
+  try {
+    // Describe the transaction so the operator can review it (in offline
+    // mode the offline signer describes it when signing)
+    let description = null;
+    if (!bountyInfo.offline_secrets) {
+      const wallet = routeWallet(res, bounty_id);
+      if (!wallet) return;
+      description = describeTx(wallet, tx_data_hex);
+
+      // Never queue a payout nobody can review or the escrow cannot cover
+      const check = checkBalance(description, { escrowBalance: scannedBalance(bountyInfo) });
+      if (!check.ok) {
+        return res.status(403).json({
+          error: 'Payout transaction rejected',
+          reason: check.reason,
+          message: check.message,
+          details: check.details
+        });
+      }
+    }
+
+    const dispute = createDispute(DATA_DIR, {
+      bounty_id,
+      tx_data_hex,
+      description,
+      reason,
+      opened_by: req.role,
+      evidence
+    });
+    auditLog('dispute.opened', bounty_id, {
+      dispute_id: dispute.dispute_id,
+      opened_by: req.role,
+      reason: reason || null,
+      tx_hash: txHash(tx_data_hex),
+      description
+    });
+    changeStatus(bountyInfo, STATUS.DISPUTED, `dispute ${dispute.dispute_id} opened by ${req.role}`);
+    bountyInfo.dispute_id = dispute.dispute_id;
+    saveBountyState();
+    notify(EVENTS.DISPUTE_OPENED, bounty_id, {
+      dispute_id: dispute.dispute_id,
+      opened_by: req.role,
+      reason: reason || null
+    });
+
+    console.log(`[Guardian] Dispute ${dispute.dispute_id} opened for bounty ${bounty_id} by ${req.role}, reason: ${reason || 'none provided'}`);
+
+    res.status(202).json({
+      success: true,
+      bounty_id,
+      dispute_id: dispute.dispute_id,
+      status: dispute.status,
+      description
+    });
+
+  } catch (err) {
+    console.error('[Guardian] Sign payout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Add evidence to a pending dispute (party is taken from the caller's key)
+ */
+app.post('/dispute/:id/evidence', limit('dispute-evidence'), serverOrWorker, (req, res) => {
+  const { evidence } = req.body;
+
+  if (!evidence) {
+    return res.status(400).json({ error: 'Missing required field: evidence' });
+  }
+
+  try {
+    const dispute = addEvidence(DATA_DIR, req.params.id, req.role, evidence);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    auditLog('dispute.evidence', dispute.bounty_id, {
+      dispute_id: dispute.dispute_id,
+      party: req.role,
+      evidence_hash: txHash(JSON.stringify(evidence))
+    });
+    res.json({
+      success: true,
+      dispute_id: dispute.dispute_id,
+      evidence_count: dispute.evidence.length
+    });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+/**
+ * Poll a dispute
+ *
+ * Shows the decision and, once the payout has been signed, the partial
+ * signature. The payout itself is signed (or, in offline mode, queued) by
+ * POST /dispute/:id/sign.
+ */
+app.get('/dispute/:id', limit('dispute'), serverOrWorker, (req, res) => {
+  let dispute = loadDisputes(DATA_DIR)[req.params.id];
+  if (!dispute) {
+    return res.status(404).json({ error: 'Dispute not found' });
+  }
+
+  try {
+    reconcile();
+    if (dispute.signing_request_id && !dispute.signed) {
+      reconcileSigningRequests();
+      dispute = loadDisputes(DATA_DIR)[dispute.dispute_id];
+    }
+  } catch (err) {
+    console.error('[Guardian] Dispute poll error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+
+  res.json(disputeView(dispute));
+});
+
+/**
+ * A dispute as returned by the dispute routes
+ */
+function disputeView(dispute) {
+  const view = {
+    dispute_id: dispute.dispute_id,
+    bounty_id: dispute.bounty_id,
+    status: dispute.status,
+    reason: dispute.reason,
+    evidence_count: dispute.evidence.length,
+    decision: dispute.decision || null,
+    description: dispute.description || null,
+    created_at: dispute.created_at
+  };
+  if (dispute.signing_request_id && !dispute.signed) {
+    const request = offline.loadRequests(DATA_DIR)[dispute.signing_request_id];
+    view.signing_request_id = dispute.signing_request_id;
+    view.signing_status = request ? request.status : null;
+    view.signing_error = request && request.response ? request.response.message : null;
+  }
+  if (dispute.signed) {
+    Object.assign(view, {
+      tx_data_hex: dispute.signed.tx_data_hex,
+      signers: dispute.signed.signers,
+      ready: dispute.signed.ready
+    });
+  }
+  return view;
+}
+
+/**
+ * Sign the payout of an approved dispute
+ *
+ * The checks of /sign-payout are made again against the bounty as it is
+ * now: it must still be disputed on this dispute, no handover sweep may be
+ * signed, the multisig info must be in sync and the payout must fit the
+ * scanned escrow balance and the signing policy. Signing again returns the
+ * same partial signature. In offline mode the payout is queued for the
+ * offline signer instead (202).
+ */
+app.post('/dispute/:id/sign', limit('dispute-sign'), serverOrWorker, (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const dispute = loadDisputes(DATA_DIR)[req.params.id];
+  if (!dispute) {
+    return res.status(404).json({ error: 'Dispute not found' });
+  }
+  if (dispute.signed) {
+    return res.json({ success: true, ...disputeView(dispute) });
+  }
+  if (dispute.status !== DISPUTE_STATUS.APPROVED) {
+    return res.status(409).json({
+      ...disputeView(dispute),
+      error: `Dispute is ${dispute.status}, not approved`,
+      reason: 'not_approved'
+    });
+  }
+
+  const bounty_id = dispute.bounty_id;
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  const tx_hash = txHash(dispute.tx_data_hex);
+
+  try {
+    const reject = (status, reason, body) => {
+      auditLog('payout.rejected', bounty_id, { dispute_id: dispute.dispute_id, tx_hash, reason });
+      return res.status(status).json({ ...disputeView(dispute), ...body, reason });
+    };
+
+    reconcile();
+    const status = statusOf(bountyInfo);
+    if (status !== STATUS.DISPUTED || bountyInfo.dispute_id !== dispute.dispute_id) {
+      return reject(409, 'invalid_status', {
+        error: `Bounty is ${status}${status === STATUS.DISPUTED ? ' on another dispute' : ''}; the payout can no longer be signed`,
+        bounty_status: status
+      });
+    }
+    const sweeping = sweepConflict(bountyInfo);
+    if (sweeping) {
+      return reject(409, sweeping.reason, sweeping);
+    }
+
+    const sync = bountySyncStatus(bountyInfo);
+    if (!sync.ok) {
+      return reject(409, 'sync_stale', {
+        error: 'Multisig info is out of sync',
+        sync_reason: sync.reason,
+        sync,
+        hint: 'Call /sync-outputs with the latest peer multisig info'
+      });
+    }
+
+    if (bountyInfo.offline_secrets) {
+      let request = dispute.signing_request_id
+        ? offline.loadRequests(DATA_DIR)[dispute.signing_request_id]
+        : null;
+      if (!request) {
+        request = offline.queueRequest(DATA_DIR, {
+          type: offline.TYPES.PAYOUT,
+          bounty_id,
+          tx_data_hex: dispute.tx_data_hex,
+          policy: {
+            dispute_id: dispute.dispute_id,
+            decision: { status: dispute.status, ...dispute.decision }
+          }
+        });
+        dispute.signing_request_id = request.request_id;
+        updateDispute(DATA_DIR, dispute.dispute_id, d => { d.signing_request_id = request.request_id; });
+        auditLog('payout.queued', bounty_id, {
+          dispute_id: dispute.dispute_id,
+          request_id: request.request_id,
+          tx_hash: request.tx_hash
+        });
+        console.log(`[Guardian] Queued payout for dispute ${dispute.dispute_id} for offline signing (${request.request_id})`);
+      }
+      return res.status(202).json({ success: true, ...disputeView(dispute) });
+    }
+
+    const wallet = routeWallet(res, bounty_id);
+    if (!wallet) return;
+
+    // Described again: the dispute may predate the describe_failed check
+    const description = describeTx(wallet, dispute.tx_data_hex);
+    const check = checkBalance(description, { escrowBalance: scannedBalance(bountyInfo) });
+    if (!check.ok) {
+      console.log(`[Guardian] Rejected payout for dispute ${dispute.dispute_id}: ${check.reason}`);
+      return reject(403, check.reason, {
+        error: 'Payout transaction rejected',
+        message: check.message,
+        details: check.details
+      });
+    }
+
+    // The operator's approval counts for approval_above
+    const verdict = evaluatePolicy('payout', description, { approved: true, tx_hash });
+    if (!verdict.allowed) {
+      console.log(`[Guardian] Signing policy denied payout for dispute ${dispute.dispute_id}`);
+      auditLog('payout.rejected', bounty_id, {
+        dispute_id: dispute.dispute_id,
+        tx_hash,
+        reason: 'policy_denied',
+        violations: verdict.violations
+      });
+      return res.status(403).json({
+        ...disputeView(dispute),
+        error: 'Payout denied by signing policy',
+        reason: 'policy_denied',
+        violations: verdict.violations
+      });
+    }
+
+    if (typeof wallet.sign_multisig_tx_hex !== 'function') {
+      return res.status(501).json({
+        error: 'sign_multisig_tx_hex not available in WASM'
+      });
+    }
+
+    const signResult = JSON.parse(wallet.sign_multisig_tx_hex(dispute.tx_data_hex));
+    if (!signResult.success) {
+      auditLog('payout.failed', bounty_id, { dispute_id: dispute.dispute_id, error: signResult.error });
+      throw new Error('Failed to sign payout: ' + signResult.error);
+    }
+
+    // Recorded before the signature is released
+    auditLog('payout.signed', bounty_id, {
+      dispute_id: dispute.dispute_id,
+      tx_hash,
+      description,
+      signed_tx_hash: txHash(signResult.tx_data_hex),
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    dispute.signed = {
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready,
+      signed_at: new Date().toISOString()
+    };
+    updateDispute(DATA_DIR, dispute.dispute_id, d => { d.signed = dispute.signed; });
+    notify(EVENTS.PAYOUT_SIGNED, bounty_id, {
+      dispute_id: dispute.dispute_id,
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    console.log(`[Guardian] Signed payout for bounty ${bounty_id} (dispute ${dispute.dispute_id}), ready: ${signResult.ready}`);
+    reconcile();
+
+    res.json({ success: true, ...disputeView(dispute) });
+
+  } catch (err) {
+    console.error('[Guardian] Sign payout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Poll a request queued for the offline signer (SIGNING_MODE=offline)
+ *
+ * Returns the transaction description and partial signature once the
+ * response bundle has been imported with `cli.js offline import`.
+ */
+app.get('/signing-request/:id', limit('signing-request'), serverOnly, (req, res) => {
+  reconcile();
+  const request = offline.loadRequests(DATA_DIR)[req.params.id];
+  if (!request) {
+    return res.status(404).json({ error: 'Signing request not found' });
+  }
+
+  const response = {
+    request_id: request.request_id,
+    type: request.type,
+    bounty_id: request.bounty_id,
+    status: request.status,
+    created_at: request.created_at,
+    exported_at: request.exported_at || null
+  };
+
+  if (request.status === offline.STATUS.REJECTED) {
+    return res.json({
+      ...response,
+      reason: request.response.reason,
+      message: request.response.message,
+      description: request.response.description
+    });
+  }
+  if (request.status !== offline.STATUS.SIGNED) {
+    return res.json(response);
+  }
+
+  res.json({
+    ...response,
+    success: true,
+    description: request.response.description,
+    tx_data_hex: request.response.tx_data_hex,
+    signers: request.response.signers,
+    ready: request.response.ready
+  });
+});
+
+/**
+ * Get bounty info
+ */
+app.get('/bounty/:id', limit('bounty'), serverOrWorker, (req, res) => {
+  reconcile();
+  const bountyInfo = bountyData.get(req.params.id);
+  if (!bountyInfo) {
+    // Check if pending
+    const pending = pendingEscrows.get(req.params.id);
+    if (pending) {
+      return res.json({
+        bounty_id: req.params.id,
+        status: 'pending',
+        message: 'Waiting for /finalize-escrow',
+        scheme: pending.scheme || DEFAULT_SCHEME,
+        next_round: pending.multisig_kex ? transcriptRounds(pending.multisig_kex).length + 1 : 1,
+        expires_at: new Date(pending.expires_at).toISOString()
+      });
+    }
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  res.json({
+    bounty_id: bountyInfo.bounty_id,
+    status: statusOf(bountyInfo),
+    deadline_block: bountyInfo.deadline_block,
+    refund_unlock_block: refundUnlockBlock(bountyInfo),
+    deadline_policy: bountyInfo.deadline_policy || null,
+    deadline_extension: bountyInfo.deadline_extension || null,
+    deadline_extensions: bountyInfo.deadline_extensions || [],
+    refund_address: bountyInfo.refund_address || null,
+    multisig_address: bountyInfo.multisig_address,
+    is_ready: bountyInfo.is_ready,
+    scheme: bountyInfo.scheme || DEFAULT_SCHEME,
+    participants: bountyInfo.participants || null,
+    group_fingerprint: bountyInfo.group_fingerprint || null,
+    created_at: bountyInfo.created_at,
+    wallet_in_memory: activeWallets.has(req.params.id),
+    wallet_restorable: canRestore(bountyInfo),
+    offline_signing: !!bountyInfo.offline_secrets,
+    sync: bountySyncStatus(bountyInfo),
+    funding: bountyFunding(bountyInfo),
+    refund: bountyInfo.refund || null,
+    handover: bountyInfo.handover || null,
+    history: bountyInfo.history || []
+  });
+});
+
+/**
+ * Report a lifecycle change the Guardian cannot observe itself
+ *
+ * The bounty server reports funding, normal (server + worker) payouts,
+ * confirmed refunds and handover sweeps, and closes bounties. Refunds and
+ * sweeps can only be reported once the Guardian has signed them; disputes
+ * are only set by their own routes.
+ */
+app.post('/bounty/:id/status', limit('bounty-status'), serverOnly, (req, res) => {
+  const { status, reason } = req.body;
+  const reportable = [STATUS.FUNDED, STATUS.SETTLED, STATUS.REFUNDED, STATUS.HANDED_OVER, STATUS.ARCHIVED];
+
+  if (!reportable.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${reportable.join(', ')}`
+    });
+  }
+
+  const bountyInfo = bountyData.get(req.params.id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  if (status === STATUS.HANDED_OVER && !sweepPending(bountyInfo)) {
+    return res.status(409).json({
+      error: 'No signed handover sweep for this bounty',
+      reason: 'sweep_not_signed',
+      status: statusOf(bountyInfo)
+    });
+  }
+  if (status === STATUS.REFUNDED && !refundPending(bountyInfo)) {
+    return res.status(409).json({
+      error: 'No signed refund for this bounty',
+      reason: 'refund_not_signed',
+      status: statusOf(bountyInfo)
+    });
+  }
+
+  try {
+    if (status === STATUS.HANDED_OVER) {
+      completeHandover(req.params.id, bountyInfo, reason || 'handover sweep confirmed by bounty server');
+    } else {
+      changeStatus(bountyInfo, status, reason || 'reported by bounty server');
+    }
+  } catch (err) {
+    if (err instanceof LifecycleError) {
+      return res.status(409).json({ error: err.message, status: err.status, allowed: err.allowed });
+    }
+    throw err;
+  }
+  saveBountyState();
+
+  console.log(`[Guardian] Bounty ${req.params.id} is now ${status}`);
+
+  res.json({
+    success: true,
+    bounty_id: req.params.id,
+    status,
+    history: bountyInfo.history
+  });
+});
+
+/**
+ * Extend a bounty's deadline
+ *
+ * Takes a request from both the server and the worker for the same
+ * `deadline_block`: the first is stored and answered with 202, the second
+ * applies it. A different deadline replaces the stored request. Deadlines
+ * only move later, within DEADLINE_MAX_BLOCKS of the chain height; the
+ * grace window and confirmations of the bounty stay as they were.
+ */
+app.post('/bounty/:id/deadline', limit('bounty-deadline'), serverOrWorker, async (req, res) => {
+  if (!isInitialized) {
+    return res.status(503).json({ error: 'Guardian not initialized' });
+  }
+
+  const bounty_id = req.params.id;
+  const { deadline_block, reason } = req.body;
+
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+
+  reconcile();
+  const status = statusOf(bountyInfo);
+  if (![STATUS.READY, STATUS.FUNDED, STATUS.DISPUTED].includes(status)) {
+    return res.status(409).json({
+      error: `Cannot extend the deadline of a bounty that is ${status}`,
+      status
+    });
+  }
+
+  if (!Number.isInteger(deadline_block) || deadline_block <= bountyInfo.deadline_block) {
+    return res.status(400).json({
+      error: `deadline_block must be an integer after the current deadline ${bountyInfo.deadline_block}`,
+      reason: 'not_an_extension'
+    });
+  }
+
+  // Too late once a refund is signed
+  if (refundPending(bountyInfo)) {
+    return res.status(409).json(refundSigned(bountyInfo));
+  }
+
+  // A refund already waiting for the offline signer was checked against the old deadline
+  const queued = Object.values(offline.loadRequests(DATA_DIR)).some(r =>
+    r.bounty_id === bounty_id && r.type === offline.TYPES.REFUND &&
+    (r.status === offline.STATUS.QUEUED || r.status === offline.STATUS.EXPORTED)
+  );
+  if (queued) {
+    return res.status(409).json({
+      error: 'A refund for this bounty is queued for the offline signer',
+      reason: 'refund_queued'
+    });
+  }
+
+  let height;
+  try {
+    height = await deadlineHeight();
+  } catch (err) {
+    console.error('[Guardian] Chain height unavailable:', err.message);
+    return res.status(503).json({
+      error: 'Chain height unavailable',
+      reason: err.message,
+      sources: err.sources
+    });
+  }
+  // Only the upper limit applies; an extension may still be close to the chain height
+  const check = checkDeadline(deadline_block, height, { minBlocks: 0, maxBlocks: DEADLINE_POLICY.maxBlocks });
+  if (!check.ok) {
+    return res.status(400).json({ error: check.message, reason: check.reason, details: check.details });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const pending = bountyInfo.deadline_extension;
+
+    if (!pending || pending.deadline_block !== deadline_block || pending.requested_by === req.role) {
+      bountyInfo.deadline_extension = {
+        deadline_block,
+        reason: reason || null,
+        requested_by: req.role,
+        requested_at: now
+      };
+      auditLog('deadline.extension_requested', bounty_id, {
+        deadline_block,
+        current_deadline: bountyInfo.deadline_block,
+        reason: reason || null,
+        requested_by: req.role
+      });
+      saveBountyState();
+
+      const other = req.role === ROLES.SERVER ? ROLES.WORKER : ROLES.SERVER;
+      console.log(`[Guardian] Deadline extension for bounty ${bounty_id} to ${deadline_block} requested by ${req.role}`);
+      return res.status(202).json({
+        success: true,
+        bounty_id,
+        deadline_block: bountyInfo.deadline_block,
+        deadline_extension: bountyInfo.deadline_extension,
+        awaiting: other
+      });
+    }
+
+    const extension = {
+      from: bountyInfo.deadline_block,
+      to: deadline_block,
+      reason: pending.reason,
+      requested_by: pending.requested_by,
+      requested_at: pending.requested_at,
+      approved_by: req.role,
+      approved_at: now,
+      current_block: height
+    };
+    auditLog('deadline.extended', bounty_id, extension);
+
+    bountyInfo.deadline_block = deadline_block;
+    bountyInfo.deadline_extensions = [...(bountyInfo.deadline_extensions || []), extension];
+    delete bountyInfo.deadline_extension;
+    // deadline.reached fires again for the new deadline
+    delete bountyInfo.deadline_reached_at;
+    saveBountyState();
+
+    console.log(`[Guardian] Deadline of bounty ${bounty_id} extended from ${extension.from} to ${deadline_block}`);
+
+    res.json({
+      success: true,
+      bounty_id,
+      deadline_block,
+      refund_unlock_block: refundUnlockBlock(bountyInfo),
+      deadline_extensions: bountyInfo.deadline_extensions
+    });
+
+  } catch (err) {
+    console.error('[Guardian] Deadline extension error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * List bounties
+ *
+ * Archived bounties are hidden unless ?include_archived=true.
+ * ?status=<status> filters by lifecycle status.
+ */
+app.get('/bounties', limit('bounties'), serverOnly, (req, res) => {
+  reconcile();
+  const includeArchived = req.query.include_archived === 'true';
+  const bounties = [];
+  for (const [id, info] of bountyData) {
+    const status = statusOf(info);
+    if (req.query.status && status !== req.query.status) continue;
+    if (status === STATUS.ARCHIVED && !includeArchived && req.query.status !== STATUS.ARCHIVED) continue;
+    bounties.push({
+      bounty_id: id,
+      status,
+      deadline_block: info.deadline_block,
+      multisig_address: info.multisig_address,
+      is_ready: info.is_ready,
+      created_at: info.created_at
+    });
+  }
+
+  res.json({
+    pending: pendingEscrows.size,
+    completed: bounties.length,
+    bounties
+  });
+});
+
+// ============================================================================
+// HANDOVER (see lib/handover.js)
+// ============================================================================
+
+/**
+ * Refuse a handover step unless it belongs to the handover in progress
+ *
+ * Returns null, or the { status, body } to answer with.
+ */
+function handoverConflict(successorUrl) {
+  const retiring = loadHandover(DATA_DIR);
+  if (!retiring) {
+    return {
+      status: 409,
+      body: {
+        error: 'No handover in progress',
+        reason: 'handover_not_started',
+        hint: 'docker exec salvium-guardian node cli.js handover start <successor_url>'
+      }
+    };
+  }
+  if (successorUrl !== retiring.successor_url) {
+    return {
+      status: 409,
+      body: {
+        error: 'Successor does not match the handover in progress',
+        reason: 'successor_mismatch',
+        successor_url: retiring.successor_url
+      }
+    };
+  }
+  return null;
+}
+
+/**
+ * Answer for a handover step on a disputed bounty
+ *
+ * A rejected dispute returns the bounty to funded, so it can be handed
+ * over; an approved one settles it and leaves nothing to move.
  */
-async function loadWasm() {
-  console.log('[Guardian] Loading WASM module...');
-  const SalviumWallet = require('./wasm/SalviumWallet.js');
-  wasmModule = await SalviumWallet();
-  console.log('[Guardian] WASM module loaded');
+function disputePending(bountyInfo) {
+  return {
+    error: 'Bounty has a dispute awaiting a decision',
+    reason: 'dispute_pending',
+    status: STATUS.DISPUTED,
+    dispute_id: bountyInfo.dispute_id || null,
+    hint: `docker exec salvium-guardian node cli.js dispute ${bountyInfo.dispute_id || '<dispute_id>'}`
+  };
 }
 
 /**
- * Save bounty state to disk
+ * Mark a swept bounty handed over once its sweep is on chain
  */
-function saveBountyState() {
-  const bountyFile = path.join(DATA_DIR, 'bounties.json');
-  const data = {};
-  for (const [id, info] of bountyData) {
-    data[id] = info;
-  }
-  fs.writeFileSync(bountyFile, JSON.stringify(data, null, 2));
+function completeHandover(bountyId, bountyInfo, reason) {
+  const handover = bountyInfo.handover;
+  changeStatus(bountyInfo, STATUS.HANDED_OVER, reason);
+  notify(EVENTS.HANDOVER_COMPLETED, bountyId, {
+    successor_url: handover.successor_url,
+    new_multisig_address: handover.new_multisig_address,
+    swept: true,
+    tx_hash: handover.tx_hash
+  });
+  console.log(`[Guardian] Bounty ${bountyId} handed over: ${reason}`);
 }
 
 /**
- * Load bounty state from disk
+ * Refuse a refund or payout while a handover sweep is signed
+ *
+ * The escrow is promised to the successor until the sweep is seen on chain
+ * or the handover is cancelled, whatever the bounty's status has become since.
+ * Returns null, or the body to answer 409 with.
  */
-function loadBountyState() {
-  const bountyFile = path.join(DATA_DIR, 'bounties.json');
-  if (fs.existsSync(bountyFile)) {
-    const data = JSON.parse(fs.readFileSync(bountyFile, 'utf8'));
-    for (const [id, info] of Object.entries(data)) {
-      bountyData.set(id, info);
-    }
-    console.log(`[Guardian] Loaded ${bountyData.size} bounties`);
-  }
+function sweepConflict(bountyInfo) {
+  if (!bountyInfo.handover || bountyInfo.handover.status !== HANDOVER_STATUS.SIGNED) return null;
+  const retiring = loadHandover(DATA_DIR);
+  if (!retiring || retiring.successor_url !== bountyInfo.handover.successor_url) return null;
+  return {
+    error: 'Escrow is being swept to the successor Guardian',
+    reason: 'handover_signed',
+    handover: bountyInfo.handover
+  };
 }
 
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
+/**
+ * Record a signed refund; the bounty stays funded until it is seen on chain
+ */
+function markRefundSigned(bountyInfo, tx_hash, signed_at) {
+  bountyInfo.refund = {
+    status: 'signed',
+    tx_hash,
+    signed_at: signed_at || new Date().toISOString()
+  };
+}
 
 /**
- * Health check
+ * 409 body for a payout or sweep of an escrow whose refund is signed
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    initialized: isInitialized,
-    pendingEscrows: pendingEscrows.size,
-    completedBounties: bountyData.size
-  });
-});
+function refundSigned(bountyInfo) {
+  return {
+    error: 'A refund of this escrow is signed',
+    reason: 'refund_signed',
+    refund: bountyInfo.refund
+  };
+}
 
 /**
- * Step 1: Initialize escrow - Guardian generates round1
+ * Handover step 1: register the successor escrow for a bounty
  *
- * Bounty server calls this, then distributes guardian_round1 to all parties.
+ * The bounty server has already formed the new escrow by running
+ * /init-escrow and /finalize-escrow against the successor. The request can
+ * be replaced until the worker confirms it.
  */
-app.post('/init-escrow', async (req, res) => {
+app.post('/handover/:id', limit('handover'), serverOnly, async (req, res) => {
   if (!isInitialized) {
     return res.status(503).json({ error: 'Guardian not initialized' });
   }
 
-  const { bounty_id } = req.body;
+  const bounty_id = req.params.id;
+  const { new_multisig_address, group_fingerprint } = req.body;
 
-  if (!bounty_id) {
-    return res.status(400).json({ error: 'Missing required field: bounty_id' });
+  if (!req.body.successor_url || !new_multisig_address) {
+    return res.status(400).json({
+      error: 'Missing required fields: successor_url, new_multisig_address'
+    });
   }
 
-  // Check if already exists
-  if (bountyData.has(bounty_id)) {
-    return res.status(409).json({ error: 'Bounty already finalized' });
+  let successor_url;
+  try {
+    successor_url = normalizeUrl(req.body.successor_url);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  // Clean up any existing pending escrow with same ID
-  if (pendingEscrows.has(bounty_id)) {
-    pendingEscrows.get(bounty_id).wallet.delete();
-    pendingEscrows.delete(bounty_id);
+  const conflict = handoverConflict(successor_url);
+  if (conflict) {
+    return res.status(conflict.status).json(conflict.body);
   }
 
-  try {
-    console.log(`[Guardian] Init escrow: ${bounty_id}`);
-
-    // Create wallet and do round 1
-    const wallet = new wasmModule.WasmWallet();
-    wallet.create_random(NETWORK, 'English');
-    wallet.enable_multisig_experimental();
-
-    const prepResult = JSON.parse(wallet.prepare_multisig());
-    if (!prepResult.success) {
-      wallet.delete();
-      throw new Error('Failed to prepare multisig: ' + prepResult.error);
-    }
-
-    // Store in pending (waiting for finalize)
-    pendingEscrows.set(bounty_id, {
-      wallet,
-      guardian_round1: prepResult.multisig_info,
-      created_at: Date.now()
-    });
+  const bountyInfo = bountyData.get(bounty_id);
+  if (!bountyInfo) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
 
-    res.json({
-      success: true,
-      bounty_id,
-      guardian_round1: prepResult.multisig_info
+  reconcile();
+  const status = statusOf(bountyInfo);
+  if (status === STATUS.DISPUTED) {
+    return res.status(409).json(disputePending(bountyInfo));
+  }
+  if (status !== STATUS.READY && status !== STATUS.FUNDED) {
+    return res.status(409).json({
+      error: `Cannot hand over a bounty that is ${status}`,
+      status
     });
-
-  } catch (err) {
-    console.error('[Guardian] Init escrow error:', err);
-    res.status(500).json({ error: err.message });
   }
-});
 
-/**
- * Step 2: Finalize escrow - Guardian does make_multisig + exchange_multisig_keys
- *
- * Bounty server sends all round1 and round2 messages.
- * Guardian completes the key exchange and returns the final address.
- */
-app.post('/finalize-escrow', async (req, res) => {
-  if (!isInitialized) {
-    return res.status(503).json({ error: 'Guardian not initialized' });
+  const current = bountyInfo.handover;
+  if (current && current.status !== HANDOVER_STATUS.REQUESTED) {
+    return res.status(409).json({
+      error: 'Handover already confirmed by the worker',
+      reason: 'already_confirmed',
+      handover: current
+    });
   }
-
-  const {
-    bounty_id,
-    deadline_block,
-    server_round1,
-    server_round2,
-    worker_round1,
-    worker_round2
-  } = req.body;
-
-  if (!bounty_id || !deadline_block || !server_round1 || !server_round2 || !worker_round1 || !worker_round2) {
+  if (new_multisig_address === bountyInfo.multisig_address) {
     return res.status(400).json({
-      error: 'Missing required fields: bounty_id, deadline_block, server_round1, server_round2, worker_round1, worker_round2'
+      error: 'new_multisig_address is this escrow\'s own address',
+      reason: 'same_address'
     });
   }
 
-  // Get pending escrow
-  const pending = pendingEscrows.get(bounty_id);
-  if (!pending) {
-    return res.status(404).json({
-      error: 'Pending escrow not found. Call /init-escrow first.',
-      hint: 'The escrow may have expired (5 min timeout) or server restarted.'
+  try {
+    await checkSuccessor(successor_url);
+  } catch (err) {
+    return res.status(502).json({
+      error: 'Successor Guardian unreachable',
+      reason: 'successor_unreachable',
+      message: err.message
     });
   }
 
   try {
-    console.log(`[Guardian] Finalize escrow: ${bounty_id}`);
-    const wallet = pending.wallet;
-    const guardian_round1 = pending.guardian_round1;
-
-    // Round 2: make_multisig with all round1 messages
-    const allRound1 = [guardian_round1, server_round1, worker_round1];
-    const makeResult = JSON.parse(wallet.make_multisig('', 2, JSON.stringify(allRound1)));
-    if (!makeResult.success) {
-      throw new Error('Failed to make multisig: ' + makeResult.error);
-    }
-    const guardian_round2 = makeResult.multisig_info;
-
-    // Round 3: exchange_multisig_keys with all round2 messages
-    const allRound2 = [guardian_round2, server_round2, worker_round2];
-    const kexResult = JSON.parse(wallet.exchange_multisig_keys('', JSON.stringify(allRound2)));
-    if (!kexResult.success) {
-      throw new Error('Failed to exchange keys: ' + kexResult.error);
-    }
-
-    const multisig_address = kexResult.address;
-    console.log(`[Guardian] Escrow finalized: ${multisig_address}`);
-
-    // Move from pending to completed
-    pendingEscrows.delete(bounty_id);
+    auditLog('handover.requested', bounty_id, {
+      successor_url,
+      new_multisig_address,
+      group_fingerprint: group_fingerprint || null,
+      replaces: current ? current.new_multisig_address : null
+    });
 
-    // Store bounty data
-    const bountyInfo = {
-      bounty_id,
-      deadline_block,
-      multisig_address,
-      is_ready: kexResult.is_ready,
-      created_at: new Date().toISOString(),
-      wallet_mnemonic: wallet.get_seed('')
+    bountyInfo.handover = {
+      status: HANDOVER_STATUS.REQUESTED,
+      successor_url,
+      new_multisig_address,
+      group_fingerprint: group_fingerprint || null,
+      requested_at: new Date().toISOString()
     };
-    bountyData.set(bounty_id, bountyInfo);
     saveBountyState();
 
-    // Keep wallet for signing
-    activeWallets.set(bounty_id, wallet);
+    console.log(`[Guardian] Handover requested for bounty ${bounty_id} to ${new_multisig_address}`);
 
     res.json({
       success: true,
       bounty_id,
-      guardian_round1,
-      guardian_round2,
-      multisig_address,
-      is_ready: kexResult.is_ready
+      status,
+      handover: bountyInfo.handover
     });
 
   } catch (err) {
-    console.error('[Guardian] Finalize escrow error:', err);
+    console.error('[Guardian] Handover request error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Sync multisig outputs before creating transactions
- * Both parties must export and import multisig_info to sync state
+ * Handover step 2: the worker confirms the successor escrow address
+ *
+ * Without this the server and the Guardian could sweep a funded escrow
+ * anywhere. An unfunded bounty is handed over here.
  */
-app.post('/sync-outputs', async (req, res) => {
+app.post('/handover/:id/confirm', limit('handover'), workerOnly, (req, res) => {
   if (!isInitialized) {
     return res.status(503).json({ error: 'Guardian not initialized' });
   }
 
-  const { bounty_id, other_multisig_info } = req.body;
+  const bounty_id = req.params.id;
+  const { new_multisig_address } = req.body;
 
-  if (!bounty_id) {
-    return res.status(400).json({ error: 'Missing required field: bounty_id' });
+  if (!new_multisig_address) {
+    return res.status(400).json({ error: 'Missing required field: new_multisig_address' });
   }
 
   const bountyInfo = bountyData.get(bounty_id);
@@ -280,59 +3245,95 @@ app.post('/sync-outputs', async (req, res) => {
     return res.status(404).json({ error: 'Bounty not found' });
   }
 
+  const handover = bountyInfo.handover;
+  if (!handover) {
+    return res.status(409).json({ error: 'No handover requested for this bounty', reason: 'not_requested' });
+  }
+
   try {
-    const wallet = activeWallets.get(bounty_id);
-    if (!wallet) {
-      return res.status(400).json({
-        error: 'Wallet not in memory. Use CLI for manual recovery.',
-        hint: 'docker exec salvium-guardian node cli.js export-bounty-seed ' + bounty_id
+    if (handover.new_multisig_address !== new_multisig_address) {
+      auditLog('handover.confirm_rejected', bounty_id, {
+        reason: 'address_mismatch',
+        expected: handover.new_multisig_address,
+        actual: new_multisig_address
+      });
+      return res.status(409).json({
+        error: 'Address does not match the requested successor escrow',
+        reason: 'address_mismatch'
       });
     }
 
-    // Export our multisig info
-    const exportResult = JSON.parse(wallet.export_multisig_info());
-    if (!exportResult.success) {
-      throw new Error('Failed to export multisig info: ' + exportResult.error);
-    }
-    const guardian_multisig_info = exportResult.info;
+    reconcile();
+    const status = statusOf(bountyInfo);
 
-    // If other party's info provided, import it
-    if (other_multisig_info && Array.isArray(other_multisig_info)) {
-      const importResult = JSON.parse(wallet.import_multisig_info(JSON.stringify(other_multisig_info)));
-      if (!importResult.success) {
-        console.log('[Guardian] Import multisig info warning:', importResult.error);
-      } else {
-        console.log(`[Guardian] Imported ${importResult.n_outputs} outputs for bounty ${bounty_id}`);
+    // Confirming again is a no-op
+    if (handover.status === HANDOVER_STATUS.REQUESTED) {
+      const conflict = handoverConflict(handover.successor_url);
+      if (conflict) {
+        return res.status(conflict.status).json(conflict.body);
+      }
+      if (status === STATUS.DISPUTED) {
+        return res.status(409).json(disputePending(bountyInfo));
+      }
+      if (status !== STATUS.READY && status !== STATUS.FUNDED) {
+        return res.status(409).json({
+          error: `Cannot hand over a bounty that is ${status}`,
+          status
+        });
       }
+
+      auditLog('handover.confirmed', bounty_id, {
+        successor_url: handover.successor_url,
+        new_multisig_address
+      });
+      handover.status = HANDOVER_STATUS.CONFIRMED;
+      handover.confirmed_at = new Date().toISOString();
+
+      // Nothing to sweep
+      if (status === STATUS.READY) {
+        changeStatus(bountyInfo, STATUS.HANDED_OVER, 'handed over unfunded to successor');
+        notify(EVENTS.HANDOVER_COMPLETED, bounty_id, {
+          successor_url: handover.successor_url,
+          new_multisig_address,
+          swept: false
+        });
+      }
+      saveBountyState();
+
+      console.log(`[Guardian] Worker confirmed handover of bounty ${bounty_id}`);
     }
 
     res.json({
       success: true,
       bounty_id,
-      guardian_multisig_info
+      status: statusOf(bountyInfo),
+      handover
     });
 
   } catch (err) {
-    console.error('[Guardian] Sync outputs error:', err);
+    console.error('[Guardian] Handover confirm error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Sign a refund transaction (only after deadline)
- * Uses the new sign_multisig_tx_hex WASM function
+ * Handover step 3: sign the sweep of a funded escrow to the successor escrow
+ *
+ * The only output must pay the confirmed address the whole balance minus
+ * the fee. The bounty stays funded until the sweep is seen on chain, and
+ * the sweep can be signed again until then (e.g. after a failed
+ * broadcast). Not available in offline signing mode.
  */
-app.post('/sign-refund', async (req, res) => {
+app.post('/handover/:id/sign', limit('handover'), serverOnly, async (req, res) => {
   if (!isInitialized) {
     return res.status(503).json({ error: 'Guardian not initialized' });
   }
 
-  const { bounty_id, current_block, tx_data_hex } = req.body;
+  const bounty_id = req.params.id;
+  const { tx_data_hex } = req.body;
 
-  if (!bounty_id || current_block === undefined || !tx_data_hex) {
-    return res.status(400).json({
-      error: 'Missing required fields: bounty_id, current_block, tx_data_hex'
-    });
+  if (!tx_data_hex) {
+    return res.status(400).json({ error: 'Missing required field: tx_data_hex' });
   }
 
   const bountyInfo = bountyData.get(bounty_id);
@@ -340,114 +3341,149 @@ app.post('/sign-refund', async (req, res) => {
     return res.status(404).json({ error: 'Bounty not found' });
   }
 
-  // Check deadline
-  if (current_block < bountyInfo.deadline_block) {
-    return res.status(403).json({
-      error: 'Deadline not reached',
-      current_block,
-      deadline_block: bountyInfo.deadline_block,
-      blocks_remaining: bountyInfo.deadline_block - current_block
-    });
-  }
+  const tx_hash = txHash(tx_data_hex);
 
   try {
-    const wallet = activeWallets.get(bounty_id);
-    if (!wallet) {
-      return res.status(400).json({
-        error: 'Wallet not in memory. Use CLI for manual recovery.',
-        hint: 'docker exec salvium-guardian node cli.js export-bounty-seed ' + bounty_id
+    auditLog('handover.sign_requested', bounty_id, { tx_hash });
+
+    const handover = bountyInfo.handover;
+    if (!handover || handover.status === HANDOVER_STATUS.REQUESTED) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'not_confirmed' });
+      return res.status(409).json({
+        error: 'Handover not confirmed by the worker',
+        reason: 'not_confirmed',
+        hint: 'The worker confirms with POST /handover/' + bounty_id + '/confirm'
       });
     }
 
-    // Describe the transaction first to verify it's a valid refund
-    if (typeof wallet.describe_multisig_tx_hex === 'function') {
-      const descResult = JSON.parse(wallet.describe_multisig_tx_hex(tx_data_hex));
-      console.log(`[Guardian] Refund tx for bounty ${bounty_id}:`, descResult);
+    const conflict = handoverConflict(handover.successor_url);
+    if (conflict) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: conflict.body.reason });
+      return res.status(conflict.status).json(conflict.body);
     }
 
-    // Sign the multisig transaction
-    if (typeof wallet.sign_multisig_tx_hex !== 'function') {
-      return res.status(501).json({
-        error: 'sign_multisig_tx_hex not available in WASM',
-        hint: 'Update WASM to version with multisig transaction support'
+    // Funded bounties are swept (re-signing a sweep is allowed)
+    reconcile();
+    const status = statusOf(bountyInfo);
+    if (status === STATUS.DISPUTED) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'dispute_pending' });
+      return res.status(409).json(disputePending(bountyInfo));
+    }
+    if (status !== STATUS.FUNDED) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'invalid_status', status });
+      return res.status(409).json({
+        error: `Cannot sign a handover for a bounty that is ${status}`,
+        status
       });
     }
-
-    const signResult = JSON.parse(wallet.sign_multisig_tx_hex(tx_data_hex));
-    if (!signResult.success) {
-      throw new Error('Failed to sign refund: ' + signResult.error);
+    if (refundPending(bountyInfo)) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'refund_signed' });
+      return res.status(409).json(refundSigned(bountyInfo));
     }
 
-    console.log(`[Guardian] Signed refund for bounty ${bounty_id}, ready: ${signResult.ready}`);
-
-    res.json({
-      success: true,
-      bounty_id,
-      tx_data_hex: signResult.tx_data_hex,
-      signers: signResult.signers,
-      ready: signResult.ready
-    });
-
-  } catch (err) {
-    console.error('[Guardian] Sign refund error:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-/**
- * Sign a payout transaction (dispute resolution - worker + guardian)
- * This is for when the worker disputes and guardian sides with them
- */
-app.post('/sign-payout', async (req, res) => {
-  if (!isInitialized) {
-    return res.status(503).json({ error: 'Guardian not initialized' });
-  }
+    if (bountyInfo.offline_secrets) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'offline_signing' });
+      return res.status(409).json({
+        error: 'Handover signing is not available in offline signing mode',
+        reason: 'offline_signing'
+      });
+    }
 
-  const { bounty_id, tx_data_hex, reason } = req.body;
+    // The wallet must hold the peers' latest multisig info
+    const sync = bountySyncStatus(bountyInfo);
+    if (!sync.ok) {
+      auditLog('handover.rejected', bounty_id, { tx_hash, reason: 'sync_stale', sync_reason: sync.reason });
+      return res.status(409).json({
+        error: 'Multisig info is out of sync',
+        reason: sync.reason,
+        sync,
+        hint: 'Call /sync-outputs with the latest peer multisig info'
+      });
+    }
 
-  if (!bounty_id || !tx_data_hex) {
-    return res.status(400).json({
-      error: 'Missing required fields: bounty_id, tx_data_hex'
-    });
-  }
+    const wallet = routeWallet(res, bounty_id);
+    if (!wallet) return;
 
-  const bountyInfo = bountyData.get(bounty_id);
-  if (!bountyInfo) {
-    return res.status(404).json({ error: 'Bounty not found' });
-  }
+    // Describe the transaction and verify it sweeps everything to the successor escrow
+    const description = describeTx(wallet, tx_data_hex);
+    console.log(`[Guardian] Handover tx for bounty ${bounty_id}:`, description);
 
-  try {
-    const wallet = activeWallets.get(bounty_id);
-    if (!wallet) {
-      return res.status(400).json({
-        error: 'Wallet not in memory. Use CLI for manual recovery.',
-        hint: 'docker exec salvium-guardian node cli.js export-bounty-seed ' + bounty_id
+    const escrowBalance = scannedBalance(bountyInfo);
+    let check = checkBalance(description, { escrowBalance });
+    if (check.ok) {
+      check = checkHandover(description, { successorAddress: handover.new_multisig_address, escrowBalance });
+    }
+    if (!check.ok) {
+      console.log(`[Guardian] Rejected handover for bounty ${bounty_id}: ${check.reason}`);
+      auditLog('handover.rejected', bounty_id, {
+        tx_hash,
+        reason: check.reason,
+        message: check.message,
+        details: check.details,
+        description
+      });
+      return res.status(403).json({
+        error: 'Handover transaction rejected',
+        reason: check.reason,
+        message: check.message,
+        details: check.details,
+        hint: check.reason === 'unknown_balance' ? unknownBalanceHint(bounty_id, 'handover') : undefined
       });
     }
 
-    // For dispute resolution, guardian should manually verify
-    // In production, this would require human review
-    console.log(`[Guardian] Payout request for bounty ${bounty_id}, reason: ${reason || 'none provided'}`);
-
-    // Describe the transaction
-    if (typeof wallet.describe_multisig_tx_hex === 'function') {
-      const descResult = JSON.parse(wallet.describe_multisig_tx_hex(tx_data_hex));
-      console.log(`[Guardian] Payout tx details:`, descResult);
+    const verdict = evaluatePolicy('handover', description, { tx_hash });
+    if (!verdict.allowed) {
+      console.log(`[Guardian] Signing policy denied handover for bounty ${bounty_id}`);
+      auditLog('handover.rejected', bounty_id, {
+        tx_hash,
+        reason: 'policy_denied',
+        violations: verdict.violations,
+        description
+      });
+      return res.status(403).json({
+        error: 'Handover denied by signing policy',
+        reason: 'policy_denied',
+        violations: verdict.violations
+      });
     }
 
-    // Sign the multisig transaction
     if (typeof wallet.sign_multisig_tx_hex !== 'function') {
       return res.status(501).json({
-        error: 'sign_multisig_tx_hex not available in WASM'
+        error: 'sign_multisig_tx_hex not available in WASM',
+        hint: 'Update WASM to version with multisig transaction support'
       });
     }
 
     const signResult = JSON.parse(wallet.sign_multisig_tx_hex(tx_data_hex));
     if (!signResult.success) {
-      throw new Error('Failed to sign payout: ' + signResult.error);
+      // Audited as handover.failed below
+      throw new Error('Failed to sign handover: ' + signResult.error);
     }
 
-    console.log(`[Guardian] Signed payout for bounty ${bounty_id}, ready: ${signResult.ready}`);
+    // Recorded before the signature is released
+    auditLog('handover.signed', bounty_id, {
+      tx_hash,
+      description,
+      successor_url: handover.successor_url,
+      new_multisig_address: handover.new_multisig_address,
+      signed_tx_hash: txHash(signResult.tx_data_hex),
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
+
+    console.log(`[Guardian] Signed handover for bounty ${bounty_id}, ready: ${signResult.ready}`);
+
+    handover.status = HANDOVER_STATUS.SIGNED;
+    handover.signed_at = new Date().toISOString();
+    handover.tx_hash = tx_hash;
+    saveBountyState();
+    notify(EVENTS.HANDOVER_SIGNED, bounty_id, {
+      successor_url: handover.successor_url,
+      new_multisig_address: handover.new_multisig_address,
+      tx_data_hex: signResult.tx_data_hex,
+      signers: signResult.signers,
+      ready: signResult.ready
+    });
 
     res.json({
       success: true,
@@ -458,57 +3494,20 @@ app.post('/sign-payout', async (req, res) => {
     });
 
   } catch (err) {
-    console.error('[Guardian] Sign payout error:', err);
+    console.error('[Guardian] Sign handover error:', err);
+    tryAuditLog('handover.failed', bounty_id, { tx_hash, error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Get bounty info
- */
-app.get('/bounty/:id', (req, res) => {
-  const bountyInfo = bountyData.get(req.params.id);
-  if (!bountyInfo) {
-    // Check if pending
-    if (pendingEscrows.has(req.params.id)) {
-      return res.json({
-        bounty_id: req.params.id,
-        status: 'pending',
-        message: 'Waiting for /finalize-escrow'
-      });
-    }
-    return res.status(404).json({ error: 'Bounty not found' });
-  }
-
-  res.json({
-    bounty_id: bountyInfo.bounty_id,
-    deadline_block: bountyInfo.deadline_block,
-    multisig_address: bountyInfo.multisig_address,
-    is_ready: bountyInfo.is_ready,
-    created_at: bountyInfo.created_at,
-    wallet_in_memory: activeWallets.has(req.params.id)
-  });
-});
-
-/**
- * List all bounties
+ * Handover in progress and where each open bounty stands
  */
-app.get('/bounties', (req, res) => {
-  const bounties = [];
-  for (const [id, info] of bountyData) {
-    bounties.push({
-      bounty_id: id,
-      deadline_block: info.deadline_block,
-      multisig_address: info.multisig_address,
-      is_ready: info.is_ready,
-      created_at: info.created_at
-    });
-  }
-
+app.get('/handover', limit('handover'), serverOnly, (req, res) => {
+  reconcile();
   res.json({
-    pending: pendingEscrows.size,
-    completed: bounties.length,
-    bounties
+    handover: loadHandover(DATA_DIR),
+    ...handoverProgress(Object.fromEntries(bountyData))
   });
 });
 
@@ -518,8 +3517,52 @@ app.get('/bounties', (req, res) => {
 
 async function main() {
   try {
+    if (AUTH_DISABLED) {
+      console.warn('[Guardian] WARNING: AUTH_DISABLED=true - API is open to anyone');
+    } else if (!SERVER_API_SECRET) {
+      throw new Error('SERVER_API_SECRET is not set. Set it or AUTH_DISABLED=true for local testing.');
+    }
+
+    if (invalidSettings.length > 0) {
+      throw new Error(`Invalid settings: ${invalidSettings.join(', ')}`);
+    }
+
+    if (SIGNING_MODE !== 'online' && SIGNING_MODE !== 'offline') {
+      throw new Error(`Unknown SIGNING_MODE: ${SIGNING_MODE} (expected online or offline)`);
+    }
+    if (OFFLINE_SIGNING) {
+      if (!OFFLINE_SIGNER_PUBLIC_KEY) {
+        throw new Error('SIGNING_MODE=offline requires OFFLINE_SIGNER_PUBLIC_KEY (see: node cli.js offline keygen)');
+      }
+      offlineSignerKey = offline.parsePublicKey(OFFLINE_SIGNER_PUBLIC_KEY);
+      console.log('[Guardian] Offline signing mode: bounty keys are not kept on this server');
+    }
+
+    if (WEBHOOK_URLS.length > 0 && !WEBHOOK_SECRET) {
+      throw new Error('WEBHOOK_URLS is set but WEBHOOK_SECRET is not; webhooks must be signed.');
+    }
+
+    if (POLICY_FILE) {
+      signingPolicy = policy.loadPolicy(POLICY_FILE);
+      console.log(`[Guardian] Signing policy loaded from ${POLICY_FILE}: ${signingPolicy.rules.join(', ') || 'no rules'}`);
+    }
+
+    store.claimDataDir(DATA_DIR);
+    // Exit normally on stop so server.lock is removed
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        console.log(`[Guardian] ${signal} received, shutting down`);
+        process.exit(0);
+      });
+    }
+    verifyStorage();
+    loadKeystore();
     await loadWasm();
+    detectFundingSupport();
+    loadMasterSeed();
     loadBountyState();
+    loadPendingState();
+    restoreActiveWallets();
     isInitialized = true;
 
     app.listen(PORT, '0.0.0.0', () => {
@@ -527,7 +3570,8 @@ async function main() {
       console.log(`[Guardian] API Flow:`);
       console.log(`  1. POST /init-escrow     → Get guardian_round1`);
       console.log(`  2. POST /finalize-escrow → Complete key exchange`);
-      console.log(`  3. POST /sign-refund     → Sign refund (after deadline)`);
+      console.log(`  3. POST /sign-refund     → Sign refund (after deadline)${OFFLINE_SIGNING ? ', queued for offline signer' : ''}`);
+      console.log(`  4. POST /sign-payout     → Open dispute (operator review)`);
     });
   } catch (err) {
     console.error('[Guardian] Failed to start:', err);
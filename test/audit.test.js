@@ -0,0 +1,133 @@
+/**
+ * lib/audit.js: hash chain, recorded head and tamper detection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const audit = require('../lib/audit');
+
+const dirs = [];
+function logWith(count) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-audit-'));
+  dirs.push(dir);
+  for (let i = 1; i <= count; i++) {
+    audit.record(dir, 'refund.signed', `bounty-${i}`, { n: i });
+  }
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function lines(dir) {
+  return fs.readFileSync(path.join(dir, audit.AUDIT_FILE), 'utf8').split('\n').filter(Boolean);
+}
+
+function writeLines(dir, entries) {
+  fs.writeFileSync(path.join(dir, audit.AUDIT_FILE), entries.map(l => l + '\n').join(''));
+}
+
+test('an empty log verifies', () => {
+  assert.deepEqual(audit.verify(logWith(0)), { ok: true, entries: 0, anchored: 0 });
+});
+
+test('appended entries chain and the head follows the last one', () => {
+  const dir = logWith(3);
+  const entries = audit.readEntries(dir);
+
+  assert.deepEqual(entries.map(e => e.seq), [1, 2, 3]);
+  assert.equal(entries[0].prev_hash, '0'.repeat(64));
+  assert.equal(entries[1].prev_hash, entries[0].hash);
+  assert.deepEqual(audit.verify(dir), { ok: true, entries: 3, anchored: 3 });
+  assert.deepEqual(audit.entriesFor(dir, 'bounty-2').map(e => e.seq), [2]);
+});
+
+test('an edited entry breaks its hash', () => {
+  const dir = logWith(3);
+  const all = lines(dir);
+  const entry = JSON.parse(all[1]);
+  entry.data.n = 99;
+  all[1] = JSON.stringify(entry);
+  writeLines(dir, all);
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+  assert.equal(result.seq, 2);
+  assert.match(result.error, /entry modified/);
+});
+
+test('a removed entry breaks the sequence', () => {
+  const dir = logWith(3);
+  const all = lines(dir);
+  writeLines(dir, [all[0], all[2]]);
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /Expected seq 2/);
+});
+
+test('a rehashed entry no longer links to the next one', () => {
+  const dir = logWith(3);
+  const all = lines(dir);
+  const entry = JSON.parse(all[0]);
+  entry.data.n = 99;
+  entry.hash = 'f'.repeat(64);
+  all[0] = JSON.stringify(entry);
+  writeLines(dir, all);
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+});
+
+test('an unparseable line is reported', () => {
+  const dir = logWith(2);
+  writeLines(dir, [...lines(dir), '{not json']);
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /Unparseable line 3/);
+});
+
+test('entries cut off the end are caught by the head', () => {
+  const dir = logWith(3);
+  writeLines(dir, lines(dir).slice(0, 2));
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+  assert.equal(result.seq, 3);
+  assert.match(result.error, /entries removed/);
+});
+
+test('a log rewritten from scratch does not match the head', () => {
+  const dir = logWith(3);
+  const other = logWith(3);
+  fs.copyFileSync(path.join(other, audit.AUDIT_FILE), path.join(dir, audit.AUDIT_FILE));
+
+  const result = audit.verify(dir);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /log rewritten/);
+});
+
+test('entries past the head are reported as unanchored until anchored', () => {
+  const dir = logWith(2);
+  const head = fs.readFileSync(path.join(dir, audit.HEAD_FILE));
+  audit.record(dir, 'refund.signed', 'bounty-3', {});
+  // As if the writer stopped before recording the new head
+  fs.writeFileSync(path.join(dir, audit.HEAD_FILE), head);
+
+  assert.deepEqual(audit.verify(dir), { ok: true, entries: 3, anchored: 2 });
+  assert.equal(audit.anchor(dir).seq, 3);
+  assert.deepEqual(audit.verify(dir), { ok: true, entries: 3, anchored: 3 });
+});
+
+test('a log without a head verifies unanchored', () => {
+  const dir = logWith(2);
+  fs.rmSync(path.join(dir, audit.HEAD_FILE));
+  assert.deepEqual(audit.verify(dir), { ok: true, entries: 2, anchored: 0 });
+});
+
+test('txHash references a transaction without storing it', () => {
+  assert.equal(audit.txHash(null), null);
+  assert.equal(audit.txHash('abcd'), require('crypto').createHash('sha256').update('abcd').digest('hex'));
+});
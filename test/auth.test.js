@@ -0,0 +1,105 @@
+/**
+ * lib/auth.js: HMAC request signatures, the replay window, nonces and roles
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, createAuth, signRequest, computeSignature } = require('../lib/auth');
+
+const KEYS = { server: 'server-secret', worker: 'worker-secret' };
+
+function request(method, url, body, headers) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, originalUrl: url, rawBody: body, get: name => lower[name.toLowerCase()] };
+}
+
+function signed(keyId, method, url, body = '', secret = KEYS[keyId]) {
+  return request(method, url, body, signRequest(keyId, secret, method, url, body));
+}
+
+function response() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('a signed request verifies as its key role', () => {
+  const auth = createAuth({ keys: KEYS });
+  assert.deepEqual(auth.verify(signed('server', 'POST', '/sign-refund', '{"a":1}')), { role: 'server' });
+  assert.deepEqual(auth.verify(signed('worker', 'GET', '/bounty/b1?x=1')), { role: 'worker' });
+});
+
+test('the signature covers method, path, body and key', () => {
+  const auth = createAuth({ keys: KEYS });
+  const headers = signRequest('server', KEYS.server, 'POST', '/sign-refund', '{"a":1}');
+
+  assert.equal(auth.verify(request('POST', '/sign-refund', '{"a":2}', headers)).error, 'Invalid signature');
+  assert.equal(auth.verify(request('POST', '/sign-payout', '{"a":1}', headers)).error, 'Invalid signature');
+  assert.equal(auth.verify(request('PUT', '/sign-refund', '{"a":1}', headers)).error, 'Invalid signature');
+  assert.equal(auth.verify(signed('server', 'GET', '/bounties', '', KEYS.worker)).error, 'Invalid signature');
+  assert.equal(auth.verify(request('POST', '/sign-refund', '{"a":1}', { ...headers, 'X-Guardian-Signature': 'zz' })).error, 'Invalid signature');
+});
+
+test('missing headers and unknown keys are refused', () => {
+  const auth = createAuth({ keys: KEYS });
+  const headers = signRequest('server', KEYS.server, 'GET', '/bounties');
+  const { 'X-Guardian-Nonce': nonce, ...withoutNonce } = headers;
+  assert.ok(nonce);
+  assert.equal(auth.verify(request('GET', '/bounties', '', withoutNonce)).error, 'Missing authentication headers');
+  assert.equal(auth.verify(signed('admin', 'GET', '/bounties', '', 'x')).error, 'Unknown key');
+});
+
+test('a nonce is accepted once per key', () => {
+  const auth = createAuth({ keys: KEYS });
+  const req = signed('server', 'GET', '/bounties');
+  assert.deepEqual(auth.verify(req), { role: 'server' });
+  assert.equal(auth.verify(req).error, 'Nonce already used');
+});
+
+test('timestamps outside the window are refused', () => {
+  const auth = createAuth({ keys: KEYS, windowSeconds: 60 });
+  const at = offset => {
+    const timestamp = String(Math.floor(Date.now() / 1000) + offset);
+    const nonce = 'nonce' + offset;
+    return request('GET', '/bounties', '', {
+      'X-Guardian-Key': 'server',
+      'X-Guardian-Timestamp': timestamp,
+      'X-Guardian-Nonce': nonce,
+      'X-Guardian-Signature': computeSignature(KEYS.server, 'GET', '/bounties', timestamp, nonce, '')
+    });
+  };
+  assert.equal(auth.verify(at(-120)).error, 'Timestamp outside allowed window');
+  assert.equal(auth.verify(at(120)).error, 'Timestamp outside allowed window');
+  assert.deepEqual(auth.verify(at(-30)), { role: 'server' });
+});
+
+test('requireRole answers 401 for bad signatures and 403 for other roles', () => {
+  const auth = createAuth({ keys: KEYS });
+  const serverOnly = auth.requireRole(ROLES.SERVER);
+
+  let res = response();
+  serverOnly(signed('server', 'GET', '/bounties', '', 'wrong'), res, () => assert.fail('next called'));
+  assert.equal(res.statusCode, 401);
+
+  res = response();
+  serverOnly(signed('worker', 'GET', '/bounties'), res, () => assert.fail('next called'));
+  assert.equal(res.statusCode, 403);
+
+  const req = signed('server', 'GET', '/bounties');
+  let called = false;
+  serverOnly(req, response(), () => { called = true; });
+  assert.equal(called, true);
+  assert.equal(req.role, 'server');
+});
+
+test('disabled auth lets every request through as the server', () => {
+  const auth = createAuth({ keys: KEYS, disabled: true });
+  const req = request('GET', '/bounties', '', {});
+  let called = false;
+  auth.requireRole(ROLES.WORKER)(req, response(), () => { called = true; });
+  assert.equal(called, true);
+  assert.equal(req.role, 'server');
+});
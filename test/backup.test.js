@@ -0,0 +1,85 @@
+/**
+ * Backups: `cli.js backup` of a running Guardian (fake wallet), restoring
+ * into an empty data directory and the checks that refuse a restore
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const backup = require('../lib/backup');
+const { openKeystore } = require('../lib/keystore');
+const { loadBounties } = require('../lib/bounty-store');
+const { startGuardian, openEscrow } = require('./guardian-process');
+
+const PASSWORD = 'test-password';
+
+let guardian;
+let workDir;
+let archiveFile;
+
+test.before(async () => {
+  guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-backup-'));
+  archiveFile = path.join(workDir, 'backup.json');
+  await openEscrow(guardian, 'before-backup');
+  assert.match(guardian.cli(['backup', archiveFile]), /Bounties: 1, pending escrows: 0/);
+});
+
+test.after(async () => {
+  await guardian.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a backup restores into an empty data directory', () => {
+  const target = path.join(workDir, 'restored');
+  fs.mkdirSync(target);
+
+  const plan = backup.planRestore(target, archiveFile, PASSWORD);
+  assert.equal(plan.conflicts, 0);
+  assert.deepEqual(plan.changes.records.bounties.added, ['before-backup']);
+  assert.equal(plan.changes.audit.status, 'extended');
+  backup.applyRestore(plan, target);
+  assert.equal(fs.existsSync(plan.staged), false);
+
+  const restored = loadBounties(target, openKeystore(target, PASSWORD));
+  const source = loadBounties(guardian.dataDir, openKeystore(guardian.dataDir, PASSWORD));
+  assert.deepEqual(restored['before-backup'], source['before-backup']);
+
+  // Restoring the same backup again changes nothing
+  const again = backup.planRestore(target, archiveFile, PASSWORD);
+  backup.discard(again.staged);
+  assert.equal(again.conflicts, 0);
+  assert.deepEqual(again.changes.records.bounties.unchanged, ['before-backup']);
+  assert.equal(again.changes.audit.status, 'unchanged');
+});
+
+test('an older backup is refused over newer state', async () => {
+  await openEscrow(guardian, 'after-backup', { funded: false });
+
+  const plan = backup.planRestore(guardian.dataDir, archiveFile, PASSWORD);
+  backup.discard(plan.staged);
+  assert.ok(plan.conflicts > 0);
+  assert.deepEqual(plan.changes.records.bounties.conflicts, [{ id: 'after-backup', reason: 'only_in_current' }]);
+  assert.equal(plan.changes.audit.status, 'current_is_newer');
+  assert.throws(() => backup.applyRestore(plan, guardian.dataDir), /Refusing to restore/);
+
+  // The CLI will not restore under a running server at all
+  assert.throws(() => guardian.cli(['restore', archiveFile, '--yes']), /is running on/);
+});
+
+test('tampered archives and the wrong password are rejected', () => {
+  assert.throws(() => backup.readArchive(archiveFile, 'wrong-password'));
+
+  const archive = JSON.parse(fs.readFileSync(archiveFile, 'utf8'));
+  const tamperedFile = path.join(workDir, 'tampered.json');
+  fs.writeFileSync(tamperedFile, JSON.stringify({ ...archive, version: backup.ARCHIVE_VERSION + 1 }));
+  assert.throws(() => backup.readArchive(tamperedFile, PASSWORD), /is not supported/);
+
+  fs.writeFileSync(tamperedFile, JSON.stringify({ ...archive, created_at: new Date(0).toISOString() }));
+  assert.throws(() => backup.readArchive(tamperedFile, PASSWORD), /header does not match/);
+
+  fs.writeFileSync(tamperedFile, '{"format":"other"}');
+  assert.throws(() => backup.readArchive(tamperedFile, PASSWORD), /is not a Guardian backup/);
+});
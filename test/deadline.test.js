@@ -0,0 +1,44 @@
+/**
+ * lib/deadline.js: deadline window and refund unlock height
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPolicy, checkDeadline, refundUnlockBlock } = require('../lib/deadline');
+
+const limits = { minBlocks: 100, maxBlocks: 1000 };
+
+test('a deadline inside the window passes', () => {
+  assert.deepEqual(checkDeadline(1100, 1000, limits), { ok: true });
+  assert.deepEqual(checkDeadline(2000, 1000, limits), { ok: true });
+});
+
+test('deadlines too close or too far are rejected with details', () => {
+  const soon = checkDeadline(1099, 1000, limits);
+  assert.equal(soon.reason, 'deadline_too_soon');
+  assert.deepEqual(soon.details, { deadline_block: 1099, current_block: 1000, min_blocks: 100, max_blocks: 1000 });
+  assert.equal(checkDeadline(2001, 1000, limits).reason, 'deadline_too_far');
+  assert.equal(checkDeadline(900, 1000, limits).reason, 'deadline_too_soon');
+});
+
+test('a limit of 0 is off, and no height is needed without limits', () => {
+  assert.deepEqual(checkDeadline(1001, 1000, { minBlocks: 0, maxBlocks: 0 }), { ok: true });
+  assert.deepEqual(checkDeadline(10 ** 9, 1000, { minBlocks: 100, maxBlocks: 0 }), { ok: true });
+  assert.deepEqual(checkDeadline(5, null, { minBlocks: 0, maxBlocks: 0 }), { ok: true });
+});
+
+test('the deadline must be a positive integer', () => {
+  for (const deadline of [0, -1, 1.5, '1100', null]) {
+    assert.equal(checkDeadline(deadline, 1000, limits).reason, 'invalid_deadline', String(deadline));
+  }
+});
+
+test('refunds unlock after the grace window and confirmations', () => {
+  const policy = createPolicy({ minBlocks: 100, maxBlocks: 1000, graceBlocks: 720, confirmations: 10 }, 1000);
+  assert.deepEqual(policy, { min_blocks: 100, max_blocks: 1000, grace_blocks: 720, confirmations: 10, finalize_height: 1000 });
+  assert.equal(refundUnlockBlock({ deadline_block: 2000, deadline_policy: policy }), 2730);
+});
+
+test('bounties from before deadline policies unlock at the deadline', () => {
+  assert.equal(refundUnlockBlock({ deadline_block: 2000 }), 2000);
+});
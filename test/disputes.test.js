@@ -0,0 +1,87 @@
+/**
+ * Payout disputes: POST /sign-payout and POST /dispute/:id/sign (server on
+ * the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+const { decideDispute } = require('../lib/disputes');
+
+let guardian;
+
+test.before(async () => {
+  guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+});
+
+test.after(async () => {
+  await guardian.stop();
+});
+
+test('a payout the wallet cannot describe is refused before it becomes a dispute', async () => {
+  await openEscrow(guardian, 'undescribed');
+  const res = await guardian.call('POST', '/sign-payout', { bounty_id: 'undescribed', tx_data_hex: 'not-a-tx' }, { role: 'worker' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.reason, 'describe_failed');
+
+  const bounty = await guardian.call('GET', '/bounty/undescribed');
+  assert.equal(bounty.body.status, 'funded');
+});
+
+test('a payout above the escrow balance is refused', async () => {
+  await openEscrow(guardian, 'too-much');
+  const tx = fakeTx({ destinations: [{ address: 'worker-address', amount: '5000' }], fee: '10', amount_in: '5010' });
+  const res = await guardian.call('POST', '/sign-payout', { bounty_id: 'too-much', tx_data_hex: tx }, { role: 'worker' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.reason, 'exceeds_balance');
+});
+
+async function openDispute(bountyId, amount = '2000') {
+  await openEscrow(guardian, bountyId);
+  const tx = fakeTx({ destinations: [{ address: 'worker-address', amount }], fee: '10', amount_in: String(Number(amount) + 10) });
+  const res = await guardian.call('POST', '/sign-payout', { bounty_id: bountyId, tx_data_hex: tx }, { role: 'worker' });
+  assert.equal(res.status, 202);
+  return { dispute_id: res.body.dispute_id, tx };
+}
+
+test('an approved payout is signed by POST /dispute/:id/sign, not by polling', async () => {
+  const { dispute_id, tx } = await openDispute('approved');
+
+  const early = await guardian.call('POST', `/dispute/${dispute_id}/sign`, {}, { role: 'worker' });
+  assert.equal(early.status, 409);
+  assert.equal(early.body.reason, 'not_approved');
+
+  decideDispute(guardian.dataDir, dispute_id, 'approved', 'work delivered');
+  const poll = await guardian.call('GET', `/dispute/${dispute_id}`, undefined, { role: 'worker' });
+  assert.equal(poll.status, 200);
+  assert.equal(poll.body.status, 'approved');
+  assert.equal(poll.body.tx_data_hex, undefined);
+  assert.equal((await guardian.call('GET', '/bounty/approved')).body.status, 'disputed');
+
+  const signed = await guardian.call('POST', `/dispute/${dispute_id}/sign`, {}, { role: 'worker' });
+  assert.equal(signed.status, 200);
+  assert.equal(signed.body.tx_data_hex, tx + '00');
+  assert.equal((await guardian.call('GET', '/bounty/approved')).body.status, 'settled');
+
+  const again = await guardian.call('POST', `/dispute/${dispute_id}/sign`, {}, { role: 'worker' });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.tx_data_hex, signed.body.tx_data_hex);
+  const after = await guardian.call('GET', `/dispute/${dispute_id}`, undefined, { role: 'worker' });
+  assert.equal(after.body.tx_data_hex, signed.body.tx_data_hex);
+});
+
+test('an approved payout is not signed once it exceeds the scanned balance', async () => {
+  const { dispute_id } = await openDispute('drained');
+  decideDispute(guardian.dataDir, dispute_id, 'approved', 'work delivered');
+
+  guardian.setFunding({ balance: '1000', transfers: [{ type: 'in', txid: 'fund-drained', amount: '1000', height: 900 }] });
+  const scan = await guardian.call('GET', '/bounty/drained/funding?refresh=true');
+  assert.equal(scan.status, 200);
+
+  const res = await guardian.call('POST', `/dispute/${dispute_id}/sign`, {}, { role: 'worker' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.reason, 'exceeds_balance');
+  assert.equal(res.body.tx_data_hex, undefined);
+  assert.equal((await guardian.call('GET', '/bounty/drained')).body.status, 'disputed');
+});
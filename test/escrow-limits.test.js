@@ -0,0 +1,85 @@
+/**
+ * Pending escrow caps and request rate limits on POST /init-escrow (server
+ * on the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGuardian, SECRETS } = require('./guardian-process');
+const { signRequest } = require('../lib/auth');
+
+let guardian;
+
+test.before(async () => {
+  guardian = await startGuardian({
+    env: {
+      MAX_PENDING_ESCROWS: '3',
+      MAX_PENDING_PER_CLIENT: '2',
+      TRUST_PROXY: 'true',
+      RATE_LIMITS: 'init-escrow=0,default=0'
+    }
+  });
+});
+
+test.after(async () => {
+  await guardian.stop();
+});
+
+const from = ip => ({ headers: { 'X-Forwarded-For': ip } });
+
+test('one client cannot take every pending escrow slot', async () => {
+  for (const id of ['a1', 'a2']) {
+    const res = await guardian.call('POST', '/init-escrow', { bounty_id: id }, from('10.0.0.1'));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+
+  const refused = await guardian.call('POST', '/init-escrow', { bounty_id: 'a3' }, from('10.0.0.1'));
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.reason, 'client_pending_limit');
+  assert.equal(refused.body.limit, 2);
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+  assert.ok(refused.body.hint);
+
+  const other = await guardian.call('POST', '/init-escrow', { bounty_id: 'b1' }, from('10.0.0.2'));
+  assert.equal(other.status, 200, 'another client still gets a slot');
+});
+
+test('the global cap applies across clients', async () => {
+  const refused = await guardian.call('POST', '/init-escrow', { bounty_id: 'c1' }, from('10.0.0.3'));
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.reason, 'pending_limit');
+  assert.equal(refused.body.limit, 3);
+});
+
+test('clients over the route rate limit get 429 before authentication', async () => {
+  const limited = await startGuardian({ env: { TRUST_PROXY: 'true', RATE_LIMITS: 'init-escrow=2,default=0' } });
+  try {
+    for (const id of ['r1', 'r2']) {
+      assert.equal((await limited.call('POST', '/init-escrow', { bounty_id: id }, from('10.0.1.1'))).status, 200);
+    }
+    const refused = await limited.call('POST', '/init-escrow', { bounty_id: 'r3' }, from('10.0.1.1'));
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.reason, 'rate_limited');
+    assert.equal(refused.body.limit, 2);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+
+    // Badly signed requests are refused too, before their signature is checked
+    const body = JSON.stringify({ bounty_id: 'r4' });
+    const forged = await fetch(limited.url + '/init-escrow', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Forwarded-For': '10.0.1.1',
+        ...signRequest('server', 'wrong-' + SECRETS.server, 'POST', '/init-escrow', body)
+      },
+      body
+    });
+    assert.equal(forged.status, 429);
+
+    assert.equal((await limited.call('POST', '/init-escrow', { bounty_id: 'r5' }, from('10.0.1.2'))).status, 200);
+    const metrics = await (await fetch(limited.url + '/metrics')).text();
+    assert.match(metrics, /guardian_rate_limited_total\{route="init-escrow",reason="rate_limited"\} 2/);
+  } finally {
+    await limited.stop();
+  }
+});
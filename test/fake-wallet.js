@@ -0,0 +1,211 @@
+/**
+ * Fake SalviumWallet module for route tests
+ *
+ * Stands in for wasm/SalviumWallet.js (see guardian-process.js). Keys are
+ * hashes of the seed, key exchange messages have the real kex v2 layout so
+ * lib/kex.js accepts them, and a transaction is the hex of its JSON
+ * description, which describe_multisig_tx_hex returns as is.
+ *
+ * What a funding scan sees is read from the JSON file named by
+ * FAKE_WALLET_FUNDING: { balance, transfers }. Scans run on view-only
+ * wallets; restoring from a seed in a worker thread throws. Methods named in
+ * FAKE_WALLET_MISSING (comma-separated) are left out, as in an older build.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { isMainThread } = require('worker_threads');
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+// Made-up address prefixes, one per network
+const ADDRESS_PREFIXES = { mainnet: 0x3ef318, testnet: 0x15beb318, stagenet: 0x1dd2b318 };
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function encodeBase58(buf) {
+  let out = '';
+  for (let i = 0; i < buf.length; i += 8) {
+    const block = buf.subarray(i, i + 8);
+    let num = 0n;
+    for (const byte of block) num = num * 256n + BigInt(byte);
+    let text = '';
+    for (let k = 0; k < ENCODED_BLOCK_SIZES[block.length]; k++) {
+      text = ALPHABET[Number(num % 58n)] + text;
+      num /= 58n;
+    }
+    out += text;
+  }
+  return out;
+}
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+function address(network, seed) {
+  const body = Buffer.concat([varint(ADDRESS_PREFIXES[network]), hash('spend' + seed), hash('view' + seed)]);
+  return encodeBase58(Buffer.concat([body, hash(body).subarray(0, 4)]));
+}
+
+function reply(fields) {
+  return JSON.stringify({ success: true, ...fields });
+}
+
+function failure(error) {
+  return JSON.stringify({ success: false, error });
+}
+
+function funding() {
+  try {
+    return JSON.parse(fs.readFileSync(process.env.FAKE_WALLET_FUNDING, 'utf8'));
+  } catch (err) {
+    return { balance: '0', transfers: [] };
+  }
+}
+
+class WasmWallet {
+  create_random(network) {
+    this.seed = 'seed ' + crypto.randomBytes(16).toString('hex');
+    this.network = network;
+  }
+
+  restore_from_seed(mnemonic) {
+    if (!isMainThread) throw new Error('spend key restored in a worker thread');
+    this.seed = mnemonic;
+    this.network = this.network || 'mainnet';
+  }
+
+  get_seed(password) {
+    return password ? 'seed ' + hash(this.seed + '|' + password).toString('hex').slice(0, 32) : this.seed;
+  }
+
+  get_address() {
+    return this.multisig_address || address(this.network, this.seed);
+  }
+
+  enable_multisig_experimental() {}
+
+  prepare_multisig() {
+    const body = Buffer.concat([hash('priv' + this.seed), hash('sign' + this.seed), hash('sig1' + this.seed), hash('sig2' + this.seed)]);
+    return reply({ multisig_info: 'MultisigxV2R1' + encodeBase58(body) });
+  }
+
+  roundMessage(round) {
+    const body = Buffer.concat([
+      varint(round), varint(1),
+      hash('key' + round + this.seed + this.round1.join()),
+      hash('sign' + this.seed),
+      hash('sig1' + round + this.seed), hash('sig2' + this.seed)
+    ]);
+    return 'MultisigxV2Rn' + encodeBase58(body);
+  }
+
+  make_multisig(password, threshold, json) {
+    const messages = JSON.parse(json);
+    if (new Set(messages).size !== messages.length) return failure('duplicate messages');
+    this.round1 = messages.slice().sort();
+    this.rounds_needed = messages.length - threshold + 1;
+    this.rounds_done = 1;
+    return reply({ multisig_info: this.roundMessage(2) });
+  }
+
+  exchange_multisig_keys(password, json) {
+    const messages = JSON.parse(json);
+    if (!this.round1 || messages.length !== this.round1.length) return failure('wrong number of messages');
+    this.rounds_done++;
+    if (this.rounds_done < this.rounds_needed) {
+      return reply({ multisig_info: this.roundMessage(this.rounds_done + 1), is_ready: false });
+    }
+    this.multisig_address = address(this.network, 'multisig' + this.round1.join());
+    return reply({ address: this.multisig_address, is_ready: true });
+  }
+
+  export_multisig_info() {
+    return reply({ info: 'info' + hash(this.seed + Date.now()).toString('hex').slice(0, 16) });
+  }
+
+  import_multisig_info(json) {
+    const infos = JSON.parse(json);
+    if (infos.includes('bad')) return failure('invalid multisig info');
+    return reply({ n_outputs: infos.length });
+  }
+
+  describe_multisig_tx_hex(hex) {
+    try {
+      return reply(JSON.parse(Buffer.from(hex, 'hex').toString()));
+    } catch (err) {
+      return failure('cannot parse transaction');
+    }
+  }
+
+  sign_multisig_tx_hex(hex) {
+    return reply({ tx_data_hex: hex + '00', signers: 2, ready: true });
+  }
+
+  get_secret_view_key() {
+    return reply({ secret_view_key: hash('view' + (this.round1 ? this.round1.join() : this.seed)).toString('hex') });
+  }
+
+  restore_view_only(address, secretViewKey, network, restoreHeight) {
+    if (!/^[0-9a-f]{64}$/.test(secretViewKey) || !Number.isInteger(restoreHeight)) return failure('bad view key or height');
+    this.multisig_address = address;
+    this.network = network;
+    return reply({});
+  }
+
+  export_key_images() {
+    return reply({ key_images: 'key-images-' + hash(this.seed).toString('hex').slice(0, 16) });
+  }
+
+  import_key_images(keyImages) {
+    return reply({ spent: 0, unspent: 0 });
+  }
+
+  set_daemon_address(url) {
+    this.daemon = url;
+    return reply({});
+  }
+
+  refresh() {
+    return reply({});
+  }
+
+  get_balance() {
+    return reply({ balance: funding().balance });
+  }
+
+  get_unlocked_balance() {
+    return reply({ unlocked_balance: funding().balance });
+  }
+
+  get_transfers() {
+    return reply({ transfers: funding().transfers });
+  }
+
+  delete() {}
+}
+
+/**
+ * Hex of a transaction the fake wallet describes as `description`
+ */
+function fakeTx(description) {
+  return Buffer.from(JSON.stringify(description)).toString('hex');
+}
+
+for (const method of (process.env.FAKE_WALLET_MISSING || '').split(',').filter(Boolean)) {
+  delete WasmWallet.prototype[method];
+}
+
+module.exports = async () => ({ WasmWallet });
+module.exports.WasmWallet = WasmWallet;
+module.exports.fakeTx = fakeTx;
+module.exports.address = address;
@@ -0,0 +1,67 @@
+/**
+ * POST /finalize-escrow: participant addresses and the network check
+ * (server on the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { WasmWallet } = require('./fake-wallet');
+
+let guardian;
+
+test.before(async () => {
+  guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+});
+
+test.after(async () => {
+  await guardian.stop();
+});
+
+async function finalizeWith(bountyId, networks, fields = {}) {
+  const init = await guardian.call('POST', '/init-escrow', { bounty_id: bountyId });
+  assert.equal(init.status, 200);
+  const peers = networks.map(network => {
+    const wallet = new WasmWallet();
+    wallet.create_random(network);
+    return wallet;
+  });
+  const round1 = peers.map(w => JSON.parse(w.prepare_multisig()).multisig_info);
+  const all = JSON.stringify([init.body.guardian_round1, ...round1]);
+  const round2 = peers.map(w => JSON.parse(w.make_multisig('', 2, all)).multisig_info);
+  return guardian.call('POST', '/finalize-escrow', {
+    bounty_id: bountyId,
+    deadline_block: 5000,
+    refund_address: 'refund-address',
+    server_address: peers[0].get_address(),
+    worker_address: peers[1].get_address(),
+    server_round1: round1[0],
+    server_round2: round2[0],
+    worker_round1: round1[1],
+    worker_round2: round2[1],
+    ...fields
+  });
+}
+
+test('a participant wallet on another network is refused by field', async () => {
+  const res = await finalizeWith('other-network', ['mainnet', 'testnet']);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.reason, 'wrong_network');
+  assert.equal(res.body.field, 'worker_address');
+  assert.equal(res.body.network, 'mainnet');
+});
+
+test('participant addresses are required and must parse', async () => {
+  const missing = await finalizeWith('no-address', ['mainnet', 'mainnet'], { server_address: undefined });
+  assert.equal(missing.status, 400);
+  assert.deepEqual([missing.body.field, missing.body.reason], ['server_address', 'missing_address']);
+
+  const bad = await finalizeWith('bad-address', ['mainnet', 'mainnet'], { worker_address: 'SaLv-not-an-address' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual([bad.body.field, bad.body.reason], ['worker_address', 'bad_address']);
+});
+
+test('wallets on the Guardian network finalize', async () => {
+  const finalized = await openEscrow(guardian, 'same-network', { funded: false });
+  assert.ok(finalized.multisig_address);
+});
@@ -0,0 +1,76 @@
+/**
+ * Funding scans: the view-only state sent to the scan worker and a WASM
+ * build that cannot scan (server on the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { missingScanMethods, detectsSpends, viewOnlyState } = require('../lib/funding');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { WasmWallet, fakeTx } = require('./fake-wallet');
+
+test('the scan worker gets the address and view key, never the seed', () => {
+  const wallet = new WasmWallet();
+  wallet.create_random('mainnet');
+  const info = {
+    wallet_mnemonic: wallet.get_seed(),
+    multisig_address: 'escrow-address',
+    deadline_policy: { finalize_height: 950 }
+  };
+
+  const state = viewOnlyState(wallet, info, { network: 'mainnet' });
+  assert.deepEqual(Object.keys(state).sort(), ['address', 'key_images', 'network', 'restore_height', 'secret_view_key']);
+  assert.equal(state.address, 'escrow-address');
+  assert.equal(state.restore_height, 950);
+  assert.match(state.secret_view_key, /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(state).includes(info.wallet_mnemonic));
+});
+
+test('escrows finalized before deadline policies are scanned from the start', () => {
+  const wallet = new WasmWallet();
+  wallet.create_random('mainnet');
+  assert.equal(viewOnlyState(wallet, { multisig_address: 'a' }, { network: 'mainnet' }).restore_height, 0);
+});
+
+test('scan and key image methods are detected on the wallet class', () => {
+  class Partial {
+    get_secret_view_key() {}
+    refresh() {}
+    export_key_images() {}
+  }
+  assert.deepEqual(missingScanMethods(Partial),
+    ['restore_view_only', 'set_daemon_address', 'get_balance', 'get_unlocked_balance', 'get_transfers']);
+  assert.equal(detectsSpends(Partial), false);
+  assert.deepEqual(missingScanMethods(WasmWallet), []);
+  assert.equal(detectsSpends(WasmWallet), true);
+});
+
+test('a WASM build without scan methods reports funding as unsupported', async () => {
+  const guardian = await startGuardian({
+    env: { RATE_LIMITS: 'init-escrow=0,default=0', FAKE_WALLET_MISSING: 'get_transfers' }
+  });
+  try {
+    assert.match(guardian.output(), /funding scans unsupported, WASM lacks get_transfers/);
+
+    const health = await guardian.call('GET', '/health');
+    assert.deepEqual(health.body.fundingScan, { supported: false, missing: ['get_transfers'], detects_spends: true });
+
+    await openEscrow(guardian, 'unscanned', { funded: false });
+    const scan = await guardian.call('GET', '/bounty/unscanned/funding?refresh=true');
+    assert.equal(scan.status, 501);
+    assert.equal(scan.body.reason, 'funding_unsupported');
+    assert.deepEqual(scan.body.missing, ['get_transfers']);
+    assert.equal((await guardian.call('GET', '/bounty/unscanned/funding')).body.scan_supported, false);
+
+    await guardian.call('POST', '/bounty/unscanned/status', { status: 'funded' });
+    await guardian.call('POST', '/sync-outputs', { bounty_id: 'unscanned', other_multisig_info: ['info-server', 'info-worker'] });
+    guardian.daemon.state.height = 6000;
+    const tx = fakeTx({ destinations: [{ address: 'refund-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+    const refund = await guardian.call('POST', '/sign-refund', { bounty_id: 'unscanned', tx_data_hex: tx });
+    assert.equal(refund.status, 403);
+    assert.equal(refund.body.reason, 'unknown_balance');
+    assert.match(refund.body.hint, /cli\.js sign-refund unscanned <tx_data_hex> --balance <atomic>/);
+  } finally {
+    await guardian.stop();
+  }
+});
@@ -0,0 +1,160 @@
+/**
+ * Run server.js on the fake wallet for route tests
+ *
+ * startGuardian() starts a Guardian in a child process with a fresh
+ * DATA_DIR and a mock daemon, waits until it listens and returns
+ * { url, dataDir, daemon, call, cli, setFunding, stop }.
+ * call(method, path, body, { role, headers }) signs the request with the
+ * role's test secret (default server) and resolves to
+ * { status, body, headers }. setFunding() sets what funding scans see.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { signRequest } = require('../lib/auth');
+const { startMockDaemon } = require('./mock-daemon');
+const { WasmWallet } = require('./fake-wallet');
+
+const ROOT = path.join(__dirname, '..');
+const PRELOAD = path.join(__dirname, 'use-fake-wallet.js');
+const SECRETS = { server: 'test-server-secret', worker: 'test-worker-secret' };
+const START_TIMEOUT = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startGuardian({ env = {}, height = 1000 } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-route-'));
+  const daemon = await startMockDaemon({ port: 0, height });
+  const port = await freePort();
+  const fundingFile = path.join(dataDir, 'fake-funding.json');
+
+  const childEnv = {
+    ...process.env,
+    PORT: String(port),
+    DATA_DIR: dataDir,
+    WALLET_PASSWORD: 'test-password',
+    SERVER_API_SECRET: SECRETS.server,
+    WORKER_API_SECRET: SECRETS.worker,
+    DAEMON_RPC_URLS: `http://127.0.0.1:${daemon.server.address().port}`,
+    FAKE_WALLET_FUNDING: fundingFile,
+    FUNDING_SCAN_INTERVAL: '0',
+    SYNC_INTERVAL: '0',
+    DEADLINE_CHECK_INTERVAL: '0',
+    ...env
+  };
+  const child = spawn(process.execPath, ['-r', PRELOAD, 'server.js'], { cwd: ROOT, env: childEnv });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Guardian did not start:\n' + output)), START_TIMEOUT);
+    const check = () => {
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', check);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Guardian exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+
+  async function call(method, urlPath, body, { role = 'server', headers: extra = {} } = {}) {
+    const text = body === undefined ? '' : JSON.stringify(body);
+    const headers = {
+      'content-type': 'application/json',
+      ...extra,
+      ...signRequest(role, SECRETS[role], method, urlPath, text)
+    };
+    const response = await fetch(url + urlPath, { method, headers, body: body === undefined ? undefined : text });
+    return { status: response.status, body: await response.json().catch(() => null), headers: response.headers };
+  }
+
+  function cli(args) {
+    return execFileSync(process.execPath, ['-r', PRELOAD, 'cli.js', ...args], {
+      cwd: ROOT,
+      env: childEnv,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+  }
+
+  function setFunding(funding) {
+    fs.writeFileSync(fundingFile, JSON.stringify(funding));
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    await new Promise(resolve => daemon.server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { url, dataDir, daemon, call, cli, setFunding, stop, output: () => output };
+}
+
+/**
+ * Form a 2-of-3 escrow with two fake peer wallets
+ *
+ * With `funded`, the escrow is reported funded, synced and scanned with
+ * `balance` (atomic units) received at height 900. Returns the finalize
+ * response body.
+ */
+async function openEscrow(guardian, bountyId, { funded = true, balance = '2010', deadline = 5000, network = 'mainnet' } = {}) {
+  const init = await guardian.call('POST', '/init-escrow', { bounty_id: bountyId });
+  if (init.status !== 200) throw new Error(`init-escrow ${init.status}: ${JSON.stringify(init.body)}`);
+
+  const peers = ['server', 'worker'].map(() => {
+    const wallet = new WasmWallet();
+    wallet.create_random(network);
+    return wallet;
+  });
+  const round1 = peers.map(w => JSON.parse(w.prepare_multisig()).multisig_info);
+  const all = JSON.stringify([init.body.guardian_round1, ...round1]);
+  const round2 = peers.map(w => JSON.parse(w.make_multisig('', 2, all)).multisig_info);
+
+  const finalize = await guardian.call('POST', '/finalize-escrow', {
+    bounty_id: bountyId,
+    deadline_block: deadline,
+    refund_address: 'refund-address',
+    server_address: peers[0].get_address(),
+    worker_address: peers[1].get_address(),
+    server_round1: round1[0],
+    server_round2: round2[0],
+    worker_round1: round1[1],
+    worker_round2: round2[1]
+  });
+  if (finalize.status !== 200) throw new Error(`finalize-escrow ${finalize.status}: ${JSON.stringify(finalize.body)}`);
+
+  if (funded) {
+    guardian.setFunding({ balance, transfers: [{ type: 'in', txid: 'fund-' + bountyId, amount: balance, height: 900 }] });
+    await guardian.call('POST', `/bounty/${bountyId}/status`, { status: 'funded' });
+    await guardian.call('POST', '/sync-outputs', { bounty_id: bountyId, other_multisig_info: ['info-server', 'info-worker'] });
+    const scan = await guardian.call('GET', `/bounty/${bountyId}/funding?refresh=true`);
+    if (scan.status !== 200) throw new Error(`funding scan ${scan.status}: ${JSON.stringify(scan.body)}`);
+  }
+  return finalize.body;
+}
+
+module.exports = { SECRETS, startGuardian, openEscrow };
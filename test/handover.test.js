@@ -0,0 +1,152 @@
+/**
+ * Handover to a successor Guardian: lib/handover.js and the /handover
+ * routes (server on the fake wallet, successor stubbed by its /health)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const handover = require('../lib/handover');
+const { decideDispute } = require('../lib/disputes');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+
+function sweepTo(address, amount = '2000') {
+  return fakeTx({ destinations: [{ address, amount }], fee: '10', amount_in: '2010' });
+}
+
+test('successor URLs are normalized and a handover has one successor', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-handover-'));
+  try {
+    assert.equal(handover.normalizeUrl(' https://next.example/ '), 'https://next.example');
+    assert.throws(() => handover.normalizeUrl('ftp://next.example'), /must be http or https/);
+    assert.throws(() => handover.normalizeUrl('next'), /Invalid successor URL/);
+
+    assert.equal(handover.loadHandover(dataDir), null);
+    const started = handover.startHandover(dataDir, 'https://next.example/', 'moving hosts');
+    assert.equal(started.successor_url, 'https://next.example');
+    assert.equal(handover.startHandover(dataDir, 'https://next.example').started_at, started.started_at);
+    assert.throws(() => handover.startHandover(dataDir, 'https://other.example'), /already in progress/);
+
+    assert.equal(handover.cancelHandover(dataDir).successor_url, 'https://next.example');
+    assert.equal(handover.loadHandover(dataDir), null);
+    assert.equal(handover.cancelHandover(dataDir), null);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('a signed sweep is seen once a later scan finds the escrow spent', () => {
+  const info = {
+    status: 'funded',
+    handover: { status: handover.STATUS.SIGNED, signed_at: '2026-01-01T00:00:00.000Z' },
+    funding: { scanned_at: '2025-12-31T00:00:00.000Z', balance: '0', incoming: [{ txid: 'fund' }] }
+  };
+  assert.equal(handover.sweepPending(info), true);
+  assert.equal(handover.sweepSeen(info), false);
+
+  info.funding.scanned_at = '2026-01-02T00:00:00.000Z';
+  assert.equal(handover.sweepSeen(info), true);
+  assert.equal(handover.sweepSeen({ ...info, funding: { ...info.funding, balance: '5' } }), false);
+  assert.equal(handover.sweepPending({ ...info, handover: { status: handover.STATUS.CONFIRMED } }), false);
+});
+
+test('progress lists open and handed over bounties and flags disputes', () => {
+  const progress = handover.handoverProgress({
+    open: { status: 'funded' },
+    moved: { status: 'handed_over' },
+    disputed: { status: 'disputed', dispute_id: 'd1' },
+    done: { status: 'settled' }
+  });
+  assert.deepEqual([progress.total, progress.handed_over, progress.blocked], [3, 1, 1]);
+  const disputed = progress.bounties.find(r => r.bounty_id === 'disputed');
+  assert.deepEqual([disputed.blocked, disputed.dispute_id], ['dispute_pending', 'd1']);
+});
+
+test('open escrows move to the successor through request, confirm and sweep', async () => {
+  const successor = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ initialized: true }));
+  });
+  await new Promise(resolve => successor.listen(0, '127.0.0.1', resolve));
+  const successorUrl = `http://127.0.0.1:${successor.address().port}`;
+  const guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+
+  try {
+    const request = (id, address = 'new-' + id) =>
+      guardian.call('POST', `/handover/${id}`, { successor_url: successorUrl, new_multisig_address: address });
+    const confirm = (id, address = 'new-' + id) =>
+      guardian.call('POST', `/handover/${id}/confirm`, { new_multisig_address: address }, { role: 'worker' });
+
+    await openEscrow(guardian, 'unfunded', { funded: false });
+    await openEscrow(guardian, 'disputed');
+    await openEscrow(guardian, 'funded');
+
+    assert.equal((await request('funded')).body.reason, 'handover_not_started');
+    guardian.cli(['handover', 'start', successorUrl]);
+    const init = await guardian.call('POST', '/init-escrow', { bounty_id: 'late' });
+    assert.equal(init.status, 503);
+    assert.equal(init.body.reason, 'retiring');
+
+    // Unfunded: nothing to sweep, handed over on confirmation
+    assert.equal((await request('unfunded')).status, 200);
+    const unfunded = await confirm('unfunded');
+    assert.equal(unfunded.status, 200);
+    assert.equal(unfunded.body.status, 'handed_over');
+
+    // Disputed: blocked until the operator decides
+    const opened = await guardian.call('POST', '/sign-payout', { bounty_id: 'disputed', tx_data_hex: sweepTo('worker-address') }, { role: 'worker' });
+    assert.equal(opened.status, 202);
+    const blocked = await request('disputed');
+    assert.equal(blocked.status, 409);
+    assert.deepEqual([blocked.body.reason, blocked.body.dispute_id], ['dispute_pending', opened.body.dispute_id]);
+    decideDispute(guardian.dataDir, opened.body.dispute_id, 'rejected', 'not delivered');
+    assert.equal((await request('disputed')).status, 200);
+
+    // Funded: confirmed by the worker, then a full sweep to the new escrow
+    assert.equal((await guardian.call('POST', '/handover/funded/sign', { tx_data_hex: sweepTo('new-funded') })).body.reason, 'not_confirmed');
+    assert.equal((await request('funded')).status, 200);
+    assert.equal((await confirm('funded', 'elsewhere')).body.reason, 'address_mismatch');
+    const confirmed = await confirm('funded');
+    assert.equal(confirmed.body.status, 'funded');
+
+    const early = await guardian.call('POST', '/bounty/funded/status', { status: 'handed_over' });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.reason, 'sweep_not_signed');
+
+    const wrong = await guardian.call('POST', '/handover/funded/sign', { tx_data_hex: sweepTo('elsewhere') });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.reason, 'destination_mismatch');
+    const short = await guardian.call('POST', '/handover/funded/sign', { tx_data_hex: sweepTo('new-funded', '1500') });
+    assert.equal(short.body.reason, 'amount_mismatch');
+
+    const signed = await guardian.call('POST', '/handover/funded/sign', { tx_data_hex: sweepTo('new-funded') });
+    assert.equal(signed.status, 200);
+    assert.equal(signed.body.ready, true);
+
+    // The escrow is promised to the successor now
+    const payout = await guardian.call('POST', '/sign-payout', { bounty_id: 'funded', tx_data_hex: sweepTo('worker-address') }, { role: 'worker' });
+    assert.equal(payout.status, 409);
+    assert.equal(payout.body.reason, 'handover_signed');
+
+    const progress = await guardian.call('GET', '/handover');
+    assert.equal(progress.body.handover.successor_url, successorUrl);
+    assert.equal(progress.body.sweeps_pending, 1);
+
+    guardian.setFunding({
+      balance: '0',
+      transfers: [
+        { type: 'in', txid: 'fund-funded', amount: '2010', height: 900 },
+        { type: 'out', txid: 'sweep-funded', amount: '2010', height: 1001 }
+      ]
+    });
+    assert.equal((await guardian.call('GET', '/bounty/funded/funding?refresh=true')).status, 200);
+    assert.equal((await guardian.call('GET', '/bounty/funded')).body.status, 'handed_over');
+  } finally {
+    await guardian.stop();
+    await new Promise(resolve => successor.close(resolve));
+  }
+});
@@ -0,0 +1,65 @@
+/**
+ * POST /init-escrow: the pending escrow and its audit entry (server on the
+ * fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const audit = require('../lib/audit');
+const { startGuardian } = require('./guardian-process');
+
+let guardian;
+
+test.before(async () => {
+  guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+});
+
+test.after(async () => {
+  await guardian.stop();
+});
+
+/**
+ * Run fn with the audit log replaced by a directory, so appends fail
+ */
+async function withBrokenAuditLog(fn) {
+  const log = path.join(guardian.dataDir, audit.AUDIT_FILE);
+  const existed = fs.existsSync(log);
+  if (existed) fs.renameSync(log, log + '.aside');
+  fs.mkdirSync(log);
+  try {
+    await fn();
+  } finally {
+    fs.rmdirSync(log);
+    if (existed) fs.renameSync(log + '.aside', log);
+  }
+}
+
+test('no pending escrow is kept when its audit entry cannot be written', async () => {
+  await withBrokenAuditLog(async () => {
+    const failed = await guardian.call('POST', '/init-escrow', { bounty_id: 'unaudited' });
+    assert.equal(failed.status, 500);
+    assert.equal((await guardian.call('GET', '/bounties')).body.pending, 0);
+  });
+
+  const retried = await guardian.call('POST', '/init-escrow', { bounty_id: 'unaudited' });
+  assert.equal(retried.status, 200);
+  const entries = audit.readEntries(guardian.dataDir).filter(e => e.bounty_id === 'unaudited');
+  assert.deepEqual(entries.map(e => e.event), ['escrow.init']);
+  assert.ok(audit.verify(guardian.dataDir).ok);
+});
+
+test('a forced re-init keeps the pending escrow when the discard cannot be audited', async () => {
+  const first = await guardian.call('POST', '/init-escrow', { bounty_id: 'forced' });
+  assert.equal(first.status, 200);
+
+  await withBrokenAuditLog(async () => {
+    const failed = await guardian.call('POST', '/init-escrow', { bounty_id: 'forced', force: true });
+    assert.equal(failed.status, 500);
+  });
+
+  const pending = await guardian.call('POST', '/init-escrow', { bounty_id: 'forced' });
+  assert.equal(pending.status, 409);
+  assert.equal(pending.body.reason, 'already_pending');
+});
@@ -6,12 +6,19 @@
  * 2. All parties exchange round1, do make_multisig
  * 3. POST /finalize-escrow → Guardian returns round2 + address
  * 4. All parties verify same address
+ *
+ * Requests are signed with SERVER_API_SECRET (same value as the Guardian's).
+ * Step 11 needs the Guardian pointed at a daemon below block 1000000, e.g.
+ * `node test/mock-daemon.js 18081 100` with DAEMON_RPC_URLS=http://localhost:18081.
  */
 
 const http = require('http');
 const https = require('https');
+const { signRequest } = require('../lib/auth');
 
 const GUARDIAN_URL = process.env.GUARDIAN_URL || 'http://localhost:3012';
+const SERVER_API_SECRET = process.env.SERVER_API_SECRET || '';
+const REFUND_ADDRESS = process.env.REFUND_ADDRESS || 'SaLvTestRefundAddress';
 
 let wasmModule = null;
 
@@ -22,10 +29,16 @@ async function loadWasm() {
   console.log('[Test] WASM loaded\n');
 }
 
+function authHeaders(method, url, body) {
+  if (!SERVER_API_SECRET) return {};
+  const { pathname, search } = new URL(url);
+  return signRequest('server', SERVER_API_SECRET, method, pathname + search, body);
+}
+
 function httpGet(url) {
   return new Promise((resolve, reject) => {
     const client = url.startsWith('https') ? https : http;
-    client.get(url, (res) => {
+    client.get(url, { headers: authHeaders('GET', url) }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
@@ -40,10 +53,11 @@ function httpGet(url) {
 }
 
 async function httpPost(url, body) {
+  const payload = JSON.stringify(body);
   const response = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+    headers: { 'Content-Type': 'application/json', ...authHeaders('POST', url, payload) },
+    body: payload
   });
   const text = await response.text();
   try {
@@ -70,6 +84,16 @@ async function main() {
   if (health.status !== 'ok') throw new Error('Guardian not healthy');
   console.log('  ✓ Guardian healthy\n');
 
+  // ========================================
+  // STEP 1b: Unsigned requests are rejected
+  // ========================================
+  if (SERVER_API_SECRET) {
+    console.log('[Step 1b] Unsigned request...');
+    const unsigned = await fetch(`${GUARDIAN_URL}/bounties`);
+    if (unsigned.status !== 401) throw new Error('Unsigned request not rejected: ' + unsigned.status);
+    console.log('  ✓ Rejected with 401\n');
+  }
+
   // ========================================
   // STEP 2: Init escrow - get Guardian's round1
   // ========================================
@@ -88,6 +112,8 @@ async function main() {
   console.log('[Step 3] Server: prepare + make_multisig...');
   const serverWallet = new wasmModule.WasmWallet();
   serverWallet.create_random('mainnet', 'English');
+  // Sent at finalize so the Guardian can check the network
+  const server_address = serverWallet.get_address();
   serverWallet.enable_multisig_experimental();
 
   const serverPrep = JSON.parse(serverWallet.prepare_multisig());
@@ -101,6 +127,7 @@ async function main() {
   console.log('[Step 4] Worker: prepare + make_multisig...');
   const workerWallet = new wasmModule.WasmWallet();
   workerWallet.create_random('mainnet', 'English');
+  const worker_address = workerWallet.get_address();
   workerWallet.enable_multisig_experimental();
 
   const workerPrep = JSON.parse(workerWallet.prepare_multisig());
@@ -130,7 +157,10 @@ async function main() {
   console.log('[Step 6] POST /finalize-escrow...');
   const finalResult = await httpPost(`${GUARDIAN_URL}/finalize-escrow`, {
     bounty_id: bountyId,
-    deadline_block: 1000000,
+    deadline_block: 100000,
+    refund_address: REFUND_ADDRESS,
+    server_address,
+    worker_address,
     server_round1,
     server_round2,
     worker_round1,
@@ -191,8 +221,7 @@ async function main() {
   console.log('[Step 11] Test refund before deadline...');
   const refundResult = await httpPost(`${GUARDIAN_URL}/sign-refund`, {
     bounty_id: bountyId,
-    current_block: 100,
-    tx_data: 'test'
+    tx_data_hex: 'test'
   });
   if (refundResult.error?.includes('Deadline not reached')) {
     console.log('  ✓ Correctly rejected (deadline not reached)');
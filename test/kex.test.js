@@ -0,0 +1,164 @@
+/**
+ * lib/kex.js: round message parsing, schemes and finalize message checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  DEFAULT_SCHEME,
+  KexMessageError,
+  decodeBase58,
+  parseKexMessage,
+  fingerprint,
+  groupFingerprint,
+  parseScheme,
+  checkRoundMessages,
+  addressPrefix,
+  checkAddresses
+} = require('../lib/kex');
+const { address } = require('./fake-wallet');
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+// Monero-style base58: 8-byte blocks, each encoded to a fixed length
+function encodeBase58(buf) {
+  let out = '';
+  for (let i = 0; i < buf.length; i += 8) {
+    const block = buf.subarray(i, i + 8);
+    let num = 0n;
+    for (const byte of block) num = num * 256n + BigInt(byte);
+    let text = '';
+    for (let k = 0; k < ENCODED_BLOCK_SIZES[block.length]; k++) {
+      text = ALPHABET[Number(num % 58n)] + text;
+      num /= 58n;
+    }
+    out += text;
+  }
+  return out;
+}
+
+const key = label => crypto.createHash('sha256').update(label).digest();
+const signature = label => Buffer.concat([key(`sig1 ${label}`), key(`sig2 ${label}`)]);
+
+function round1(signer) {
+  return 'MultisigxV2R1' + encodeBase58(Buffer.concat([key(`priv ${signer}`), key(signer), signature(signer)]));
+}
+
+function roundN(signer, round, keys = 2) {
+  const pubkeys = Array.from({ length: keys }, (_, i) => key(`pub ${signer} ${round} ${i}`));
+  return 'MultisigxV2Rn' + encodeBase58(Buffer.concat([
+    Buffer.from([round, keys]), ...pubkeys, key(signer), signature(`${signer} ${round}`)
+  ]));
+}
+
+function kexError(reason) {
+  return err => err instanceof KexMessageError && err.reason === reason;
+}
+
+test('base58 decoding inverts block encoding', () => {
+  const bytes = crypto.randomBytes(77);
+  assert.deepEqual(decodeBase58(encodeBase58(bytes)), bytes);
+  assert.throws(() => decodeBase58('0OIl'), kexError('not_base58'));
+  assert.throws(() => decodeBase58('1'), kexError('not_base58'));
+});
+
+test('round 1 and later-round messages yield the signing key', () => {
+  assert.deepEqual(parseKexMessage(round1('alice'), 1), { round: 1, signing_pubkey: key('alice').toString('hex') });
+  assert.deepEqual(parseKexMessage(roundN('alice', 2), 2), { round: 2, signing_pubkey: key('alice').toString('hex') });
+  assert.equal(parseKexMessage(roundN('alice', 3, 4), 3).signing_pubkey, key('alice').toString('hex'));
+});
+
+test('malformed messages are rejected with a reason', () => {
+  assert.throws(() => parseKexMessage('', 1), kexError('wrong_type'));
+  assert.throws(() => parseKexMessage(42, 1), kexError('wrong_type'));
+  assert.throws(() => parseKexMessage('hello', 1), kexError('bad_prefix'));
+  assert.throws(() => parseKexMessage(roundN('alice', 2), 1), kexError('bad_prefix'));
+  assert.throws(() => parseKexMessage(round1('alice'), 2), kexError('bad_prefix'));
+  assert.throws(() => parseKexMessage(roundN('alice', 3), 2), kexError('wrong_round'));
+  assert.throws(() => parseKexMessage(round1('alice').slice(0, -11), 1), kexError('malformed'));
+  assert.throws(() => parseKexMessage(roundN('alice', 2, 0), 2), kexError('malformed'));
+});
+
+test('fingerprints are short and the group one ignores order', () => {
+  const a = key('a').toString('hex');
+  const b = key('b').toString('hex');
+  assert.match(fingerprint(a), /^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/);
+  assert.notEqual(fingerprint(a), fingerprint(b));
+  assert.equal(groupFingerprint([a, b]), groupFingerprint([b, a]));
+});
+
+test('parseScheme defaults to 2-of-3 and validates custom schemes', () => {
+  assert.deepEqual(parseScheme(), { ok: true, scheme: { threshold: 2, participants: ['server', 'worker'] } });
+  assert.deepEqual(parseScheme({ threshold: 3, participants: ['a', 'b', 'c'] }),
+    { ok: true, scheme: { threshold: 3, participants: ['a', 'b', 'c'] } });
+  assert.equal(DEFAULT_SCHEME.threshold, 2);
+
+  for (const bad of [
+    { participants: [] },
+    { participants: ['Server'] },
+    { participants: ['guardian'] },
+    { participants: ['a', 'a'] },
+    { threshold: 1 },
+    { threshold: 4 },
+    { participants: Array.from({ length: 16 }, (_, i) => `p${i}`) }
+  ]) {
+    assert.equal(parseScheme(bad).ok, false, JSON.stringify(bad));
+  }
+});
+
+test('checkRoundMessages accepts distinct signers and names the group', () => {
+  const result = checkRoundMessages([round1('guardian')], {
+    server: [round1('server'), roundN('server', 2)],
+    worker: [round1('worker'), roundN('worker', 2)]
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(Object.keys(result.participants), ['guardian', 'server', 'worker']);
+  assert.equal(result.participants.server.fingerprint, fingerprint(key('server').toString('hex')));
+});
+
+test('checkRoundMessages names the field at fault', () => {
+  const guardian = [round1('guardian')];
+  const check = peers => {
+    const { ok, field, reason } = checkRoundMessages(guardian, peers);
+    return { ok, field, reason };
+  };
+
+  assert.deepEqual(check({ server: [round1('guardian')], worker: [round1('worker')] }),
+    { ok: false, field: 'server_round1', reason: 'guardian_echo' });
+  assert.deepEqual(check({ server: [round1('server')], worker: [round1('server')] }),
+    { ok: false, field: 'worker_round1', reason: 'duplicate' });
+  assert.deepEqual(check({ server: [round1('server'), roundN('worker', 2)], worker: [round1('worker')] }),
+    { ok: false, field: 'server_round2', reason: 'signer_mismatch' });
+  assert.deepEqual(check({ server: [round1('server'), 'junk'], worker: [round1('worker')] }),
+    { ok: false, field: 'server_round2', reason: 'bad_prefix' });
+});
+
+test('addresses yield their network prefix', () => {
+  assert.equal(addressPrefix(address('mainnet', 'a')), 0x3ef318);
+  assert.equal(addressPrefix(address('testnet', 'a')), 0x15beb318);
+  assert.throws(() => addressPrefix(''), kexError('bad_address'));
+  assert.throws(() => addressPrefix('SaLv0OIl'), kexError('bad_address'));
+  // An integrated address carries 8 more bytes
+  assert.throws(() => addressPrefix(address('mainnet', 'a') + '11111111111'), kexError('bad_address'));
+});
+
+test('checkAddresses names the participant on another network', () => {
+  const guardian = address('mainnet', 'guardian');
+  assert.deepEqual(checkAddresses(guardian, {
+    server_address: address('mainnet', 'server'),
+    worker_address: address('mainnet', 'worker')
+  }), { ok: true });
+
+  const wrong = checkAddresses(guardian, {
+    server_address: address('mainnet', 'server'),
+    worker_address: address('stagenet', 'worker')
+  });
+  assert.equal(wrong.field, 'worker_address');
+  assert.equal(wrong.reason, 'wrong_network');
+
+  const bad = checkAddresses(guardian, { 'addresses.arbiter': 42 });
+  assert.deepEqual([bad.field, bad.reason], ['addresses.arbiter', 'bad_address']);
+  assert.throws(() => checkAddresses('junk', {}), kexError('bad_address'));
+});
@@ -0,0 +1,79 @@
+/**
+ * Bounty lifecycle: lib/lifecycle.js transitions and the status gates on
+ * the routes (server on the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const lifecycle = require('../lib/lifecycle');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+
+const { STATUS } = lifecycle;
+
+test('transitions follow the lifecycle and are recorded in history', () => {
+  const info = { is_ready: true };
+  assert.equal(lifecycle.statusOf(info), STATUS.READY);
+  assert.equal(lifecycle.statusOf({}), STATUS.PENDING);
+
+  lifecycle.transition(info, STATUS.FUNDED, 'reported');
+  lifecycle.transition(info, STATUS.DISPUTED);
+  lifecycle.transition(info, STATUS.FUNDED, 'dispute rejected');
+  lifecycle.transition(info, STATUS.SETTLED);
+  assert.deepEqual(info.history.map(h => [h.from, h.to]), [
+    ['ready', 'funded'], ['funded', 'disputed'], ['disputed', 'funded'], ['funded', 'settled']
+  ]);
+  assert.equal(info.history[0].reason, 'reported');
+  assert.equal(lifecycle.isClosed(info), true);
+
+  assert.throws(() => lifecycle.transition(info, STATUS.FUNDED), err =>
+    err instanceof lifecycle.LifecycleError && err.status === STATUS.SETTLED &&
+    JSON.stringify(err.allowed) === JSON.stringify([STATUS.ARCHIVED]));
+  assert.throws(() => lifecycle.transition({ status: STATUS.ARCHIVED }, STATUS.READY), /Cannot move bounty from archived/);
+});
+
+test('a refund is pending only while the bounty is funded', () => {
+  const refund = { status: 'signed', signed_at: '2026-01-01T00:00:00.000Z' };
+  assert.equal(lifecycle.refundPending({ status: STATUS.FUNDED, refund }), true);
+  assert.equal(lifecycle.refundPending({ status: STATUS.REFUNDED, refund }), false);
+  assert.equal(lifecycle.refundPending({ status: STATUS.FUNDED }), false);
+});
+
+test('routes only act on bounties in the right status', async () => {
+  const guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+  try {
+    await openEscrow(guardian, 'ready', { funded: false });
+    assert.equal((await guardian.call('GET', '/bounty/ready')).body.status, 'ready');
+
+    const refund = fakeTx({ destinations: [{ address: 'refund-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+    const early = await guardian.call('POST', '/sign-refund', { bounty_id: 'ready', tx_data_hex: refund });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.status, 'ready');
+
+    const unknown = await guardian.call('POST', '/bounty/ready/status', { status: 'disputed' });
+    assert.equal(unknown.status, 400);
+
+    const skipped = await guardian.call('POST', '/bounty/ready/status', { status: 'settled' });
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body.allowed, ['funded', 'handed_over', 'archived']);
+
+    await openEscrow(guardian, 'settled');
+    const settled = await guardian.call('POST', '/bounty/settled/status', { status: 'settled' });
+    assert.equal(settled.status, 200);
+    assert.deepEqual(settled.body.history.map(h => h.to), ['pending', 'ready', 'funded', 'settled']);
+
+    const reopened = await guardian.call('POST', '/bounty/settled/status', { status: 'funded' });
+    assert.equal(reopened.status, 409);
+    const payout = await guardian.call('POST', '/sign-payout', { bounty_id: 'settled', tx_data_hex: refund }, { role: 'worker' });
+    assert.equal(payout.status, 409);
+    assert.equal((await guardian.call('POST', '/sign-refund', { bounty_id: 'settled', tx_data_hex: refund })).status, 409);
+
+    assert.equal((await guardian.call('POST', '/bounty/settled/status', { status: 'archived' })).status, 200);
+    const listed = await guardian.call('GET', '/bounties');
+    assert.deepEqual(listed.body.bounties.map(b => b.bounty_id), ['ready']);
+    const archived = await guardian.call('GET', '/bounties?include_archived=true');
+    assert.equal(archived.body.bounties.length, 2);
+  } finally {
+    await guardian.stop();
+  }
+});
@@ -0,0 +1,68 @@
+/**
+ * Mock Salvium Daemon
+ *
+ * Minimal JSON-RPC server answering the calls the Guardian makes, for local
+ * testing without a synced node.
+ *
+ * Usage:
+ *   node test/mock-daemon.js [port] [height]
+ *
+ * Then start the Guardian with DAEMON_RPC_URLS=http://localhost:<port>.
+ * The height can be changed at runtime with the `set_height` method:
+ *   {"jsonrpc":"2.0","id":"0","method":"set_height","params":{"height":123}}
+ */
+
+const http = require('http');
+
+function startMockDaemon({ port = 18081, height = 100 } = {}) {
+  const state = { height };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const reply = (payload) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: '0', ...payload }));
+      };
+
+      if (req.method !== 'POST' || req.url !== '/json_rpc') {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      let call;
+      try {
+        call = JSON.parse(body);
+      } catch (e) {
+        return reply({ error: { code: -32700, message: 'Parse error' } });
+      }
+
+      switch (call.method) {
+        case 'get_info':
+          return reply({ result: { height: state.height, status: 'OK' } });
+        case 'get_block_count':
+          return reply({ result: { count: state.height, status: 'OK' } });
+        case 'set_height':
+          state.height = call.params.height;
+          return reply({ result: { height: state.height, status: 'OK' } });
+        default:
+          return reply({ error: { code: -32601, message: 'Method not found' } });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => resolve({ server, state }));
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || '18081', 10);
+  const height = parseInt(process.argv[3] || '100', 10);
+  startMockDaemon({ port, height }).then(() => {
+    console.log(`[MockDaemon] Listening on port ${port}, height ${height}`);
+  });
+}
+
+module.exports = { startMockDaemon };
@@ -0,0 +1,143 @@
+/**
+ * Offline signing: sealing, bundles, the request queue and `cli.js offline
+ * sign` against a server in SIGNING_MODE=offline (fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const offline = require('../lib/offline');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+const { decideDispute } = require('../lib/disputes');
+
+const ROOT = path.join(__dirname, '..');
+const PRELOAD = path.join(__dirname, 'use-fake-wallet.js');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-offline-'));
+}
+
+function signerKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return { publicKey: offline.parsePublicKey(publicKey.export({ format: 'der', type: 'spki' }).toString('base64')), privateKey };
+}
+
+test('sealed secrets only open with the signer key and fail when tampered with', () => {
+  const signer = signerKeys();
+  const envelope = offline.sealForSigner(signer.publicKey, { bounty_id: 'b1', refund_address: 'addr' });
+  assert.deepEqual(offline.openAsSigner(signer.privateKey, envelope), { bounty_id: 'b1', refund_address: 'addr' });
+
+  assert.throws(() => offline.openAsSigner(signerKeys().privateKey, envelope), /different offline signer/);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => offline.openAsSigner(signer.privateKey, { ...envelope, data: data.toString('base64') }), /Failed to open/);
+  assert.throws(() => offline.openAsSigner(signer.privateKey, { data: 'x' }), /not sealed/);
+});
+
+test('bundles are checked for kind and checksum', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'bundle.json');
+    offline.writeBundle(file, 'request', [{ request_id: 'r1' }]);
+    assert.deepEqual(offline.readBundle(file, 'request').items, [{ request_id: 'r1' }]);
+    assert.throws(() => offline.readBundle(file, 'response'), /is a request bundle, expected response/);
+
+    const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+    bundle.items[0].request_id = 'r2';
+    fs.writeFileSync(file, JSON.stringify(bundle));
+    assert.throws(() => offline.readBundle(file, 'request'), /checksum mismatch/);
+
+    fs.writeFileSync(file, '{}');
+    assert.throws(() => offline.readBundle(file, 'request'), /not an offline signing bundle/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('requests are exported once and take one matching response', () => {
+  const dir = tempDir();
+  try {
+    const request = offline.queueRequest(dir, { type: offline.TYPES.REFUND, bounty_id: 'b1', tx_data_hex: 'aa', policy: {} });
+    assert.equal(offline.findRequest(dir, offline.TYPES.REFUND, 'b1', 'aa').request_id, request.request_id);
+
+    const bounties = { b1: { multisig_address: 'escrow', offline_secrets: { sealed: 'x' }, multisig_peer_infos: ['p'] } };
+    const items = offline.exportRequests(dir, bounties);
+    assert.equal(items.length, 1);
+    assert.deepEqual(items[0].bounty, { multisig_address: 'escrow', offline_secrets: { sealed: 'x' }, peer_infos: ['p'] });
+    // Exported requests stay open until answered
+    assert.equal(offline.exportRequests(dir, bounties).length, 1);
+
+    const { imported, skipped } = offline.importResponses(dir, [
+      { request_id: request.request_id, tx_hash: 'other', status: offline.STATUS.SIGNED, tx_data_hex: 'bb' },
+      { request_id: 'unknown', tx_hash: request.tx_hash, status: offline.STATUS.SIGNED, tx_data_hex: 'bb' },
+      { request_id: request.request_id, tx_hash: request.tx_hash, status: offline.STATUS.SIGNED, tx_data_hex: 'bb' },
+      { request_id: request.request_id, tx_hash: request.tx_hash, status: offline.STATUS.REJECTED }
+    ]);
+    assert.deepEqual(imported, [{ request_id: request.request_id, status: 'signed' }]);
+    assert.deepEqual(skipped.map(s => s.reason), ['transaction does not match request', 'unknown request', 'already signed']);
+    assert.equal(offline.loadRequests(dir)[request.request_id].response.tx_data_hex, 'bb');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the offline signer takes the height and payout approval from its operator', async () => {
+  const hostDir = tempDir();
+  const hostEnv = { ...process.env, DATA_DIR: hostDir, WALLET_PASSWORD: 'offline-password' };
+  const host = args => execFileSync(process.execPath, ['-r', PRELOAD, 'cli.js', ...args], {
+    cwd: ROOT, env: hostEnv, encoding: 'utf8', timeout: 30000
+  });
+  const publicKey = host(['offline', 'keygen']).match(/OFFLINE_SIGNER_PUBLIC_KEY=(\S+)/)[1];
+
+  const guardian = await startGuardian({
+    env: { RATE_LIMITS: 'init-escrow=0,default=0', SIGNING_MODE: 'offline', OFFLINE_SIGNER_PUBLIC_KEY: publicKey }
+  });
+  try {
+    const requests = path.join(hostDir, 'requests.json');
+    const responses = path.join(hostDir, 'responses.json');
+    const exportTo = () => guardian.cli(['offline', 'export', requests]);
+    const sign = (...args) => host(['offline', 'sign', requests, responses, '--yes', ...args]);
+
+    for (const id of ['refund', 'payout']) {
+      await openEscrow(guardian, id, { funded: false });
+      await guardian.call('POST', `/bounty/${id}/status`, { status: 'funded' });
+      await guardian.call('POST', '/sync-outputs', { bounty_id: id, other_multisig_info: ['info-server', 'info-worker'] });
+    }
+
+    // The server says the deadline passed; the operator's height says otherwise
+    guardian.daemon.state.height = 6000;
+    const refundTx = fakeTx({ destinations: [{ address: 'refund-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+    const queued = await guardian.call('POST', '/sign-refund', { bounty_id: 'refund', tx_data_hex: refundTx });
+    assert.equal(queued.status, 202);
+    exportTo();
+    assert.match(sign('--balance', 'refund=2010'), /Skipped: refunds need the chain height/);
+    assert.deepEqual(offline.readBundle(responses, 'response').items, []);
+    assert.match(sign('--balance', 'refund=2010', '--height', '1000'), /REJECTED \(deadline_not_reached\): Height 1000/);
+
+    const payoutTx = fakeTx({ destinations: [{ address: 'worker-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+    const opened = await guardian.call('POST', '/sign-payout', { bounty_id: 'payout', tx_data_hex: payoutTx }, { role: 'worker' });
+    assert.equal(opened.status, 202);
+    decideDispute(guardian.dataDir, opened.body.dispute_id, 'approved', 'work delivered');
+    const payout = await guardian.call('POST', `/dispute/${opened.body.dispute_id}/sign`, {}, { role: 'worker' });
+    assert.equal(payout.status, 202);
+    exportTo();
+
+    const unapproved = sign();
+    assert.match(unapproved, /Payout Transaction/);
+    assert.match(unapproved, new RegExp(`Skipped: not approved on this host, re-run with --approve ${opened.body.dispute_id}`));
+    assert.deepEqual(offline.readBundle(responses, 'response').items, []);
+
+    assert.match(sign('--approve', opened.body.dispute_id), /Signed \(signers: 2, ready: true\)/);
+    const [signed] = offline.readBundle(responses, 'response').items;
+    assert.equal(signed.status, 'signed');
+    assert.equal(signed.tx_data_hex, payoutTx + '00');
+  } finally {
+    await guardian.stop();
+    fs.rmSync(hostDir, { recursive: true, force: true });
+  }
+});
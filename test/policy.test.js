@@ -0,0 +1,129 @@
+/**
+ * lib/policy.js: policy parsing, evaluate() and daily usage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PolicyError, EMPTY_POLICY, parsePolicy, dailyUsage, evaluate } = require('../lib/policy');
+
+const pays = (...destinations) => ({
+  destinations: destinations.map(([address, amount]) => ({ address, amount }))
+});
+
+function outcome(policy, input) {
+  const result = evaluate(policy, input);
+  return { allowed: result.allowed, reasons: result.violations.map(v => v.reason) };
+}
+
+test('parsePolicy converts amounts and address lists', () => {
+  const policy = parsePolicy({
+    max_amount: '1000',
+    blocked_addresses: ['BAD'],
+    allowed_destinations: { payout: ['W'] },
+    approval_above: 500,
+    daily_cap: { count: 2 }
+  });
+  assert.equal(policy.max_amount, 1000n);
+  assert.equal(policy.approval_above, 500n);
+  assert.ok(policy.blocked_addresses.has('BAD'));
+  assert.ok(policy.allowed_destinations.payout.has('W'));
+  assert.deepEqual(policy.rules, ['max_amount', 'blocked_addresses', 'allowed_destinations', 'approval_above', 'daily_cap']);
+});
+
+test('parsePolicy rejects unknown or malformed rules', () => {
+  for (const doc of [
+    [],
+    { max_ammount: '1' },
+    { max_amount: '-1' },
+    { max_amount: 1.5 },
+    { blocked_addresses: 'BAD' },
+    { allowed_destinations: { sweep: ['A'] } },
+    { daily_cap: {} },
+    { daily_cap: { count: -1 } }
+  ]) {
+    assert.throws(() => parsePolicy(doc), PolicyError, JSON.stringify(doc));
+  }
+});
+
+test('an empty policy allows everything', () => {
+  assert.deepEqual(outcome(EMPTY_POLICY, { type: 'refund', description: pays(['RA', '1']) }), { allowed: true, reasons: [] });
+});
+
+test('every violated rule is listed', () => {
+  const policy = parsePolicy({ max_amount: '100', blocked_addresses: ['BAD'], allowed_destinations: { payout: ['W'] } });
+  assert.deepEqual(outcome(policy, { type: 'payout', description: pays(['BAD', '200']) }), {
+    allowed: false,
+    reasons: ['max_amount_exceeded', 'blocked_address', 'destination_not_allowed']
+  });
+  assert.deepEqual(outcome(policy, { type: 'payout', description: pays(['W', '50']) }), { allowed: true, reasons: [] });
+  // Types without an allow list are unrestricted
+  assert.deepEqual(outcome(policy, { type: 'refund', description: pays(['RA', '50']) }), { allowed: true, reasons: [] });
+});
+
+test('max_amount counts every destination', () => {
+  const policy = parsePolicy({ max_amount: '100' });
+  assert.equal(evaluate(policy, { type: 'payout', description: pays(['A', '60'], ['B', '60']) }).amount, '120');
+  assert.equal(outcome(policy, { type: 'payout', description: pays(['A', '60'], ['B', '60']) }).allowed, false);
+  assert.equal(outcome(policy, { type: 'payout', description: pays(['A', '100']) }).allowed, true);
+});
+
+test('approval_above needs operator approval', () => {
+  const policy = parsePolicy({ approval_above: '100' });
+  assert.deepEqual(outcome(policy, { type: 'refund', description: pays(['RA', '101']) }),
+    { allowed: false, reasons: ['approval_required'] });
+  assert.equal(outcome(policy, { type: 'payout', description: pays(['W', '101']), approved: true }).allowed, true);
+});
+
+test('amount rules do not apply to handovers', () => {
+  const policy = parsePolicy({ max_amount: '100', approval_above: '10', daily_cap: { count: 0 }, blocked_addresses: ['BAD'] });
+  const result = evaluate(policy, { type: 'handover', description: pays(['NEW', '5000']) });
+  assert.equal(result.allowed, true);
+  assert.deepEqual(result.results.filter(r => r.note).map(r => r.rule), ['max_amount', 'approval_above', 'daily_cap']);
+  assert.equal(outcome(policy, { type: 'handover', description: pays(['BAD', '5000']) }).allowed, false);
+});
+
+test('unknown amounts defer the amount limits but not the address rules', () => {
+  const policy = parsePolicy({ max_amount: '100', approval_above: '10', blocked_addresses: ['BAD'] });
+  const result = evaluate(policy, { type: 'refund', description: pays(['RA', null]) });
+  assert.equal(result.allowed, true);
+  assert.equal(result.amount, null);
+  assert.deepEqual(result.results.filter(r => r.note).map(r => r.rule), ['max_amount', 'approval_above']);
+  assert.equal(outcome(policy, { type: 'refund', description: pays(['BAD', null]) }).allowed, false);
+});
+
+test('a tx that could not be described is denied, not thrown on', () => {
+  const failed = { success: false, error: 'cannot parse transaction' };
+  for (const description of [failed, null, { success: true }]) {
+    const result = evaluate(EMPTY_POLICY, { type: 'payout', description });
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.violations.map(v => v.reason), ['describe_failed']);
+  }
+  assert.equal(evaluate(EMPTY_POLICY, { type: 'payout', description: failed }).violations[0].details.error,
+    'cannot parse transaction');
+});
+
+test('the daily cap counts signatures and amounts from the last 24 hours', () => {
+  const now = Date.now();
+  const at = ago => new Date(now - ago).toISOString();
+  const usage = dailyUsage([
+    { event: 'refund.signed', at: at(1000), data: { tx_hash: 'a', description: pays(['RA', '40']) } },
+    { event: 'payout.signed', at: at(2000), data: { tx_hash: 'a', description: pays(['RA', '40']) } },
+    { event: 'payout.signed', at: at(3000), data: { tx_hash: 'b', description: pays(['W', '50']) } },
+    { event: 'offline.signed', at: at(25 * 3600 * 1000), data: { tx_hash: 'old', description: pays(['W', '500']) } },
+    { event: 'handover.signed', at: at(1000), data: { tx_hash: 'h', type: 'handover', description: pays(['NEW', '900']) } },
+    { event: 'refund.rejected', at: at(1000), data: { tx_hash: 'r', description: pays(['RA', '900']) } }
+  ], now);
+  assert.equal(usage.count, 2);
+  assert.equal(usage.amount, 90n);
+
+  const byCount = parsePolicy({ daily_cap: { count: 2 } });
+  assert.deepEqual(outcome(byCount, { type: 'payout', description: pays(['W', '1']), tx_hash: 'c', usage }),
+    { allowed: false, reasons: ['daily_count_exceeded'] });
+  // Re-signing a counted transaction is free
+  assert.equal(outcome(byCount, { type: 'payout', description: pays(['W', '50']), tx_hash: 'b', usage }).allowed, true);
+
+  const byAmount = parsePolicy({ daily_cap: { amount: '100' } });
+  assert.deepEqual(outcome(byAmount, { type: 'payout', description: pays(['W', '11']), tx_hash: 'c', usage }),
+    { allowed: false, reasons: ['daily_amount_exceeded'] });
+  assert.equal(outcome(byAmount, { type: 'payout', description: pays(['W', '10']), tx_hash: 'c', usage }).allowed, true);
+});
@@ -0,0 +1,83 @@
+/**
+ * lib/ratelimit.js: RATE_LIMITS parsing and fixed-window counting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LIMITS, parseLimits, createRateLimiter } = require('../lib/ratelimit');
+
+function fakeResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('parseLimits adds entries on top of the defaults', () => {
+  assert.deepEqual(parseLimits(''), DEFAULT_LIMITS);
+  assert.deepEqual(parseLimits(' sign-refund=5 , default=0 '), { ...DEFAULT_LIMITS, 'sign-refund': 5, default: 0 });
+});
+
+test('parseLimits rejects malformed entries', () => {
+  assert.throws(() => parseLimits('init-escrow'), /Invalid RATE_LIMITS entry "init-escrow"/);
+  assert.throws(() => parseLimits('init-escrow=-1'), /Invalid RATE_LIMITS entry/);
+  assert.throws(() => parseLimits('=5'), /Invalid RATE_LIMITS entry/);
+});
+
+test('hit counts per route and client and falls back to default', () => {
+  const limiter = createRateLimiter({ limits: { 'init-escrow': 2, default: 1 } });
+  assert.equal(limiter.hit('init-escrow', 'a').ok, true);
+  assert.equal(limiter.hit('init-escrow', 'a').ok, true);
+  const third = limiter.hit('init-escrow', 'a');
+  assert.equal(third.ok, false);
+  assert.equal(third.remaining, 0);
+  assert.ok(third.retry_after > 0 && third.retry_after <= 60);
+
+  assert.equal(limiter.hit('init-escrow', 'b').ok, true, 'other clients keep their own window');
+  assert.equal(limiter.hit('bounty', 'a').ok, true);
+  assert.equal(limiter.hit('bounty', 'a').ok, false, 'unlisted routes use default');
+});
+
+test('a limit of 0 turns limiting off', () => {
+  const limiter = createRateLimiter({ limits: { default: 0 } });
+  for (let i = 0; i < 5; i++) {
+    assert.deepEqual(limiter.hit('bounty', 'a'), { ok: true, limit: null, remaining: null, retry_after: 0 });
+  }
+});
+
+test('the window resets after windowSeconds', t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createRateLimiter({ windowSeconds: 10, limits: { default: 1 } });
+  assert.equal(limiter.hit('bounty', 'a').ok, true);
+  assert.equal(limiter.hit('bounty', 'a').ok, false);
+  t.mock.timers.tick(10 * 1000);
+  assert.equal(limiter.hit('bounty', 'a').ok, true);
+});
+
+test('limit() middleware answers 429 with Retry-After once over the limit', () => {
+  const limited = [];
+  const limiter = createRateLimiter({
+    limits: { default: 1 },
+    clientId: req => req.ip,
+    onLimited: name => limited.push(name)
+  });
+  const middleware = limiter.limit('bounty');
+  let passed = 0;
+
+  const first = fakeResponse();
+  middleware({ ip: '10.0.0.1' }, first, () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(first.headers['X-RateLimit-Remaining'], '0');
+
+  const second = fakeResponse();
+  middleware({ ip: '10.0.0.1' }, second, () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(second.statusCode, 429);
+  assert.equal(second.body.reason, 'rate_limited');
+  assert.ok(Number(second.headers['Retry-After']) > 0);
+  assert.deepEqual(limited, ['bounty']);
+});
@@ -0,0 +1,89 @@
+/**
+ * Refunds: POST /sign-refund and the signed refund marker (server on the
+ * fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+
+const REFUND = fakeTx({ destinations: [{ address: 'refund-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+
+let guardian;
+
+test.before(async () => {
+  guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+});
+
+test.after(async () => {
+  await guardian.stop();
+});
+
+async function signedRefund(bountyId) {
+  guardian.daemon.state.height = 1000;
+  await openEscrow(guardian, bountyId);
+  guardian.daemon.state.height = 6000;
+  const res = await guardian.call('POST', '/sign-refund', { bounty_id: bountyId, tx_data_hex: REFUND });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tx_data_hex, REFUND + '00');
+  return res;
+}
+
+test('a refund is not signed before the deadline', async () => {
+  guardian.daemon.state.height = 1000;
+  await openEscrow(guardian, 'early');
+  const res = await guardian.call('POST', '/sign-refund', { bounty_id: 'early', tx_data_hex: REFUND });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.reason, 'deadline_not_reached');
+});
+
+test('a signed refund keeps the bounty funded and blocks payouts and extensions', async () => {
+  await signedRefund('signed');
+
+  const bounty = await guardian.call('GET', '/bounty/signed');
+  assert.equal(bounty.body.status, 'funded');
+  assert.equal(bounty.body.refund.status, 'signed');
+
+  const again = await guardian.call('POST', '/sign-refund', { bounty_id: 'signed', tx_data_hex: REFUND });
+  assert.equal(again.status, 200);
+
+  const payout = fakeTx({ destinations: [{ address: 'worker-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+  const dispute = await guardian.call('POST', '/sign-payout', { bounty_id: 'signed', tx_data_hex: payout }, { role: 'worker' });
+  assert.equal(dispute.status, 409);
+  assert.equal(dispute.body.reason, 'refund_signed');
+
+  const extension = await guardian.call('POST', '/bounty/signed/deadline', { deadline_block: 7000 });
+  assert.equal(extension.status, 409);
+  assert.equal(extension.body.reason, 'refund_signed');
+});
+
+test('the bounty is refunded once a scan finds the escrow spent', async () => {
+  await signedRefund('spent');
+  guardian.setFunding({
+    balance: '0',
+    transfers: [
+      { type: 'in', txid: 'fund-spent', amount: '2010', height: 900 },
+      { type: 'out', txid: 'refund-spent', amount: '2010', height: 5990 }
+    ]
+  });
+  const scan = await guardian.call('GET', '/bounty/spent/funding?refresh=true');
+  assert.equal(scan.status, 200);
+  assert.equal((await guardian.call('GET', '/bounty/spent')).body.status, 'refunded');
+
+  const late = await guardian.call('POST', '/sign-refund', { bounty_id: 'spent', tx_data_hex: REFUND });
+  assert.equal(late.status, 409);
+});
+
+test('the bounty server can only report a refund the Guardian signed', async () => {
+  guardian.daemon.state.height = 1000;
+  await openEscrow(guardian, 'unsigned');
+  const refused = await guardian.call('POST', '/bounty/unsigned/status', { status: 'refunded' });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.reason, 'refund_not_signed');
+
+  await signedRefund('reported');
+  const reported = await guardian.call('POST', '/bounty/reported/status', { status: 'refunded' });
+  assert.equal(reported.status, 200);
+  assert.equal(reported.body.status, 'refunded');
+});
@@ -0,0 +1,132 @@
+/**
+ * lib/store.js: checksummed writes, .bak copies and file locks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../lib/store');
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-store-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function exitOf(child) {
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+}
+
+test('write and read round-trip through a checksummed envelope', () => {
+  const file = path.join(tempDir(), 'state.json');
+  store.write(file, { a: 1 });
+
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(envelope.format, 'salvium-guardian-store');
+  assert.deepEqual(envelope.data, { a: 1 });
+  assert.deepEqual(store.read(file), { a: 1 });
+});
+
+test('read returns the fallback for a missing file', () => {
+  assert.deepEqual(store.read(path.join(tempDir(), 'none.json'), { empty: true }), { empty: true });
+});
+
+test('read accepts plain JSON written before the envelope format', () => {
+  const file = path.join(tempDir(), 'legacy.json');
+  fs.writeFileSync(file, JSON.stringify({ old: true }));
+  assert.deepEqual(store.read(file), { old: true });
+});
+
+test('a modified payload fails the checksum', () => {
+  const file = path.join(tempDir(), 'state.json');
+  store.write(file, { amount: '10' });
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  envelope.data.amount = '1000';
+  fs.writeFileSync(file, JSON.stringify(envelope));
+
+  assert.throws(() => store.read(file), err => err instanceof store.StoreCorruptError && /checksum mismatch/.test(err.message));
+  assert.throws(() => store.checkIntegrity([file]), store.StoreCorruptError);
+});
+
+test('a truncated file is reported as corrupt, not read as empty', () => {
+  const file = path.join(tempDir(), 'state.json');
+  store.write(file, { a: 1 });
+  fs.writeFileSync(file, fs.readFileSync(file, 'utf8').slice(0, 20));
+  assert.throws(() => store.read(file), /invalid JSON/);
+});
+
+test('the previous copy is kept as .bak and still reads after the file is damaged', () => {
+  const file = path.join(tempDir(), 'state.json');
+  store.write(file, { version: 1 });
+  store.write(file, { version: 2 });
+  fs.writeFileSync(file, 'garbage');
+
+  assert.throws(() => store.read(file), store.StoreCorruptError);
+  assert.deepEqual(store.read(`${file}.bak`), { version: 1 });
+
+  fs.copyFileSync(`${file}.bak`, file);
+  assert.deepEqual(store.read(file), { version: 1 });
+});
+
+test('update applies in-place changes and returned values', () => {
+  const file = path.join(tempDir(), 'state.json');
+  store.update(file, {}, data => { data.a = 1; });
+  store.update(file, {}, data => ({ ...data, b: 2 }));
+  assert.deepEqual(store.read(file), { a: 1, b: 2 });
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('withLock releases the lock when fn throws', () => {
+  const file = path.join(tempDir(), 'state.json');
+  assert.throws(() => store.withLock(file, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('a lock left by a dead process is broken', () => {
+  const file = path.join(tempDir(), 'state.json');
+  const child = require('child_process').spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']);
+  const deadPid = Number(child.stdout.toString());
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: deadPid, at: Date.now() }));
+
+  assert.equal(store.withLock(file, () => 'ran'), 'ran');
+});
+
+test('concurrent updates from several processes are not lost', async () => {
+  const file = path.join(tempDir(), 'counter.json');
+  const script = `
+    const store = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'store'))});
+    for (let i = 0; i < 50; i++) store.update(${JSON.stringify(file)}, { n: 0 }, d => { d.n++; });
+  `;
+  const children = [1, 2, 3].map(() => spawn(process.execPath, ['-e', script], { stdio: 'inherit' }));
+  const codes = await Promise.all(children.map(exitOf));
+
+  assert.deepEqual(codes, [0, 0, 0]);
+  assert.deepEqual(store.read(file), { n: 150 });
+});
+
+test('withDataDir refuses while another live process holds the data directory', async () => {
+  const dir = tempDir();
+  const holder = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)']);
+  try {
+    fs.writeFileSync(path.join(dir, 'server.lock'), JSON.stringify({ pid: holder.pid, at: Date.now() }));
+    assert.equal(store.dataDirOwner(dir), holder.pid);
+    assert.throws(() => store.withDataDir(dir, 'restore a backup', () => {}),
+      new RegExp(`in use by process ${holder.pid}.*stop it before you restore a backup`));
+  } finally {
+    holder.kill();
+    await exitOf(holder);
+  }
+
+  // Once the holder is gone its lock is stale
+  assert.equal(store.dataDirOwner(dir), null);
+  assert.equal(store.withDataDir(dir, 'restore a backup', () => 'ran'), 'ran');
+  assert.equal(fs.existsSync(path.join(dir, 'server.lock')), false);
+});
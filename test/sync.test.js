@@ -0,0 +1,83 @@
+/**
+ * Multisig info sync: lib/sync.js state and POST /sync-outputs (server on
+ * the fake wallet)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sync = require('../lib/sync');
+const { startGuardian, openEscrow } = require('./guardian-process');
+const { fakeTx } = require('./fake-wallet');
+
+test('a bounty is in sync once the latest peer infos are imported and exported', () => {
+  const info = {};
+  assert.equal(sync.syncStatus(info).reason, 'not_synced');
+
+  sync.recordPeerExport(info, ['a', 'b']);
+  assert.equal(sync.syncStatus(info).reason, 'not_synced');
+
+  sync.recordImport(info, ['a', 'b'], 2);
+  assert.deepEqual(info.multisig_peer_infos, ['a', 'b']);
+  assert.equal(sync.syncStatus(info).reason, 'not_exported');
+  assert.equal(sync.syncStatus(info, { offline: true }).ok, true);
+
+  sync.recordExport(info, 'guardian-info');
+  const status = sync.syncStatus(info);
+  assert.equal(status.ok, true);
+  assert.equal(status.n_outputs, 2);
+
+  sync.resetExport(info);
+  assert.equal(sync.syncStatus(info).reason, 'not_exported');
+});
+
+test('newer peer infos and failed imports make a bounty stale', () => {
+  const info = {};
+  sync.recordExport(info, 'guardian-info');
+  sync.recordPeerExport(info, ['a']);
+  sync.recordImport(info, ['a'], 1);
+  assert.equal(sync.syncStatus(info).ok, true);
+
+  sync.recordPeerExport(info, ['a', 'c']);
+  assert.equal(sync.syncStatus(info).reason, 'peer_ahead');
+
+  sync.recordImportError(info, 'invalid multisig info');
+  const failed = sync.syncStatus(info);
+  assert.equal(failed.reason, 'import_failed');
+  assert.equal(failed.last_error.message, 'invalid multisig info');
+
+  sync.recordImport(info, ['a', 'c'], 2);
+  assert.equal(sync.syncStatus(info).ok, true);
+});
+
+test('signing waits for /sync-outputs and a failed import is reported', async () => {
+  const guardian = await startGuardian({ env: { RATE_LIMITS: 'init-escrow=0,default=0' } });
+  try {
+    guardian.daemon.state.height = 1000;
+    await openEscrow(guardian, 'unsynced', { funded: false });
+    await guardian.call('POST', '/bounty/unsynced/status', { status: 'funded' });
+    guardian.daemon.state.height = 6000;
+    const refund = fakeTx({ destinations: [{ address: 'refund-address', amount: '2000' }], fee: '10', amount_in: '2010' });
+    const early = await guardian.call('POST', '/sign-refund', { bounty_id: 'unsynced', tx_data_hex: refund });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.reason, 'not_synced');
+
+    const bad = await guardian.call('POST', '/sync-outputs', { bounty_id: 'unsynced', other_multisig_info: ['bad'] });
+    assert.equal(bad.status, 422);
+    assert.equal(bad.body.sync.reason, 'import_failed');
+
+    const good = await guardian.call('POST', '/sync-outputs', { bounty_id: 'unsynced', other_multisig_info: ['info-server', 'info-worker'] });
+    assert.equal(good.status, 200);
+    assert.ok(good.body.guardian_multisig_info);
+    assert.equal(good.body.sync.ok, true);
+    assert.equal(good.body.sync.n_outputs, 2);
+
+    const fetched = await guardian.call('GET', '/bounty/unsynced/multisig-info', undefined, { role: 'worker' });
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.guardian_multisig_info, good.body.guardian_multisig_info);
+
+    const notArray = await guardian.call('POST', '/sync-outputs', { bounty_id: 'unsynced', other_multisig_info: 'info' });
+    assert.equal(notArray.status, 400);
+  } finally {
+    await guardian.stop();
+  }
+});
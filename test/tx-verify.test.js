@@ -0,0 +1,101 @@
+/**
+ * lib/tx-verify.js: description parsing and refund, handover and balance checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeTx, checkRefund, checkHandover, checkBalance } = require('../lib/tx-verify');
+
+// A wallet whose describe_multisig_tx_hex returns the given result
+function walletDescribing(result) {
+  return { describe_multisig_tx_hex: () => JSON.stringify(result) };
+}
+
+function described(fields) {
+  return describeTx(walletDescribing({ success: true, ...fields }), 'ab');
+}
+
+const sweep = (address, amount, fee = '10') => described({
+  destinations: [{ address, amount }],
+  fee,
+  amount_in: String(BigInt(amount) + BigInt(fee))
+});
+
+test('describeTx normalizes amounts to strings and keeps missing ones as null', () => {
+  const desc = described({ recipients: [{ address: 'A', amount: 5 }], fee: 1 });
+  assert.deepEqual(desc, {
+    success: true,
+    destinations: [{ address: 'A', amount: '5' }],
+    fee: '1',
+    amount_in: null,
+    change_amount: '0',
+    change_address: null
+  });
+  assert.equal(described({ destinations: [{ address: 'A' }], fee: '1' }).destinations[0].amount, null);
+});
+
+test('describeTx reports wallet failures', () => {
+  assert.deepEqual(describeTx({}, 'ab'), { success: false, error: 'describe_multisig_tx_hex not available in WASM' });
+  assert.deepEqual(describeTx(walletDescribing({ success: false, error: 'bad tx' }), 'ab'), { success: false, error: 'bad tx' });
+  assert.equal(describeTx({ describe_multisig_tx_hex: () => 'not json' }, 'ab').success, false);
+});
+
+test('a full refund to the refund address passes', () => {
+  assert.deepEqual(checkRefund(sweep('RA', '2000'), { refundAddress: 'RA', escrowBalance: '2010' }), { ok: true });
+});
+
+test('refunds are rejected for the wrong address, extra outputs or a partial amount', () => {
+  const reason = (desc, escrowBalance = '2010') => checkRefund(desc, { refundAddress: 'RA', escrowBalance }).reason;
+
+  assert.equal(reason(sweep('EVIL', '2000')), 'destination_mismatch');
+  assert.equal(reason(sweep('RA', '1000')), 'amount_mismatch');
+  assert.equal(reason(described({
+    destinations: [{ address: 'RA', amount: '1000' }, { address: 'RA', amount: '1000' }],
+    fee: '10'
+  })), 'extra_outputs');
+  assert.equal(reason(described({
+    destinations: [{ address: 'RA', amount: '1000' }],
+    fee: '10',
+    change_amount: '1000',
+    change_address: 'X'
+  })), 'extra_outputs');
+  assert.equal(reason(described({ destinations: [], fee: '10' })), 'no_destinations');
+  assert.equal(checkRefund(sweep('RA', '2000'), { refundAddress: null, escrowBalance: '2010' }).reason, 'no_refund_address');
+});
+
+test('a sweep fails closed without a known balance', () => {
+  for (const escrowBalance of [null, 'lots', undefined]) {
+    assert.equal(checkRefund(sweep('RA', '2000'), { refundAddress: 'RA', escrowBalance }).reason, 'unknown_balance');
+  }
+  assert.equal(checkHandover(sweep('NEW', '2000'), { successorAddress: 'NEW' }).reason, 'unknown_balance');
+});
+
+test('malformed descriptions are rejected before any amount is compared', () => {
+  const result = checkRefund(described({ destinations: [{ address: 'RA', amount: '-5' }], fee: 'x' }), {
+    refundAddress: 'RA',
+    escrowBalance: '2010'
+  });
+  assert.equal(result.reason, 'malformed_description');
+  assert.deepEqual(result.details.fields, ['destinations[0].amount', 'fee']);
+
+  assert.equal(checkBalance(described({ destinations: [{ address: 'A' }], fee: '1' }), { escrowBalance: null }).reason,
+    'malformed_description');
+  assert.equal(checkHandover({ success: false, error: 'bad tx' }, { successorAddress: 'NEW', escrowBalance: '1' }).reason,
+    'describe_failed');
+});
+
+test('a handover must sweep to the successor escrow', () => {
+  assert.deepEqual(checkHandover(sweep('NEW', '2000'), { successorAddress: 'NEW', escrowBalance: '2010' }), { ok: true });
+  assert.equal(checkHandover(sweep('OLD', '2000'), { successorAddress: 'NEW', escrowBalance: '2010' }).reason,
+    'destination_mismatch');
+  assert.equal(checkHandover(sweep('NEW', '2000'), { successorAddress: null, escrowBalance: '2010' }).reason,
+    'no_successor_address');
+});
+
+test('checkBalance rejects spending more than the escrow or from an empty one', () => {
+  const payout = sweep('W', '1500');
+  assert.deepEqual(checkBalance(payout, { escrowBalance: null }), { ok: true });
+  assert.deepEqual(checkBalance(payout, { escrowBalance: '2010' }), { ok: true });
+  assert.equal(checkBalance(payout, { escrowBalance: '1000' }).reason, 'exceeds_balance');
+  assert.equal(checkBalance(payout, { escrowBalance: '0' }).reason, 'not_funded');
+});
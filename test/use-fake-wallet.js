@@ -0,0 +1,15 @@
+/**
+ * Preload (node -r) that makes server.js and cli.js load test/fake-wallet.js
+ * in place of wasm/SalviumWallet.js
+ */
+
+const Module = require('module');
+const path = require('path');
+
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  if (request.endsWith('wasm/SalviumWallet.js')) {
+    return path.join(__dirname, 'fake-wallet.js');
+  }
+  return resolve.call(this, request, ...rest);
+};
@@ -0,0 +1,64 @@
+/**
+ * lib/wallets.js: applying key exchange rounds
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KexError, advanceKex } = require('../lib/wallets');
+
+// A 2-of-3 wallet: make_multisig yields round 2, the exchange completes
+function fakeWallet({ failMake = false, failExchange = false } = {}) {
+  return {
+    make_multisig(password, threshold, messages) {
+      if (failMake) return JSON.stringify({ success: false, error: 'invalid multisig info' });
+      return JSON.stringify({ success: true, multisig_info: 'own-r2:' + JSON.parse(messages).length });
+    },
+    exchange_multisig_keys() {
+      if (failExchange) return JSON.stringify({ success: false, error: 'bad round' });
+      return JSON.stringify({ success: true, is_ready: true, address: 'SaLvMs1' });
+    }
+  };
+}
+
+const PEER_ROUNDS = [['s1', 'w1'], ['s2', 'w2']];
+
+test('advanceKex applies every round and returns the address', () => {
+  const result = advanceKex(fakeWallet(), 2, ['own-r1'], PEER_ROUNDS);
+  assert.deepEqual(result, {
+    own_rounds: ['own-r1', 'own-r2:3'],
+    is_ready: true,
+    address: 'SaLvMs1',
+    next_message: false
+  });
+});
+
+test('advanceKex stops after round 1 when only round 1 is sent', () => {
+  const result = advanceKex(fakeWallet(), 2, ['own-r1'], PEER_ROUNDS.slice(0, 1));
+  assert.equal(result.is_ready, false);
+  assert.equal(result.next_message, true);
+  assert.deepEqual(result.own_rounds, ['own-r1', 'own-r2:3']);
+});
+
+test('advanceKex reports the round the wallet refused', () => {
+  assert.throws(() => advanceKex(fakeWallet({ failMake: true }), 2, ['own-r1'], PEER_ROUNDS), err => {
+    assert.ok(err instanceof KexError);
+    assert.equal(err.reason, 'kex_failed');
+    assert.equal(err.round, 1);
+    assert.match(err.message, /^Failed to make multisig: invalid multisig info$/);
+    return true;
+  });
+  assert.throws(() => advanceKex(fakeWallet({ failExchange: true }), 2, ['own-r1'], PEER_ROUNDS), err => {
+    assert.equal(err.reason, 'kex_failed');
+    assert.equal(err.round, 2);
+    return true;
+  });
+});
+
+test('advanceKex refuses rounds after the exchange completed', () => {
+  const rounds = [...PEER_ROUNDS, ['s3', 'w3']];
+  assert.throws(() => advanceKex(fakeWallet(), 2, ['own-r1'], rounds), err => {
+    assert.equal(err.reason, 'extra_round');
+    assert.equal(err.round, 3);
+    return true;
+  });
+});
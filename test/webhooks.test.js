@@ -0,0 +1,121 @@
+/**
+ * lib/webhooks.js: signed deliveries, backoff and retry against a local
+ * receiver
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const store = require('../lib/store');
+const { createAuth } = require('../lib/auth');
+const { createWebhooks, loadDeliveries, retryDelivery, WEBHOOKS_FILE, STATUS } = require('../lib/webhooks');
+
+const SECRET = 'webhook-secret';
+
+let receiver;
+let url;
+let received;
+let replies;
+
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.statusCode = replies.length > 0 ? replies.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hooks?source=guardian`;
+});
+
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+
+test.beforeEach(() => {
+  received = [];
+  replies = [];
+});
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-webhooks-'));
+}
+
+async function settle(dataDir, predicate) {
+  for (let i = 0; i < 100; i++) {
+    const queue = loadDeliveries(dataDir);
+    if (predicate(queue)) return queue;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('webhook queue did not settle');
+}
+
+test('deliveries are signed so receivers can verify them like API requests', async () => {
+  const dataDir = tempDir();
+  try {
+    const webhooks = createWebhooks({ dataDir, urls: [url], secret: SECRET });
+    const [id] = webhooks.notify('refund.signed', 'b1', { tx_hash: 'abc' });
+    await settle(dataDir, queue => received.length === 1 && !queue[id]);
+
+    const [request] = received;
+    const payload = JSON.parse(request.body);
+    assert.deepEqual([payload.delivery_id, payload.event, payload.bounty_id, payload.data], [id, 'refund.signed', 'b1', { tx_hash: 'abc' }]);
+    assert.equal(request.headers['x-guardian-event'], 'refund.signed');
+    assert.equal(request.headers['x-guardian-delivery'], id);
+
+    const verifier = createAuth({ keys: { guardian: SECRET } });
+    const asReceived = { method: request.method, originalUrl: request.url, rawBody: request.body, get: name => request.headers[name.toLowerCase()] };
+    assert.deepEqual(verifier.verify(asReceived), { role: 'guardian' });
+    assert.equal(verifier.verify({ ...asReceived, rawBody: request.body.replace('abc', 'abd') }).error, 'Invalid signature');
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('failed deliveries back off, give up after maxAttempts and can be retried', async () => {
+  const dataDir = tempDir();
+  try {
+    replies = [500, 503];
+    const webhooks = createWebhooks({ dataDir, urls: [url], secret: SECRET, maxAttempts: 2 });
+    const before = Date.now();
+    const [id] = webhooks.notify('payout.signed', 'b2');
+    let queue = await settle(dataDir, q => q[id] && q[id].attempts === 1);
+    assert.equal(queue[id].status, STATUS.PENDING);
+    assert.equal(queue[id].last_error.message, 'HTTP 500');
+    assert.ok(queue[id].next_attempt_at >= before + 10 * 1000);
+
+    // Not due yet
+    assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, failed: 0 });
+
+    store.update(path.join(dataDir, WEBHOOKS_FILE), {}, q => { q[id].next_attempt_at = Date.now(); });
+    assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, failed: 1 });
+    queue = loadDeliveries(dataDir);
+    assert.equal(queue[id].status, STATUS.FAILED);
+    assert.equal(queue[id].attempts, 2);
+    assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, failed: 0 });
+
+    assert.equal(retryDelivery(dataDir, id).status, STATUS.PENDING);
+    assert.equal(retryDelivery(dataDir, 'unknown'), null);
+    assert.deepEqual(await webhooks.deliverDue(), { delivered: 1, failed: 0 });
+    assert.deepEqual(loadDeliveries(dataDir), {});
+    assert.equal(received.length, 3);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('without URLs nothing is queued', () => {
+  const dataDir = tempDir();
+  try {
+    const webhooks = createWebhooks({ dataDir, urls: [], secret: SECRET });
+    assert.equal(webhooks.enabled, false);
+    assert.deepEqual(webhooks.notify('escrow.finalized', 'b3'), []);
+    assert.deepEqual(loadDeliveries(dataDir), {});
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});